@@ -0,0 +1,257 @@
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  Platform,
+} from 'react-native';
+import { colors, spacing } from '../utils/responsive';
+import { getBracketRoundName } from '../utils/bracket';
+import ScoreEntry from './ScoreEntry';
+
+/**
+ * One entrant line in a match card
+ */
+function EntrantRow({ entrant, isWinner, isDecided }) {
+  if (!entrant) {
+    return <Text style={styles.entrantPlaceholder}>TBD</Text>;
+  }
+
+  return (
+    <View style={styles.entrantRow}>
+      <Text style={styles.seed}>{entrant.seed}</Text>
+      <Text
+        style={[
+          styles.entrantName,
+          isWinner && styles.entrantWinner,
+          isDecided && !isWinner && styles.entrantLoser,
+        ]}
+        numberOfLines={1}
+      >
+        {entrant.name}
+      </Text>
+    </View>
+  );
+}
+
+/**
+ * BracketView component - playoff bracket with one column per round.
+ * Double elimination adds a losers bracket and the grand final below.
+ * Scores are checked against the session's game rules; with bestOf > 1
+ * each match is best of that many games.
+ */
+export default function BracketView({ bracket, rules, bestOf = 1, onScoreUpdate, onClear }) {
+  const isDouble = bracket.type === 'double';
+  const champion = bracket.championId
+    ? bracket.entrants.find((e) => e.id === bracket.championId)
+    : null;
+
+  const renderMatch = (match) => {
+    const isDecided = match.winnerId != null;
+    const isReady = match.entrant1 && match.entrant2;
+
+    return (
+      <View key={match.id} style={[styles.matchCard, isDecided && styles.matchCardDone]}>
+        <EntrantRow
+          entrant={match.entrant1}
+          isWinner={isDecided && match.winnerId === match.entrant1?.id}
+          isDecided={isDecided}
+        />
+        {match.isBye ? (
+          <Text style={styles.byeText}>Bye</Text>
+        ) : isReady ? (
+          <ScoreEntry
+            score={match.score}
+            onScoreUpdate={(t1, t2, updater, games) => onScoreUpdate(match.id, t1, t2, updater, games)}
+            team1Label={match.entrant1.name}
+            team2Label={match.entrant2.name}
+            currentUserName="Organizer"
+            isOrganizer
+            rules={rules}
+            bestOf={bestOf}
+          />
+        ) : (
+          <Text style={styles.vsText}>vs</Text>
+        )}
+        <EntrantRow
+          entrant={match.entrant2}
+          isWinner={isDecided && match.winnerId === match.entrant2?.id}
+          isDecided={isDecided}
+        />
+      </View>
+    );
+  };
+
+  const renderColumns = (rounds, side) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+      <View style={styles.columns}>
+        {rounds.map((matches, r) => (
+          <View key={r} style={styles.column}>
+            <Text style={styles.roundName}>{getBracketRoundName(bracket, side, r)}</Text>
+            <View style={styles.columnMatches}>
+              {matches.map(renderMatch)}
+            </View>
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{isDouble ? 'Playoffs (Double Elimination)' : 'Playoffs'}</Text>
+        {onClear && (
+          <TouchableOpacity onPress={onClear} activeOpacity={0.7}>
+            <Text style={styles.clearText}>Remove Bracket</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {champion && (
+        <View style={styles.championBanner}>
+          <Text style={styles.championText}>Champion: {champion.name}</Text>
+        </View>
+      )}
+
+      {isDouble && <Text style={styles.sectionLabel}>Winners Bracket</Text>}
+      {renderColumns(bracket.rounds, 'winners')}
+
+      {isDouble && bracket.losersRounds.length > 0 && (
+        <>
+          <Text style={styles.sectionLabel}>Losers Bracket</Text>
+          {renderColumns(bracket.losersRounds, 'losers')}
+        </>
+      )}
+
+      {isDouble && (
+        <>
+          <Text style={styles.sectionLabel}>Finals</Text>
+          {/* The reset match only appears once it is needed */}
+          {renderColumns(
+            bracket.finals.filter((m) => m.round === 0 || m.entrant1).map((m) => [m]),
+            'final'
+          )}
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: colors.background,
+    borderRadius: 16,
+    padding: spacing.lg,
+    gap: spacing.md,
+    ...Platform.select({
+      web: {
+        boxShadow: '0 2px 8px rgba(0, 0, 0, 0.06)',
+      },
+      default: {
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.06,
+        shadowRadius: 8,
+        elevation: 2,
+      },
+    }),
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  clearText: {
+    fontSize: 14,
+    color: colors.error,
+    fontWeight: '500',
+  },
+  championBanner: {
+    backgroundColor: colors.successLight,
+    borderRadius: 10,
+    padding: spacing.sm,
+    alignItems: 'center',
+  },
+  championText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  columns: {
+    flexDirection: 'row',
+    gap: spacing.md,
+  },
+  column: {
+    width: 200,
+    gap: spacing.sm,
+  },
+  columnMatches: {
+    flex: 1,
+    justifyContent: 'space-around',
+    gap: spacing.sm,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  roundName: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  matchCard: {
+    backgroundColor: colors.secondary,
+    borderRadius: 12,
+    padding: spacing.sm,
+    gap: spacing.xs,
+  },
+  matchCardDone: {
+    backgroundColor: colors.successLight,
+  },
+  entrantRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
+  seed: {
+    fontSize: 11,
+    color: colors.textMuted,
+    width: 16,
+    textAlign: 'right',
+  },
+  entrantName: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text,
+  },
+  entrantWinner: {
+    fontWeight: '700',
+  },
+  entrantLoser: {
+    color: colors.textMuted,
+  },
+  entrantPlaceholder: {
+    fontSize: 14,
+    color: colors.textMuted,
+    fontStyle: 'italic',
+    paddingLeft: 20,
+  },
+  byeText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+  },
+  vsText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+  },
+});
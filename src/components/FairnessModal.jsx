@@ -0,0 +1,361 @@
+import { useState, useMemo } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  Platform,
+  Pressable,
+} from 'react-native';
+import { colors, spacing } from '../utils/responsive';
+import { analyzeSchedule } from '../utils/shuffle';
+
+/**
+ * Pair count grid: one row and one column per player
+ */
+function PairMatrix({ players, matrix }) {
+  const cellStyle = (count) => [
+    styles.cell,
+    count === 1 && styles.cellOnce,
+    count > 1 && styles.cellRepeat,
+  ];
+
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+      <View>
+        <View style={styles.matrixRow}>
+          <View style={styles.nameCell} />
+          {players.map((p) => (
+            <Text key={p.id} style={styles.headerCell} numberOfLines={1}>
+              {p.name.slice(0, 3)}
+            </Text>
+          ))}
+        </View>
+        {players.map((p, i) => (
+          <View key={p.id} style={styles.matrixRow}>
+            <Text style={styles.nameCell} numberOfLines={1}>{p.name}</Text>
+            {matrix[i].map((count, j) => (
+              <View key={players[j].id} style={i === j ? [styles.cell, styles.cellSelf] : cellStyle(count)}>
+                {i !== j && count > 0 && <Text style={styles.cellText}>{count}</Text>}
+              </View>
+            ))}
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+}
+
+/**
+ * FairnessModal component - how evenly a schedule spreads partners,
+ * opponents, sit-outs and courts, so the organizer can reshuffle
+ * before announcing rounds
+ */
+export default function FairnessModal({ visible, onClose, rounds, players, gameType }) {
+  const isDoubles = gameType !== 'singles';
+  const isFlexible = gameType === 'flexible';
+  const [activeTab, setActiveTab] = useState('partners'); // 'partners' | 'opponents' | 'players'
+  const tab = !isDoubles && activeTab === 'partners' ? 'opponents' : activeTab;
+
+  const analysis = useMemo(
+    () => (visible ? analyzeSchedule(rounds, players) : null),
+    [visible, rounds, players]
+  );
+
+  if (!analysis) return null;
+
+  const sitOuts = players.map((p) => analysis.sitOutCounts[p.id] || 0);
+  const sitOutRange = sitOuts.length > 0 ? Math.max(...sitOuts) - Math.min(...sitOuts) : 0;
+
+  const tabs = [
+    ...(isDoubles ? [['partners', 'Partners']] : []),
+    ['opponents', 'Opponents'],
+    ['players', 'Sit-outs & Courts'],
+  ];
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Pressable style={styles.overlay} onPress={onClose}>
+        <Pressable style={styles.modalContent} onPress={(e) => e.stopPropagation()}>
+          {/* Header */}
+          <View style={styles.header}>
+            <Text style={styles.title}>Fairness</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton} activeOpacity={0.7}>
+              <Text style={styles.closeText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Summary */}
+          <View style={styles.summaryRow}>
+            {isDoubles && (
+              <View style={styles.summaryItem}>
+                <Text style={[styles.summaryValue, analysis.repeatPartners > 0 && styles.summaryValueWarning]}>
+                  {analysis.repeatPartners}
+                </Text>
+                <Text style={styles.summaryLabel}>Repeat Partners</Text>
+              </View>
+            )}
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryValue}>{analysis.repeatOpponents}</Text>
+              <Text style={styles.summaryLabel}>Repeat Opponents</Text>
+            </View>
+            <View style={styles.summaryItem}>
+              <Text style={[styles.summaryValue, sitOutRange > 1 && styles.summaryValueWarning]}>
+                {sitOutRange}
+              </Text>
+              <Text style={styles.summaryLabel}>Sit-out Spread</Text>
+            </View>
+            <View style={styles.summaryItem}>
+              <Text style={[styles.summaryValue, analysis.courtSpread > 0 && styles.summaryValueWarning]}>
+                {analysis.courtSpread}
+              </Text>
+              <Text style={styles.summaryLabel}>Court Spread</Text>
+            </View>
+          </View>
+
+          {/* Tabs */}
+          <View style={styles.tabRow}>
+            {tabs.map(([key, label]) => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.tab, tab === key && styles.tabActive]}
+                onPress={() => setActiveTab(key)}
+                activeOpacity={0.8}
+              >
+                <Text style={[styles.tabText, tab === key && styles.tabTextActive]}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <ScrollView style={styles.body} showsVerticalScrollIndicator={false}>
+            {tab === 'partners' && (
+              <PairMatrix players={analysis.players} matrix={analysis.partnerMatrix} />
+            )}
+            {tab === 'opponents' && (
+              <PairMatrix players={analysis.players} matrix={analysis.opponentMatrix} />
+            )}
+            {tab === 'players' && (
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                <View>
+                  <View style={styles.matrixRow}>
+                    <View style={styles.nameCell} />
+                    <Text style={styles.headerCellWide}>Out</Text>
+                    {isFlexible && <Text style={styles.headerCellWide}>1v1</Text>}
+                    {analysis.courtNumbers.map((n) => (
+                      <Text key={n} style={styles.headerCell}>C{n}</Text>
+                    ))}
+                  </View>
+                  {players.map((p, i) => (
+                    <View key={p.id} style={styles.matrixRow}>
+                      <Text style={styles.nameCell} numberOfLines={1}>{p.name}</Text>
+                      <Text style={[styles.headerCellWide, styles.cellText]}>{sitOuts[i]}</Text>
+                      {isFlexible && (
+                        <Text style={[styles.headerCellWide, styles.cellText]}>
+                          {analysis.singlesCounts[p.id] || 0}
+                        </Text>
+                      )}
+                      {analysis.courtNumbers.map((n) => (
+                        <View key={n} style={styles.cell}>
+                          <Text style={styles.cellText}>{analysis.courtCounts[p.id]?.[n] || 0}</Text>
+                        </View>
+                      ))}
+                    </View>
+                  ))}
+                </View>
+              </ScrollView>
+            )}
+          </ScrollView>
+
+          <Text style={styles.footerHint}>
+            {tab === 'players'
+              ? isFlexible
+                ? 'Rounds sat out, singles games and games played on each court'
+                : 'Rounds sat out and games played on each court'
+              : 'Red cells are pairs who meet more than once'}
+          </Text>
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const CELL_SIZE = 28;
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    ...Platform.select({
+      web: {
+        backdropFilter: 'blur(4px)',
+      },
+    }),
+  },
+  modalContent: {
+    backgroundColor: colors.background,
+    borderRadius: 20,
+    width: '90%',
+    maxWidth: 560,
+    maxHeight: '80%',
+    ...Platform.select({
+      web: {
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.2)',
+      },
+      default: {
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 20 },
+        shadowOpacity: 0.2,
+        shadowRadius: 60,
+        elevation: 10,
+      },
+    }),
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: spacing.lg,
+    paddingBottom: spacing.md,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  closeButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: colors.secondary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    ...Platform.select({
+      web: { cursor: 'pointer' },
+    }),
+  },
+  closeText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+    gap: spacing.sm,
+  },
+  summaryItem: {
+    flex: 1,
+    backgroundColor: colors.secondary,
+    borderRadius: 12,
+    paddingVertical: spacing.sm,
+    alignItems: 'center',
+  },
+  summaryValue: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  summaryValueWarning: {
+    color: colors.error,
+  },
+  summaryLabel: {
+    fontSize: 11,
+    color: colors.textSecondary,
+  },
+  tabRow: {
+    flexDirection: 'row',
+    marginHorizontal: spacing.lg,
+    backgroundColor: colors.secondary,
+    borderRadius: 12,
+    padding: 4,
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  tabActive: {
+    backgroundColor: colors.background,
+    ...Platform.select({
+      web: {
+        boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)',
+      },
+      default: {
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 4,
+        elevation: 2,
+      },
+    }),
+  },
+  tabText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.textSecondary,
+  },
+  tabTextActive: {
+    color: colors.text,
+    fontWeight: '600',
+  },
+  body: {
+    padding: spacing.lg,
+    paddingTop: spacing.md,
+  },
+  matrixRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  nameCell: {
+    width: 80,
+    fontSize: 12,
+    color: colors.text,
+    paddingRight: spacing.xs,
+  },
+  headerCell: {
+    width: CELL_SIZE,
+    fontSize: 10,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  headerCellWide: {
+    width: CELL_SIZE + 8,
+    fontSize: 10,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  cell: {
+    width: CELL_SIZE,
+    height: CELL_SIZE,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cellSelf: {
+    backgroundColor: colors.secondary,
+  },
+  cellOnce: {
+    backgroundColor: colors.successLight,
+  },
+  cellRepeat: {
+    backgroundColor: colors.errorLight,
+  },
+  cellText: {
+    fontSize: 12,
+    color: colors.text,
+  },
+  footerHint: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+    padding: spacing.md,
+    paddingTop: 0,
+  },
+});
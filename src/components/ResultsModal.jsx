@@ -10,134 +10,13 @@ import {
   Pressable,
 } from 'react-native';
 import { colors, spacing } from '../utils/responsive';
-
-/**
- * Calculate player statistics from rounds data
- */
-function calculatePlayerStats(rounds, players, gameType) {
-  const stats = {};
-
-  // Initialize stats for all players
-  players.forEach((p) => {
-    stats[p.id] = {
-      id: p.id,
-      name: p.name,
-      gender: p.gender,
-      wins: 0,
-      losses: 0,
-      totalPoints: 0,
-      pointsAgainst: 0,
-      gamesPlayed: 0,
-    };
-  });
-
-  // Process each round and court
-  rounds.forEach((round) => {
-    round.courts.forEach((court) => {
-      // Only count completed games with scores
-      if (court.score?.team1 == null || court.score?.team2 == null) {
-        return;
-      }
-
-      const team1Score = court.score.team1;
-      const team2Score = court.score.team2;
-      const team1Won = team1Score > team2Score;
-      const isTie = team1Score === team2Score;
-
-      if (gameType === 'doubles') {
-        // Doubles: team1 = players[0,1], team2 = players[2,3]
-        const team1Players = court.team1 || [court.players[0], court.players[1]];
-        const team2Players = court.team2 || [court.players[2], court.players[3]];
-
-        team1Players.forEach((p) => {
-          if (p && stats[p.id]) {
-            stats[p.id].gamesPlayed++;
-            stats[p.id].totalPoints += team1Score;
-            stats[p.id].pointsAgainst += team2Score;
-            if (!isTie) {
-              if (team1Won) stats[p.id].wins++;
-              else stats[p.id].losses++;
-            }
-          }
-        });
-
-        team2Players.forEach((p) => {
-          if (p && stats[p.id]) {
-            stats[p.id].gamesPlayed++;
-            stats[p.id].totalPoints += team2Score;
-            stats[p.id].pointsAgainst += team1Score;
-            if (!isTie) {
-              if (!team1Won) stats[p.id].wins++;
-              else stats[p.id].losses++;
-            }
-          }
-        });
-      } else {
-        // Singles: players[0] vs players[1]
-        const p1 = court.players[0];
-        const p2 = court.players[1];
-
-        if (p1 && stats[p1.id]) {
-          stats[p1.id].gamesPlayed++;
-          stats[p1.id].totalPoints += team1Score;
-          stats[p1.id].pointsAgainst += team2Score;
-          if (!isTie) {
-            if (team1Won) stats[p1.id].wins++;
-            else stats[p1.id].losses++;
-          }
-        }
-
-        if (p2 && stats[p2.id]) {
-          stats[p2.id].gamesPlayed++;
-          stats[p2.id].totalPoints += team2Score;
-          stats[p2.id].pointsAgainst += team1Score;
-          if (!isTie) {
-            if (!team1Won) stats[p2.id].wins++;
-            else stats[p2.id].losses++;
-          }
-        }
-      }
-    });
-  });
-
-  // Calculate average point differential for each player
-  Object.values(stats).forEach((player) => {
-    if (player.gamesPlayed > 0) {
-      player.avgPointDiff = (player.totalPoints - player.pointsAgainst) / player.gamesPlayed;
-    } else {
-      player.avgPointDiff = 0;
-    }
-  });
-
-  return Object.values(stats);
-}
-
-/**
- * Assign ranks with ties support
- * Players with identical sorting values get the same rank
- */
-function assignRanks(sortedList, getCompareValue) {
-  const ranked = [];
-  let currentRank = 1;
-
-  sortedList.forEach((player, index) => {
-    if (index === 0) {
-      ranked.push({ ...player, rank: currentRank });
-    } else {
-      const prevValue = getCompareValue(sortedList[index - 1]);
-      const currValue = getCompareValue(player);
-      // If values are equal, keep same rank; otherwise, rank = position + 1
-      if (prevValue === currValue) {
-        ranked.push({ ...player, rank: currentRank });
-      } else {
-        currentRank = index + 1;
-        ranked.push({ ...player, rank: currentRank });
-      }
-    }
-  });
-
-  return ranked;
-}
+import {
+  calculatePlayerStats,
+  calculateTeamStats,
+  rankByWinRate,
+  rankBySwiss,
+  rankByTotalPoints,
+} from '../utils/standings';
 
 /**
  * Medal component for top 3 players
@@ -160,39 +39,31 @@ function Medal({ rank }) {
 
 /**
  * ResultsModal component
+ * When fixed teams are given (round robin), standings are per team instead of per player.
+ * Swiss sessions rank by wins with Buchholz as the tiebreak.
+ * With onSeedPlayoffs, the top of the win/loss standings can be sent to a playoff bracket.
+ * Handicapped sessions count only the points won in play (see calculatePlayerStats).
+ * Best-of-three sessions also show games won and lost within the matches.
  */
-export default function ResultsModal({ visible, onClose, rounds, players, gameType }) {
+export default function ResultsModal({ visible, onClose, rounds, players, gameType, handicap, teams, swiss, onSeedPlayoffs }) {
   const [activeTab, setActiveTab] = useState('winLoss'); // 'winLoss' | 'points'
+  const [playoffCount, setPlayoffCount] = useState(4);
+  const [playoffFormat, setPlayoffFormat] = useState('single'); // 'single' | 'double'
+  const [grandFinalReset, setGrandFinalReset] = useState(true);
 
   const playerStats = useMemo(
-    () => calculatePlayerStats(rounds, players, gameType),
-    [rounds, players, gameType]
+    () => (teams
+      ? calculateTeamStats(rounds, teams, players)
+      : calculatePlayerStats(rounds, players, gameType, handicap)),
+    [rounds, players, gameType, handicap, teams]
   );
 
-  const sortedByWinRate = useMemo(() => {
-    const filtered = [...playerStats].filter((p) => p.gamesPlayed > 0);
-    const sorted = filtered.sort((a, b) => {
-      const aRate = a.wins + a.losses > 0 ? a.wins / (a.wins + a.losses) : 0;
-      const bRate = b.wins + b.losses > 0 ? b.wins / (b.wins + b.losses) : 0;
-      if (bRate !== aRate) return bRate - aRate;
-      // Tiebreaker: average point differential (higher is better)
-      if (b.avgPointDiff !== a.avgPointDiff) return b.avgPointDiff - a.avgPointDiff;
-      return b.wins - a.wins; // Final tiebreaker: more total wins
-    });
-    // Create composite key for tie detection: win rate + avg point diff
-    return assignRanks(sorted, (p) => {
-      const rate = p.wins + p.losses > 0 ? p.wins / (p.wins + p.losses) : 0;
-      // Round to avoid floating point comparison issues
-      return `${rate.toFixed(4)}_${p.avgPointDiff.toFixed(2)}`;
-    });
-  }, [playerStats]);
+  const sortedByWinRate = useMemo(
+    () => (swiss ? rankBySwiss(playerStats) : rankByWinRate(playerStats)),
+    [playerStats, swiss]
+  );
 
-  const sortedByPoints = useMemo(() => {
-    const filtered = [...playerStats].filter((p) => p.gamesPlayed > 0);
-    const sorted = filtered.sort((a, b) => b.totalPoints - a.totalPoints);
-    // Assign ranks with ties for same total points
-    return assignRanks(sorted, (p) => p.totalPoints);
-  }, [playerStats]);
+  const sortedByPoints = useMemo(() => rankByTotalPoints(playerStats), [playerStats]);
 
   const displayList = activeTab === 'winLoss' ? sortedByWinRate : sortedByPoints;
 
@@ -203,6 +74,15 @@ export default function ResultsModal({ visible, onClose, rounds, players, gameTy
   };
 
   const hasGames = playerStats.some((p) => p.gamesPlayed > 0);
+  const hasMatches = rounds.some((round) => round.courts.some((c) => c.score?.games?.length));
+
+  // Doubles mixer players (and Singles + Doubles players) are paired up for
+  // the playoffs, so seed them two at a time
+  const playoffStep = gameType !== 'singles' && !teams ? 2 : 1;
+  const minPlayoffCount = playoffStep * 2;
+  const maxPlayoffCount = sortedByWinRate.length - (sortedByWinRate.length % playoffStep);
+  const clampedPlayoffCount = Math.min(Math.max(playoffCount, minPlayoffCount), maxPlayoffCount);
+  const canSeedPlayoffs = onSeedPlayoffs && maxPlayoffCount >= minPlayoffCount;
 
   return (
     <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
@@ -210,7 +90,7 @@ export default function ResultsModal({ visible, onClose, rounds, players, gameTy
         <Pressable style={styles.modalContent} onPress={(e) => e.stopPropagation()}>
           {/* Header */}
           <View style={styles.header}>
-            <Text style={styles.title}>Results</Text>
+            <Text style={styles.title}>{teams ? 'Team Standings' : 'Results'}</Text>
             <TouchableOpacity onPress={onClose} style={styles.closeButton} activeOpacity={0.7}>
               <Text style={styles.closeText}>✕</Text>
             </TouchableOpacity>
@@ -256,6 +136,8 @@ export default function ResultsModal({ visible, onClose, rounds, players, gameTy
                     {activeTab === 'winLoss' && (
                       <Text style={styles.avgDiffText}>
                         Avg Diff: {player.avgPointDiff >= 0 ? '+' : ''}{player.avgPointDiff.toFixed(1)}
+                        {hasMatches && ` • Games: ${player.gamesWon}-${player.gamesLost}`}
+                        {swiss && ` • Buchholz: ${player.buchholz}`}
                       </Text>
                     )}
                   </View>
@@ -273,6 +155,65 @@ export default function ResultsModal({ visible, onClose, rounds, players, gameTy
               ))
             )}
           </ScrollView>
+
+          {/* Playoff seeding */}
+          {canSeedPlayoffs && (
+            <View style={styles.playoffFooter}>
+              <View style={styles.playoffFormatRow}>
+                {[['single', 'Single Elim'], ['double', 'Double Elim']].map(([format, label]) => (
+                  <TouchableOpacity
+                    key={format}
+                    style={[styles.playoffChip, playoffFormat === format && styles.playoffChipActive]}
+                    onPress={() => setPlayoffFormat(format)}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[styles.playoffChipText, playoffFormat === format && styles.playoffChipTextActive]}>
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+                {playoffFormat === 'double' && (
+                  <TouchableOpacity
+                    style={[styles.playoffChip, grandFinalReset && styles.playoffChipActive]}
+                    onPress={() => setGrandFinalReset(!grandFinalReset)}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[styles.playoffChipText, grandFinalReset && styles.playoffChipTextActive]}>
+                      Reset Final
+                    </Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              <View style={styles.playoffRow}>
+                <Text style={styles.playoffLabel}>Top</Text>
+                <TouchableOpacity
+                  style={styles.playoffStepButton}
+                  onPress={() => setPlayoffCount(Math.max(minPlayoffCount, clampedPlayoffCount - playoffStep))}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.playoffStepText}>−</Text>
+                </TouchableOpacity>
+                <Text style={styles.playoffCount}>{clampedPlayoffCount}</Text>
+                <TouchableOpacity
+                  style={styles.playoffStepButton}
+                  onPress={() => setPlayoffCount(Math.min(maxPlayoffCount, clampedPlayoffCount + playoffStep))}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.playoffStepText}>+</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.playoffButton}
+                  onPress={() => onSeedPlayoffs(sortedByWinRate, clampedPlayoffCount, {
+                    format: playoffFormat,
+                    grandFinalReset,
+                  })}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.playoffButtonText}>Seed Playoffs</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
         </Pressable>
       </Pressable>
     </Modal>
@@ -379,6 +320,84 @@ const styles = StyleSheet.create({
     padding: spacing.lg,
     paddingTop: spacing.md,
   },
+  playoffFooter: {
+    gap: spacing.sm,
+    padding: spacing.lg,
+    paddingTop: spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  playoffFormatRow: {
+    flexDirection: 'row',
+    gap: spacing.xs,
+  },
+  playoffChip: {
+    paddingVertical: 6,
+    paddingHorizontal: spacing.sm,
+    borderRadius: 8,
+    backgroundColor: colors.secondary,
+    ...Platform.select({
+      web: { cursor: 'pointer' },
+    }),
+  },
+  playoffChipActive: {
+    backgroundColor: colors.primary,
+  },
+  playoffChipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.textSecondary,
+  },
+  playoffChipTextActive: {
+    color: '#fff',
+  },
+  playoffRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+  playoffLabel: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  playoffStepButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: colors.secondary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    ...Platform.select({
+      web: { cursor: 'pointer' },
+    }),
+  },
+  playoffStepText: {
+    fontSize: 16,
+    color: colors.text,
+    fontWeight: '600',
+  },
+  playoffCount: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    minWidth: 20,
+    textAlign: 'center',
+  },
+  playoffButton: {
+    flex: 1,
+    backgroundColor: colors.primary,
+    paddingVertical: 10,
+    borderRadius: 10,
+    alignItems: 'center',
+    ...Platform.select({
+      web: { cursor: 'pointer' },
+    }),
+  },
+  playoffButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   emptyState: {
     alignItems: 'center',
     paddingVertical: spacing.xxl,
@@ -10,9 +10,38 @@ import {
   Pressable,
 } from 'react-native';
 import { colors, spacing } from '../utils/responsive';
+import {
+  DEFAULT_GAME_RULES,
+  checkScore,
+  checkMatch,
+  countGamesWon,
+  describeGameRules,
+} from '../utils/gameRules';
 
 /**
- * ScoreEntry component for entering game scores
+ * Input text for each game of the match: [team1, team2] pairs, one per
+ * game that can be played. A single-game score fills the first row.
+ */
+function toGameInputs(score, bestOf) {
+  const played = score?.games?.length
+    ? score.games
+    : score?.team1 != null && score?.team2 != null ? [score] : [];
+  return Array.from({ length: Math.max(1, bestOf) }, (_, i) => (
+    played[i] ? [played[i].team1.toString(), played[i].team2.toString()] : ['', '']
+  ));
+}
+
+/**
+ * ScoreEntry component for entering game scores.
+ * Scores that break the session's game rules aren't saved; unusual ones
+ * need a second tap to confirm.
+ * With a handicap ({ team1, team2 } points from getCourtHandicap) the
+ * weaker side's head start is shown, and the score entered is the final
+ * scoreboard including it. A saved score shows the head start recorded
+ * with it.
+ * With bestOf > 1 each game of the match is entered on its own row; the
+ * saved score is the games each side won, with the game scores passed
+ * alongside.
  */
 export default function ScoreEntry({
   score,
@@ -20,32 +49,62 @@ export default function ScoreEntry({
   team1Label,
   team2Label,
   currentUserName = 'Organizer',
+  handicap: currentHandicap,
+  rules = DEFAULT_GAME_RULES,
+  bestOf = 1,
 }) {
   const [isModalVisible, setIsModalVisible] = useState(false);
-  const [team1Score, setTeam1Score] = useState(
-    score?.team1 !== null ? score.team1.toString() : ''
-  );
-  const [team2Score, setTeam2Score] = useState(
-    score?.team2 !== null ? score.team2.toString() : ''
-  );
+  const [gameInputs, setGameInputs] = useState(() => toGameInputs(score, bestOf));
+  const [scoreCheck, setScoreCheck] = useState(null); // ScoreCheck for the score last saved
 
-  const hasScore = score?.team1 !== null && score?.team2 !== null;
+  const hasScore = score?.team1 != null && score?.team2 != null;
+  const handicap = (hasScore && score.headStart) || currentHandicap;
+  const hasHandicap = handicap && (handicap.team1 > 0 || handicap.team2 > 0);
+  const isMatch = bestOf > 1;
 
   const handleOpen = () => {
-    setTeam1Score(score?.team1 !== null ? score.team1.toString() : '');
-    setTeam2Score(score?.team2 !== null ? score.team2.toString() : '');
+    setGameInputs(toGameInputs(score, bestOf));
+    setScoreCheck(null);
     setIsModalVisible(true);
   };
 
+  const updateGameInput = (gameIndex, side, text) => {
+    setGameInputs((prev) => prev.map((game, i) => {
+      if (i !== gameIndex) return game;
+      const next = [...game];
+      next[side] = text.replace(/[^0-9]/g, '');
+      return next;
+    }));
+    setScoreCheck(null);
+  };
+
   const handleSave = () => {
-    const t1 = parseInt(team1Score, 10);
-    const t2 = parseInt(team2Score, 10);
+    // Games left blank weren't played (a match can end 2-0)
+    const played = gameInputs.filter(([t1, t2]) => t1 !== '' || t2 !== '');
+    if (played.length === 0) {
+      return;
+    }
+    if (played.some(([t1, t2]) => t1 === '' || t2 === '')) {
+      setScoreCheck({ error: 'Enter both scores for every game played', warning: null });
+      return;
+    }
+    const games = played.map(([t1, t2]) => ({ team1: parseInt(t1, 10), team2: parseInt(t2, 10) }));
 
-    if (isNaN(t1) || isNaN(t2)) {
+    // Errors block the save; a warning is shown once, then saving again confirms it
+    const check = isMatch
+      ? checkMatch(games, bestOf, rules)
+      : checkScore(games[0].team1, games[0].team2, rules);
+    if (check.error || (check.warning && !scoreCheck?.warning)) {
+      setScoreCheck(check);
       return;
     }
 
-    onScoreUpdate(t1, t2, currentUserName);
+    if (isMatch) {
+      const won = countGamesWon(games);
+      onScoreUpdate(won.team1, won.team2, currentUserName, games);
+    } else {
+      onScoreUpdate(games[0].team1, games[0].team2, currentUserName);
+    }
     setIsModalVisible(false);
   };
 
@@ -77,6 +136,18 @@ export default function ScoreEntry({
         )}
       </TouchableOpacity>
 
+      {hasScore && score.games?.length > 0 && (
+        <Text style={styles.gamesText}>
+          {score.games.map((g) => `${g.team1}-${g.team2}`).join(', ')}
+        </Text>
+      )}
+
+      {hasHandicap && (
+        <Text style={styles.handicapText}>
+          Starts {handicap.team1}-{handicap.team2}
+        </Text>
+      )}
+
       {hasScore && score.lastUpdatedBy && (
         <Text style={styles.attribution}>
           {score.lastUpdatedBy} {score.lastUpdatedAt && formatTime(score.lastUpdatedAt)}
@@ -91,40 +162,73 @@ export default function ScoreEntry({
       >
         <Pressable style={styles.modalOverlay} onPress={handleCancel}>
           <Pressable style={styles.modalContent} onPress={(e) => e.stopPropagation()}>
-            <Text style={styles.modalTitle}>Enter Score</Text>
+            <Text style={styles.modalTitle}>{isMatch ? 'Enter Match Score' : 'Enter Score'}</Text>
+            <Text style={styles.rulesText}>
+              {isMatch ? `Best of ${bestOf} - ` : ''}{describeGameRules(rules)}
+            </Text>
 
-            <View style={styles.scoreInputRow}>
-              <View style={styles.scoreInputGroup}>
-                <Text style={styles.teamLabel} numberOfLines={1}>{team1Label}</Text>
-                <TextInput
-                  style={styles.scoreInput}
-                  value={team1Score}
-                  onChangeText={(t) => setTeam1Score(t.replace(/[^0-9]/g, ''))}
-                  keyboardType="number-pad"
-                  maxLength={2}
-                  placeholder="0"
-                  placeholderTextColor={colors.textMuted}
-                  autoFocus
-                  selectTextOnFocus
-                />
-              </View>
+            {gameInputs.map((game, i) => (
+              <View key={i} style={styles.scoreInputRow}>
+                <View style={styles.scoreInputGroup}>
+                  {i === 0 && (
+                    <Text style={styles.teamLabel} numberOfLines={1}>{team1Label}</Text>
+                  )}
+                  {i === 0 && hasHandicap && (
+                    <Text style={styles.headStart}>{handicap.team1 > 0 ? `+${handicap.team1} start` : ' '}</Text>
+                  )}
+                  <TextInput
+                    style={styles.scoreInput}
+                    value={game[0]}
+                    onChangeText={(t) => updateGameInput(i, 0, t)}
+                    keyboardType="number-pad"
+                    maxLength={2}
+                    placeholder="0"
+                    placeholderTextColor={colors.textMuted}
+                    autoFocus={i === 0}
+                    selectTextOnFocus
+                  />
+                </View>
 
-              <Text style={styles.inputDash}>-</Text>
+                {isMatch ? (
+                  <Text style={styles.gameLabel}>G{i + 1}</Text>
+                ) : (
+                  <Text style={styles.inputDash}>-</Text>
+                )}
 
-              <View style={styles.scoreInputGroup}>
-                <Text style={styles.teamLabel} numberOfLines={1}>{team2Label}</Text>
-                <TextInput
-                  style={styles.scoreInput}
-                  value={team2Score}
-                  onChangeText={(t) => setTeam2Score(t.replace(/[^0-9]/g, ''))}
-                  keyboardType="number-pad"
-                  maxLength={2}
-                  placeholder="0"
-                  placeholderTextColor={colors.textMuted}
-                  selectTextOnFocus
-                />
+                <View style={styles.scoreInputGroup}>
+                  {i === 0 && (
+                    <Text style={styles.teamLabel} numberOfLines={1}>{team2Label}</Text>
+                  )}
+                  {i === 0 && hasHandicap && (
+                    <Text style={styles.headStart}>{handicap.team2 > 0 ? `+${handicap.team2} start` : ' '}</Text>
+                  )}
+                  <TextInput
+                    style={styles.scoreInput}
+                    value={game[1]}
+                    onChangeText={(t) => updateGameInput(i, 1, t)}
+                    keyboardType="number-pad"
+                    maxLength={2}
+                    placeholder="0"
+                    placeholderTextColor={colors.textMuted}
+                    selectTextOnFocus
+                  />
+                </View>
               </View>
-            </View>
+            ))}
+
+            {hasHandicap && (
+              <Text style={styles.updaterNote}>
+                {isMatch
+                  ? "Enter each game's final score, head start included"
+                  : 'Enter the final score, head start included'}
+              </Text>
+            )}
+
+            {scoreCheck?.error ? (
+              <Text style={styles.scoreError}>{scoreCheck.error}</Text>
+            ) : scoreCheck?.warning ? (
+              <Text style={styles.scoreWarning}>{scoreCheck.warning} - check it and save again to confirm</Text>
+            ) : null}
 
             <Text style={styles.updaterNote}>
               Entered by: {currentUserName}
@@ -143,7 +247,7 @@ export default function ScoreEntry({
                 onPress={handleSave}
                 activeOpacity={0.8}
               >
-                <Text style={styles.saveButtonText}>Save</Text>
+                <Text style={styles.saveButtonText}>{scoreCheck?.warning ? 'Save Anyway' : 'Save'}</Text>
               </TouchableOpacity>
             </View>
           </Pressable>
@@ -205,6 +309,21 @@ const styles = StyleSheet.create({
       web: { userSelect: 'none' },
     }),
   },
+  gamesText: {
+    fontSize: 11,
+    color: colors.textSecondary,
+    ...Platform.select({
+      web: { userSelect: 'none' },
+    }),
+  },
+  handicapText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: colors.warning,
+    ...Platform.select({
+      web: { userSelect: 'none' },
+    }),
+  },
   modalOverlay: {
     flex: 1,
     backgroundColor: 'rgba(0, 0, 0, 0.4)',
@@ -242,6 +361,24 @@ const styles = StyleSheet.create({
     color: colors.text,
     textAlign: 'center',
   },
+  rulesText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: -spacing.md,
+  },
+  scoreError: {
+    fontSize: 14,
+    color: colors.error,
+    fontWeight: '500',
+    textAlign: 'center',
+  },
+  scoreWarning: {
+    fontSize: 14,
+    color: colors.warning,
+    fontWeight: '500',
+    textAlign: 'center',
+  },
   scoreInputRow: {
     flexDirection: 'row',
     alignItems: 'flex-end',
@@ -259,6 +396,11 @@ const styles = StyleSheet.create({
     maxWidth: 100,
     textAlign: 'center',
   },
+  headStart: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.warning,
+  },
   scoreInput: {
     width: 72,
     height: 64,
@@ -283,6 +425,14 @@ const styles = StyleSheet.create({
     color: colors.textMuted,
     marginBottom: spacing.sm,
   },
+  gameLabel: {
+    width: 32,
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginBottom: spacing.lg,
+  },
   updaterNote: {
     fontSize: 13,
     color: colors.textMuted,
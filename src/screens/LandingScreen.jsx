@@ -13,6 +13,7 @@ import {
 import { useResponsive, colors, spacing } from '../utils/responsive';
 import { loadOrganizerHistory, removeOrganizerSession, uploadAvatar, getAvatarUrl } from '../utils/storage';
 import { supabase } from '../utils/supabase';
+import { GENDER_OPTIONS } from '../utils/playerCategories';
 
 export default function LandingScreen({ onCreateSession, onJoinSession, onRejoinAsOrganizer, onViewHistory, user }) {
   const { isDesktop } = useResponsive();
@@ -20,7 +21,7 @@ export default function LandingScreen({ onCreateSession, onJoinSession, onRejoin
   const [joinTab, setJoinTab] = useState('players'); // 'players' | 'organizers'
   const [sessionCode, setSessionCode] = useState('');
   const [name, setName] = useState('');
-  const [gender, setGender] = useState(null); // 'male' | 'female'
+  const [gender, setGender] = useState(null); // one of GENDER_OPTIONS
   const [error, setError] = useState('');
   const [organizerHistory, setOrganizerHistory] = useState([]);
   const [organizerCode, setOrganizerCode] = useState('');
@@ -334,43 +335,27 @@ export default function LandingScreen({ onCreateSession, onJoinSession, onRejoin
 
                   <Text style={styles.label}>Gender (for mixed doubles)</Text>
                   <View style={styles.genderRow}>
-                    <TouchableOpacity
-                      style={[
-                        styles.genderButton,
-                        gender === 'male' && styles.genderButtonSelected,
-                        isDesktop && styles.genderButtonDesktop,
-                      ]}
-                      onPress={() => setGender('male')}
-                      activeOpacity={0.8}
-                    >
-                      <Text
-                        style={[
-                          styles.genderButtonText,
-                          gender === 'male' && styles.genderButtonTextSelected,
-                        ]}
-                      >
-                        Male
-                      </Text>
-                    </TouchableOpacity>
-
-                    <TouchableOpacity
-                      style={[
-                        styles.genderButton,
-                        gender === 'female' && styles.genderButtonSelected,
-                        isDesktop && styles.genderButtonDesktop,
-                      ]}
-                      onPress={() => setGender('female')}
-                      activeOpacity={0.8}
-                    >
-                      <Text
+                    {GENDER_OPTIONS.map((option) => (
+                      <TouchableOpacity
+                        key={option.value}
                         style={[
-                          styles.genderButtonText,
-                          gender === 'female' && styles.genderButtonTextSelected,
+                          styles.genderButton,
+                          gender === option.value && styles.genderButtonSelected,
+                          isDesktop && styles.genderButtonDesktop,
                         ]}
+                        onPress={() => setGender(option.value)}
+                        activeOpacity={0.8}
                       >
-                        Female
-                      </Text>
-                    </TouchableOpacity>
+                        <Text
+                          style={[
+                            styles.genderButtonText,
+                            gender === option.value && styles.genderButtonTextSelected,
+                          ]}
+                        >
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
                   </View>
 
                   {error ? <Text style={styles.error}>{error}</Text> : null}
@@ -831,11 +816,13 @@ const styles = StyleSheet.create({
   },
   genderRow: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     gap: spacing.md,
     marginBottom: spacing.lg,
   },
   genderButton: {
     flex: 1,
+    minWidth: '40%',
     backgroundColor: colors.secondary,
     paddingVertical: 14,
     borderRadius: 12,
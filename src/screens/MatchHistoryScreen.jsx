@@ -9,20 +9,22 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { useResponsive, colors, spacing } from '../utils/responsive';
-import { loadMatchHistory, resolvePlayerNames } from '../utils/storage';
+import { loadMatchHistory, loadMyRating, resolvePlayerNames } from '../utils/storage';
 
 export default function MatchHistoryScreen({ onBack, user }) {
   const { isDesktop } = useResponsive();
   const [sessions, setSessions] = useState([]);
   const [playerNames, setPlayerNames] = useState(new Map());
+  const [myRating, setMyRating] = useState(null);
   const [loading, setLoading] = useState(true);
   const [expandedSession, setExpandedSession] = useState(null);
 
   useEffect(() => {
     async function fetchHistory() {
       setLoading(true);
-      const history = await loadMatchHistory();
+      const [history, rating] = await Promise.all([loadMatchHistory(), loadMyRating()]);
       setSessions(history);
+      setMyRating(rating);
 
       // Collect all player IDs for name resolution
       const allPlayerIds = [];
@@ -51,6 +53,8 @@ export default function MatchHistoryScreen({ onBack, user }) {
 
   const getPlayerName = (id) => playerNames.get(id) || 'Unknown';
 
+  const formatRatingChange = (change) => (change > 0 ? `+${change.toFixed(1)}` : change.toFixed(1));
+
   const toggleSession = (sessionCode) => {
     setExpandedSession((prev) => (prev === sessionCode ? null : sessionCode));
   };
@@ -72,6 +76,26 @@ export default function MatchHistoryScreen({ onBack, user }) {
           <Text style={[styles.title, isDesktop && styles.titleDesktop]}>Match History</Text>
         </View>
 
+        {/* Elo rating, updated after every completed game */}
+        {!loading && myRating && (
+          <View style={styles.ratingCard}>
+            <View style={styles.ratingItem}>
+              <Text style={styles.ratingValue}>{Math.round(myRating.rating)}</Text>
+              <Text style={styles.ratingLabel}>Rating</Text>
+            </View>
+            <View style={styles.ratingItem}>
+              <Text style={styles.ratingValue}>{myRating.gamesPlayed}</Text>
+              <Text style={styles.ratingLabel}>Rated Games</Text>
+            </View>
+            <View style={styles.ratingItem}>
+              <Text style={styles.ratingValue}>
+                {myRating.gamesPlayed > 0 ? Math.round((myRating.wins / myRating.gamesPlayed) * 100) : 0}%
+              </Text>
+              <Text style={styles.ratingLabel}>Won</Text>
+            </View>
+          </View>
+        )}
+
         {loading ? (
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color={colors.primary} />
@@ -99,8 +123,14 @@ export default function MatchHistoryScreen({ onBack, user }) {
                       <Text style={styles.sessionDate}>{formatDate(session.sessionDate)}</Text>
                       <Text style={styles.sessionType}>
                         {session.gameType === 'doubles'
-                          ? (session.pairingMode === 'mixed' ? 'Mixed Doubles' : 'Doubles')
-                          : 'Singles'}
+                          ? (session.pairingMode === 'mixed' ? 'Mixed Doubles'
+                            : session.pairingMode === 'same-gender' ? 'Same-Gender Doubles'
+                            : session.pairingMode === 'balanced' ? 'Balanced Doubles'
+                            : session.pairingMode === 'king' ? 'King of the Court'
+                            : session.pairingMode === 'teams' ? 'Team Round Robin'
+                            : session.pairingMode === 'swiss' ? 'Team Swiss' : 'Doubles')
+                          : session.gameType === 'flexible' ? 'Singles + Doubles'
+                          : session.pairingMode === 'swiss' ? 'Singles Swiss' : 'Singles'}
                       </Text>
                     </View>
                   </View>
@@ -134,6 +164,21 @@ export default function MatchHistoryScreen({ onBack, user }) {
                             ) : (
                               <Text style={styles.noScoreText}>No score</Text>
                             )}
+                            {match.games?.length > 0 && (
+                              <Text style={styles.gamesText}>
+                                {match.games.map((g) => `${g.team1}-${g.team2}`).join(', ')}
+                              </Text>
+                            )}
+                            {match.ratingChange != null && (
+                              <Text
+                                style={[
+                                  styles.ratingChangeText,
+                                  match.ratingChange < 0 && styles.ratingChangeDown,
+                                ]}
+                              >
+                                {formatRatingChange(match.ratingChange)}
+                              </Text>
+                            )}
                           </View>
                         </View>
                       ))}
@@ -189,6 +234,37 @@ const styles = StyleSheet.create({
   titleDesktop: {
     fontSize: 28,
   },
+  ratingCard: {
+    flexDirection: 'row',
+    backgroundColor: colors.background,
+    borderRadius: 16,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+    gap: spacing.sm,
+    ...Platform.select({
+      web: { boxShadow: '0 2px 8px rgba(0, 0, 0, 0.06)' },
+      default: {
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.06,
+        shadowRadius: 8,
+        elevation: 2,
+      },
+    }),
+  },
+  ratingItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  ratingValue: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  ratingLabel: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
   loadingContainer: {
     alignItems: 'center',
     paddingVertical: spacing.xxl,
@@ -295,15 +371,30 @@ const styles = StyleSheet.create({
   },
   matchScore: {
     marginLeft: spacing.md,
+    alignItems: 'flex-end',
   },
   scoreText: {
     fontSize: 16,
     fontWeight: '700',
     color: colors.primaryDark,
   },
+  gamesText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
   noScoreText: {
     fontSize: 13,
     color: colors.textMuted,
     fontStyle: 'italic',
   },
+  ratingChangeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.success,
+    marginTop: 2,
+  },
+  ratingChangeDown: {
+    color: colors.error,
+  },
 });
@@ -10,12 +10,74 @@ import {
   Modal,
   Pressable,
 } from 'react-native';
-import { shufflePlayers } from '../utils/shuffle';
+import {
+  teamRating,
+  generateSeed,
+  generateNextRound,
+  generateNextKingOfCourtRound,
+  generateNextSwissRound,
+  isRoundDecided,
+  isRoundStarted,
+  repairSchedule,
+  scheduleNeedsRepair,
+  findConstraintViolations,
+  findUnscheduledMatches,
+  findBackToBackSitOuts,
+  previewMixedDoublesRound,
+  getTeamName,
+  getCourtFormat,
+  getCourtHandicap,
+  DEFAULT_HANDICAP,
+  getAvailableCourts,
+  closeCourtFrom,
+  reopenCourtFrom,
+  countFrozenRounds,
+  OPTIMIZER_MAX_PLAYERS,
+} from '../utils/shuffle';
+import { shufflePlayersAsync } from '../utils/shuffleAsync';
+import { GENDER_OPTIONS, DEFAULT_MIXED_SIDES, genderShort, describeMixedSide } from '../utils/playerCategories';
+import { planRoundCount, estimateRoundTimes, parseClockTime, formatClockTime } from '../utils/sessionTiming';
+import { DEFAULT_GAME_RULES, DEFAULT_MATCH_FORMAT, describeGameRules } from '../utils/gameRules';
+import {
+  createEntrantsFromStandings,
+  createSingleEliminationBracket,
+  createDoubleEliminationBracket,
+  recordBracketResult,
+} from '../utils/bracket';
 import { useResponsive, colors, spacing } from '../utils/responsive';
-import { saveSessionToCloud, saveShuffleResultsToCloud, updateCourtInCloud } from '../utils/storage';
+import {
+  saveSessionToCloud,
+  saveShuffleResultsToCloud,
+  updateCourtInCloud,
+  saveBracketToCloud,
+  loadPlayerRatings,
+  toLocalPlayer,
+} from '../utils/storage';
 import { supabase } from '../utils/supabase';
 import ScoreEntry from '../components/ScoreEntry';
 import ResultsModal from '../components/ResultsModal';
+import FairnessModal from '../components/FairnessModal';
+import BracketView from '../components/BracketView';
+
+// Accepted skill rating range in the Edit Player modal
+const MIN_RATING = 1;
+const MAX_RATING = 8;
+
+const PAIRING_MODE_LABELS = {
+  random: 'Random',
+  mixed: 'Mixed',
+  'same-gender': 'Same-Gender',
+  balanced: 'Balanced',
+  king: 'King of the Court',
+  teams: 'Fixed Teams',
+  swiss: 'Swiss',
+};
+
+const CONSTRAINT_TYPE_LABELS = {
+  'must-partner': 'Always Partner',
+  'never-partner': 'Never Partner',
+  'never-oppose': 'Never Oppose',
+};
 
 export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate, initialData, user }) {
   const { isDesktop, width } = useResponsive();
@@ -23,21 +85,67 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
   // Game configuration - restore from initialData if available
   const [gameType, setGameType] = useState(initialData?.config?.gameType || null);
   const [pairingMode, setPairingMode] = useState(initialData?.config?.pairingMode || null);
+  const [mixedFallback, setMixedFallback] = useState(initialData?.config?.mixedFallback || 'sit-out'); // 'sit-out' | 'random' | 'same-gender'
+  const [mixedSides, setMixedSides] = useState(initialData?.config?.mixedSides || DEFAULT_MIXED_SIDES);
+  // Balanced doubles: head start for the weaker team (HandicapConfig), null for none
+  const [handicap, setHandicap] = useState(initialData?.config?.handicap || null);
+  // How a game is won (GameRules) - score entry checks scores against these
+  const [gameRules, setGameRules] = useState(initialData?.config?.gameRules || DEFAULT_GAME_RULES);
+  // Games per court (MatchFormat) for pool play rounds and the playoff bracket
+  const [matchFormat, setMatchFormat] = useState(initialData?.config?.matchFormat || DEFAULT_MATCH_FORMAT);
   const [numRounds, setNumRounds] = useState(initialData?.config?.numRounds?.toString() || '3');
   const [numCourts, setNumCourts] = useState(initialData?.config?.numCourts?.toString() || '2');
+  // Rounds each court can be used in (courtNumber → { fromRound, toRound }), see getAvailableCourts
+  const [courtAvailability, setCourtAvailability] = useState(initialData?.config?.courtAvailability || {});
+
+  // Time-boxed planning: numRounds is worked out from the time the courts are booked for
+  const [planMode, setPlanMode] = useState(initialData?.config?.planMode || 'rounds'); // 'rounds' | 'time'
+  const [timePlan, setTimePlan] = useState(
+    initialData?.config?.timePlan || { startTime: '', endTime: '', gameMinutes: 15, changeoverMinutes: 3 }
+  );
+
+  // Shuffle seed - the applied seed is kept so the draw can be rebuilt exactly
+  const [seed, setSeed] = useState(initialData?.config?.seed ?? null);
+  const [seedInput, setSeedInput] = useState('');
+
+  // Round-by-round scheduling keeps serialized fairness counts between rounds
+  const [scheduleMode, setScheduleMode] = useState(initialData?.config?.scheduleMode || 'all'); // 'all' | 'incremental'
+  const [optimize, setOptimize] = useState(initialData?.config?.optimize || false);
+  const [numCandidates, setNumCandidates] = useState(initialData?.config?.candidates || 1);
+  const [fairnessState, setFairnessState] = useState(initialData?.fairnessState || null);
+
+  // Pair constraints (pinned / forbidden pairs) and the pair being built in the editor
+  const [constraints, setConstraints] = useState(initialData?.config?.constraints || []);
+  const [selectedConstraintType, setSelectedConstraintType] = useState('must-partner');
+  const [constraintDraft, setConstraintDraft] = useState([]);
+  // Singles has no partners, so only Never Oppose applies
+  const constraintTypes = gameType === 'singles' ? ['never-oppose'] : Object.keys(CONSTRAINT_TYPE_LABELS);
+  const constraintType = constraintTypes.includes(selectedConstraintType) ? selectedConstraintType : constraintTypes[0];
+
+  // Fixed doubles teams for round robin play, and the team being picked
+  const [teams, setTeams] = useState(initialData?.config?.teams || []);
+  const [teamDraft, setTeamDraft] = useState([]);
 
   // Players and rounds - restore from initialData if available
   const [players, setPlayers] = useState(initialData?.players || []);
   const [rounds, setRounds] = useState(initialData?.rounds || []);
   const [isShuffled, setIsShuffled] = useState(initialData?.isShuffled || false);
+  const [bracket, setBracket] = useState(initialData?.bracket || null);
   const [error, setError] = useState('');
+  const [shuffleProgress, setShuffleProgress] = useState(null); // ShuffleProgress while a schedule is being built
+  const [candidateResults, setCandidateResults] = useState(null); // ShuffleCandidate[] from the last best-of-N shuffle
+  const [eloRatings, setEloRatings] = useState(new Map()); // profile id → PlayerRating, for signed-up players
   const [editingPlayer, setEditingPlayer] = useState(null);
   const [editName, setEditName] = useState('');
   const [editGender, setEditGender] = useState('male');
+  const [editRating, setEditRating] = useState('');
+  const [editFlex, setEditFlex] = useState(false);
+  const [editError, setEditError] = useState('');
 
   // Player count input for generating slots
   const [playerCountInput, setPlayerCountInput] = useState('8');
   const [showResults, setShowResults] = useState(false);
+  const [showFairness, setShowFairness] = useState(false);
   const [sessionName, setSessionName] = useState(initialData?.sessionName || '');
   const [isEditingSessionName, setIsEditingSessionName] = useState(false);
   const [tempSessionName, setTempSessionName] = useState('');
@@ -51,6 +159,7 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
 
   // Track if this is initial mount to avoid saving on restore
   const isInitialMount = useRef(true);
+  const shuffleAbortRef = useRef(null);
 
   // Calculate grid columns for courts based on screen width
   const courtColumns = useMemo(() => {
@@ -59,6 +168,11 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
     return 1;
   }, [width]);
 
+  // Stop a running shuffle worker when leaving the screen
+  useEffect(() => () => {
+    if (shuffleAbortRef.current) shuffleAbortRef.current.abort();
+  }, []);
+
   // Auto-save session when state changes
   useEffect(() => {
     if (isInitialMount.current) {
@@ -73,19 +187,35 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
           config: {
             gameType,
             pairingMode,
+            mixedFallback,
+            mixedSides,
+            handicap,
+            gameRules,
+            matchFormat,
             numRounds: parseInt(numRounds, 10) || 3,
             numCourts: parseInt(numCourts, 10) || 2,
+            courtAvailability,
+            planMode,
+            timePlan,
+            seed,
+            scheduleMode,
+            optimize,
+            candidates: numCandidates,
+            constraints,
+            teams,
           },
           players,
           rounds,
           isShuffled,
           courtNames,
+          fairnessState,
+          bracket,
         });
       }
     }, 500);
 
     return () => clearTimeout(timeoutId);
-  }, [sessionName, gameType, pairingMode, numRounds, numCourts, players, rounds, isShuffled, courtNames, onSessionUpdate]);
+  }, [sessionName, gameType, pairingMode, mixedFallback, mixedSides, handicap, gameRules, matchFormat, numRounds, numCourts, courtAvailability, planMode, timePlan, seed, scheduleMode, optimize, numCandidates, constraints, teams, players, rounds, isShuffled, courtNames, fairnessState, bracket, onSessionUpdate]);
 
   // Cloud sync: save session config to Supabase when user is logged in
   useEffect(() => {
@@ -94,14 +224,15 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
     const timeoutId = setTimeout(() => {
       saveSessionToCloud(sessionCode, {
         sessionName,
-        config: { gameType, pairingMode, numRounds: parseInt(numRounds, 10) || 3, numCourts: parseInt(numCourts, 10) || 2 },
+        config: { gameType, pairingMode, mixedFallback, mixedSides, handicap, gameRules, matchFormat, numRounds: parseInt(numRounds, 10) || 3, numCourts: parseInt(numCourts, 10) || 2, courtAvailability, planMode, timePlan, seed, scheduleMode, optimize, candidates: numCandidates, constraints, teams },
         courtNames,
         isShuffled,
+        fairnessState,
       });
     }, 1000);
 
     return () => clearTimeout(timeoutId);
-  }, [user, sessionCode, sessionName, gameType, pairingMode, numRounds, numCourts, courtNames, isShuffled]);
+  }, [user, sessionCode, sessionName, gameType, pairingMode, mixedFallback, mixedSides, handicap, gameRules, matchFormat, numRounds, numCourts, courtAvailability, planMode, timePlan, seed, scheduleMode, optimize, numCandidates, constraints, teams, courtNames, isShuffled, fairnessState]);
 
   // Real-time: subscribe to court score/status updates from other clients
   useEffect(() => {
@@ -131,6 +262,10 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
                   lastUpdatedAt: updated.score_updated_at
                     ? new Date(updated.score_updated_at).getTime()
                     : court.score.lastUpdatedAt,
+                  ...(updated.games ? { games: updated.games } : {}),
+                  ...(updated.score_team1 != null
+                    ? { headStart: { team1: updated.head_start_team1 ?? 0, team2: updated.head_start_team2 ?? 0 } }
+                    : {}),
                 },
               };
             }),
@@ -157,18 +292,14 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
           setPlayers((prev) => {
             // Avoid duplicates
             if (prev.some((p) => p.id === payload.new.id)) return prev;
-            return [...prev, {
-              id: payload.new.id,
-              name: payload.new.player_name,
-              gender: payload.new.gender,
-            }];
+            return [...prev, toLocalPlayer(payload.new)];
           });
         } else if (payload.eventType === 'DELETE') {
           setPlayers((prev) => prev.filter((p) => p.id !== payload.old.id));
         } else if (payload.eventType === 'UPDATE') {
           setPlayers((prev) => prev.map((p) =>
             p.id === payload.new.id
-              ? { ...p, name: payload.new.player_name, gender: payload.new.gender }
+              ? { ...p, ...toLocalPlayer(payload.new) }
               : p
           ));
         }
@@ -178,13 +309,127 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
     return () => { supabase.removeChannel(channel); };
   }, [supabase, sessionCode]);
 
+  // Elo ratings of signed-up players. The database updates them when a court
+  // is completed, so fetch again (after the court has saved) as courts finish
+  // or finished courts have their scores corrected.
+  const linkedProfileIds = players.map((p) => p.userId).filter(Boolean).join(',');
+  const completedResults = rounds
+    .flatMap((round) => round.courts.filter((c) => c.status === 'completed'))
+    .map((c) => `${c.id}:${c.score?.team1}-${c.score?.team2}`)
+    .join(',');
+  useEffect(() => {
+    if (!supabase || !linkedProfileIds) return;
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      const ratings = await loadPlayerRatings(linkedProfileIds.split(','));
+      if (!cancelled) setEloRatings(ratings);
+    }, 1000);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [supabase, linkedProfileIds, completedResults]);
+
+  const eloLabel = (player) => {
+    const elo = player.userId ? eloRatings.get(player.userId) : null;
+    return elo ? `, Elo ${Math.round(elo.rating)}` : '';
+  };
+
+  // Roster breakdown by gender, e.g. "5M / 3F / 1NB" (genders nobody has are
+  // left out, apart from M and F)
   const playerCounts = useMemo(() => {
-    const males = players.filter((p) => p.gender === 'male').length;
-    const females = players.filter((p) => p.gender === 'female').length;
-    return { total: players.length, males, females };
+    const breakdown = GENDER_OPTIONS
+      .map((option) => ({ option, count: players.filter((p) => p.gender === option.value).length }))
+      .filter(({ option, count }) => count > 0 || option.value === 'male' || option.value === 'female')
+      .map(({ option, count }) => (option.value === 'unspecified' ? `${count} not stated` : `${count}${genderShort(option.value)}`))
+      .join(' / ');
+    return { total: players.length, breakdown };
   }, [players]);
 
-  const handleShuffle = () => {
+  // King of the Court and Swiss are always built round by round from the
+  // scores and fixed teams always play a full round robin; other modes opt
+  // in to round by round
+  const isRoundRobin = pairingMode === 'teams';
+  const isSwiss = pairingMode === 'swiss';
+  const isScoreDriven = pairingMode === 'king' || isSwiss;
+  const isIncremental = scheduleMode === 'incremental' && !isScoreDriven && !isRoundRobin;
+  const isRoundByRound = isScoreDriven || isIncremental;
+  const canGenerateNextRound = !isScoreDriven || isRoundDecided(rounds[rounds.length - 1]);
+
+  // Handicaps only apply to balanced doubles
+  const activeHandicap = pairingMode === 'balanced' ? handicap : null;
+
+  // Doubles Swiss pairs the registered teams, like the round robin
+  const usesTeams = gameType === 'doubles' && (isRoundRobin || isSwiss);
+
+  // Courts can be taken offline from the first round that hasn't started
+  // (round-by-round sessions: the next round to be generated)
+  const courtNumberList = Array.from({ length: parseInt(numCourts, 10) || 1 }, (_, i) => i + 1);
+  const nextUnstartedRound = (isRoundByRound ? rounds.length : countFrozenRounds(rounds)) + 1;
+  const openCourts = getAvailableCourts(courtNumberList.length, courtAvailability, nextUnstartedRound);
+
+  // Up-front schedules go stale when the roster or open courts change after shuffling
+  const needsRepair = useMemo(
+    () => isShuffled && !isRoundByRound && !isRoundRobin &&
+      scheduleNeedsRepair(rounds, players, parseInt(numCourts, 10) || 1, courtAvailability),
+    [isShuffled, isRoundByRound, isRoundRobin, rounds, players, numCourts, courtAvailability]
+  );
+
+  // Time-planned sessions show when each round starts, re-estimated as rounds are scored
+  const isTimePlanned = planMode === 'time' && !isRoundByRound && !isRoundRobin;
+  const plannedRounds = isTimePlanned ? planRoundCount(timePlan) : null;
+  const sessionTiming = useMemo(
+    () => (isTimePlanned ? estimateRoundTimes(rounds, timePlan) : null),
+    [isTimePlanned, rounds, timePlan]
+  );
+
+  // Players can also leave from another client, so only pass on constraints
+  // whose players are both still in the roster
+  const activeConstraints = useMemo(() => {
+    const rosterIds = new Set(players.map((p) => p.id));
+    return constraints.filter((c) => c.playerIds.every((id) => rosterIds.has(id)));
+  }, [constraints, players]);
+
+  // King of the Court and Swiss lineups follow the scores and fixed teams
+  // never change partners, so pair constraints don't apply to them
+  const constraintViolations = useMemo(
+    () => (isShuffled && !isScoreDriven && !isRoundRobin
+      ? findConstraintViolations(rounds, activeConstraints, players, gameType)
+      : []),
+    [isShuffled, isScoreDriven, isRoundRobin, rounds, activeConstraints, players, gameType]
+  );
+
+  // Round robins lose the matchups that no longer fit once the courts close
+  const unscheduledMatches = useMemo(
+    () => (isShuffled && isRoundRobin ? findUnscheduledMatches(teams, players, rounds) : []),
+    [isShuffled, isRoundRobin, teams, players, rounds]
+  );
+
+  // Sit-outs are spaced so nobody sits twice in a row; whatever is left
+  // couldn't be avoided with this many players per court
+  const sitOutViolations = useMemo(
+    () => (isShuffled ? findBackToBackSitOuts(rounds, players) : []),
+    [isShuffled, rounds, players]
+  );
+
+  const playersWithoutTeam = useMemo(
+    () => players.filter((p) => !teams.some((t) => t.playerIds.includes(p.id))),
+    [players, teams]
+  );
+
+  // Mixed doubles: who sits out each round, shown before shuffling so an
+  // unbalanced roster can be fixed with the fallback policy or flex players
+  const mixedPreview = useMemo(() => {
+    if (gameType !== 'doubles' || pairingMode !== 'mixed' || isShuffled || players.length < 4) return null;
+    const preview = previewMixedDoublesRound(players, parseInt(numCourts, 10) || 1, { mixedFallback, mixedSides });
+    const rate = (side) =>
+      preview.sides[side].players > 0 ? preview.sides[side].sitOuts / preview.sides[side].players : 0;
+    return { ...preview, isUnbalanced: Math.abs(rate('a') - rate('b')) > 0.25 };
+  }, [gameType, pairingMode, isShuffled, players, numCourts, mixedFallback, mixedSides]);
+
+  const handleShuffle = async () => {
     setError('');
 
     if (players.length === 0) {
@@ -200,12 +445,155 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
       return;
     }
 
-    const result = shufflePlayers({
+    let result;
+    let nextFairnessState = null;
+
+    if (isIncremental) {
+      // Only the first round now - later rounds follow the live roster
+      const firstSeed = seedInput.trim() || generateSeed();
+      const next = generateNextRound(null, players, {
+        gameType,
+        pairingMode,
+        numCourts: parseInt(numCourts, 10) || 1,
+        courtAvailability,
+        seed: firstSeed,
+        constraints: activeConstraints,
+        mixedFallback,
+        mixedSides,
+      });
+      result = { rounds: next.round ? [next.round] : [], error: next.error, seed: firstSeed };
+      nextFairnessState = next.fairnessState;
+    } else {
+      // Full schedules run in a worker so big sessions can show progress and be cancelled
+      // A typed seed rebuilds that exact schedule, so there is nothing to compare
+      const candidates = isRoundRobin || seedInput.trim() ? 1 : numCandidates;
+      const controller = new AbortController();
+      shuffleAbortRef.current = controller;
+      setShuffleProgress(candidates > 1
+        ? { stage: 'candidates', completed: 0, total: candidates }
+        : { stage: 'rounds', completed: 0, total: parseInt(numRounds, 10) || 1 });
+
+      result = await shufflePlayersAsync({
+        players,
+        gameType,
+        pairingMode,
+        numRounds: parseInt(numRounds, 10) || 1,
+        numCourts: parseInt(numCourts, 10) || 1,
+        courtAvailability,
+        seed: seedInput.trim() || undefined,
+        constraints: activeConstraints,
+        teams,
+        mixedFallback,
+        mixedSides,
+        optimize,
+        candidates,
+      }, { onProgress: setShuffleProgress, signal: controller.signal });
+
+      shuffleAbortRef.current = null;
+      setShuffleProgress(null);
+      if (result.cancelled) return;
+    }
+
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+
+    setRounds(result.rounds);
+    setSeed(result.seed);
+    setFairnessState(nextFairnessState);
+    setCandidateResults(result.candidates?.length > 1 ? result.candidates : null);
+    setIsShuffled(true);
+
+    // Persist to Supabase if logged in (fire-and-forget)
+    if (user) {
+      saveShuffleResultsToCloud(sessionCode, players, result.rounds);
+    }
+  };
+
+  const cancelShuffle = () => {
+    if (shuffleAbortRef.current) shuffleAbortRef.current.abort();
+  };
+
+  // Best-of-N: swap in another of the compared schedules before play starts
+  const selectCandidate = (candidate) => {
+    setRounds(candidate.rounds);
+    setSeed(candidate.seed);
+
+    if (user) {
+      saveShuffleResultsToCloud(sessionCode, players, candidate.rounds);
+    }
+  };
+
+  // Round-by-round sessions: build the next round from the current roster
+  // (and, for King of the Court and Swiss, from the latest scores)
+  const handleGenerateNextRound = () => {
+    setError('');
+
+    let result;
+    if (pairingMode === 'king') {
+      result = generateNextKingOfCourtRound({
+        players,
+        rounds,
+        numCourts: parseInt(numCourts, 10) || 1,
+        courtAvailability,
+        seed,
+      });
+    } else if (isSwiss) {
+      result = generateNextSwissRound({
+        players,
+        rounds,
+        numCourts: parseInt(numCourts, 10) || 1,
+        courtAvailability,
+        seed,
+        teams: usesTeams ? teams : undefined,
+      });
+    } else {
+      result = generateNextRound(fairnessState, players, {
+        gameType,
+        pairingMode,
+        numCourts: parseInt(numCourts, 10) || 1,
+        courtAvailability,
+        seed,
+        constraints: activeConstraints,
+        mixedFallback,
+        mixedSides,
+      });
+    }
+
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+
+    const nextRounds = [...rounds, result.round];
+    setRounds(nextRounds);
+    if (result.fairnessState) {
+      setFairnessState(result.fairnessState);
+    }
+
+    if (user) {
+      saveShuffleResultsToCloud(sessionCode, players, nextRounds);
+    }
+  };
+
+  // Regenerate pending rounds for the current roster and open courts,
+  // keeping started rounds as played
+  const handleRepairSchedule = (availability = courtAvailability) => {
+    setError('');
+
+    const result = repairSchedule({
       players,
+      rounds,
       gameType,
       pairingMode,
-      numRounds: parseInt(numRounds, 10) || 1,
       numCourts: parseInt(numCourts, 10) || 1,
+      courtAvailability: availability,
+      seed,
+      constraints: activeConstraints,
+      mixedFallback,
+      mixedSides,
+      optimize,
     });
 
     if (result.error) {
@@ -214,67 +602,226 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
     }
 
     setRounds(result.rounds);
-    setIsShuffled(true);
 
-    // Persist to Supabase if logged in (fire-and-forget)
     if (user) {
       saveShuffleResultsToCloud(sessionCode, players, result.rounds);
     }
   };
 
+  // Take a court out of service (or bring it back) from the first round
+  // that hasn't started. Round-by-round sessions pick it up in the next
+  // round; full schedules are rebuilt onto the courts still open. Round
+  // robins can't be rebuilt that way (they follow the team list), so their
+  // courts are only set before shuffling.
+  const toggleCourtOffline = (courtNumber) => {
+    if (isRoundRobin) return;
+    const nextAvailability = openCourts.includes(courtNumber)
+      ? closeCourtFrom(courtAvailability, courtNumber, nextUnstartedRound)
+      : reopenCourtFrom(courtAvailability, courtNumber, nextUnstartedRound);
+    setCourtAvailability(nextAvailability);
+    if (!isRoundByRound) handleRepairSchedule(nextAvailability);
+  };
+
+  // Time plan editor: every change re-fits the number of rounds
+  const updateTimePlan = (field, value) => {
+    const nextPlan = { ...timePlan, [field]: value };
+    setTimePlan(nextPlan);
+    const count = planRoundCount(nextPlan);
+    if (count) setNumRounds(Math.min(20, count).toString());
+  };
+
+  const selectPlanMode = (mode) => {
+    setPlanMode(mode);
+    const count = mode === 'time' ? planRoundCount(timePlan) : null;
+    if (count) setNumRounds(Math.min(20, count).toString());
+  };
+
+  // Availability editor: blank means from the first round / until the end
+  const updateCourtWindow = (courtNumber, field, text) => {
+    const value = parseInt(text.replace(/[^0-9]/g, ''), 10);
+    setCourtAvailability((prev) => {
+      const window = { ...prev[courtNumber] };
+      if (value > 0) {
+        window[field] = value;
+      } else {
+        delete window[field];
+      }
+      return { ...prev, [courtNumber]: window };
+    });
+  };
+
   const resetShuffle = () => {
     setRounds([]);
+    setFairnessState(null);
+    setCandidateResults(null);
     setIsShuffled(false);
     setError('');
+    if (bracket) clearBracket();
   };
 
+  // Playoffs: seed the top of the pool-play standings into a single- or double-elimination bracket
+  const handleSeedPlayoffs = (standings, count, { format = 'single', grandFinalReset = true } = {}) => {
+    const entrants = createEntrantsFromStandings(standings, {
+      count,
+      players,
+      gameType,
+      teams: usesTeams ? teams : undefined,
+    });
+    if (entrants.length < 2) {
+      setError('Need at least 2 playoff entrants');
+      return;
+    }
+
+    const nextBracket = format === 'double'
+      ? createDoubleEliminationBracket(entrants, { grandFinalReset })
+      : createSingleEliminationBracket(entrants);
+    setBracket(nextBracket);
+    setShowResults(false);
+
+    if (user) {
+      saveBracketToCloud(sessionCode, nextBracket, { replace: true });
+    }
+  };
+
+  const updateBracketScore = (matchId, team1Score, team2Score, updaterName, games) => {
+    const nextBracket = recordBracketResult(bracket, matchId, team1Score, team2Score, updaterName, games);
+    setBracket(nextBracket);
+
+    if (user) {
+      saveBracketToCloud(sessionCode, nextBracket);
+    }
+  };
+
+  const clearBracket = () => {
+    setBracket(null);
+
+    if (user) {
+      saveBracketToCloud(sessionCode, null);
+    }
+  };
+
+  // Pending → Playing → Done → Pending. The cloud copy follows, since
+  // marking a court Done is what updates player ratings.
   const toggleCourtStatus = (roundId, courtId) => {
+    const round = rounds.find((r) => r.id === roundId);
+    const court = round?.courts.find((c) => c.id === courtId);
+    if (!court) return;
+    const nextStatus =
+      court.status === 'pending'
+        ? 'playing'
+        : court.status === 'playing'
+        ? 'completed'
+        : 'pending';
+
     setRounds((prev) =>
-      prev.map((round) => {
-        if (round.id !== roundId) return round;
+      prev.map((r) => {
+        if (r.id !== roundId) return r;
         return {
-          ...round,
-          courts: round.courts.map((court) => {
-            if (court.id !== courtId) return court;
-            const nextStatus =
-              court.status === 'pending'
-                ? 'playing'
-                : court.status === 'playing'
-                ? 'completed'
-                : 'pending';
-            return { ...court, status: nextStatus };
-          }),
+          ...r,
+          courts: r.courts.map((c) => (c.id === courtId ? { ...c, status: nextStatus } : c)),
         };
       })
     );
+
+    if (user) {
+      updateCourtInCloud(sessionCode, round.roundNumber, court.courtNumber, { status: nextStatus });
+    }
   };
 
   const removePlayer = (playerId) => {
     setPlayers((prev) => prev.filter((p) => p.id !== playerId));
+    setConstraints((prev) => prev.filter((c) => !c.playerIds.includes(playerId)));
+    setConstraintDraft((prev) => prev.filter((id) => id !== playerId));
+    setTeams((prev) => prev.filter((t) => !t.playerIds.includes(playerId)));
+    setTeamDraft((prev) => prev.filter((id) => id !== playerId));
+  };
+
+  const toggleTeamPlayer = (playerId) => {
+    if (teamDraft.includes(playerId)) {
+      setTeamDraft((prev) => prev.filter((id) => id !== playerId));
+      return;
+    }
+
+    const playerIds = [...teamDraft, playerId];
+    if (playerIds.length < 2) {
+      setTeamDraft(playerIds);
+      return;
+    }
+
+    setTeams((prev) => [...prev, { id: `team-${Date.now()}`, name: '', playerIds }]);
+    setTeamDraft([]);
   };
 
+  const removeTeam = (teamId) => {
+    setTeams((prev) => prev.filter((t) => t.id !== teamId));
+  };
+
+  // A player can only be pinned to one partner at a time
+  const isPinned = (playerId) =>
+    constraints.some((c) => c.type === 'must-partner' && c.playerIds.includes(playerId));
+
+  const toggleConstraintPlayer = (playerId) => {
+    if (constraintDraft.includes(playerId)) {
+      setConstraintDraft((prev) => prev.filter((id) => id !== playerId));
+      return;
+    }
+
+    const playerIds = [...constraintDraft, playerId];
+    if (playerIds.length < 2) {
+      setConstraintDraft(playerIds);
+      return;
+    }
+
+    const [id1, id2] = playerIds;
+    const alreadyExists = constraints.some(
+      (c) => c.type === constraintType && c.playerIds.includes(id1) && c.playerIds.includes(id2)
+    );
+    if (!alreadyExists) {
+      setConstraints((prev) => [...prev, { type: constraintType, playerIds: [id1, id2] }]);
+    }
+    setConstraintDraft([]);
+  };
+
+  const removeConstraint = (index) => {
+    setConstraints((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const playerName = (playerId) => players.find((p) => p.id === playerId)?.name || 'Unknown';
+
   const startEditingPlayer = (player) => {
     setEditingPlayer(player);
     setEditName(player.name);
     setEditGender(player.gender);
+    setEditRating(player.rating != null ? player.rating.toString() : '');
+    setEditFlex(player.flex || false);
+    setEditError('');
   };
 
   const savePlayerEdit = () => {
     if (!editingPlayer || !editName.trim()) return;
     const updatedName = editName.trim();
     const updatedGender = editGender;
+    const updatedFlex = editFlex;
+
+    // A blank rating clears it; anything else must be a valid rating
+    const parsedRating = editRating.trim() === '' ? null : Number(editRating.replace(',', '.'));
+    if (parsedRating != null && !(parsedRating >= MIN_RATING && parsedRating <= MAX_RATING)) {
+      setEditError(`Rating must be a number from ${MIN_RATING.toFixed(1)} to ${MAX_RATING.toFixed(1)}`);
+      return;
+    }
+    const updatedRating = parsedRating != null ? Math.round(parsedRating * 100) / 100 : null;
     const playerId = editingPlayer.id;
 
     setPlayers((prev) =>
       prev.map((p) =>
-        p.id === playerId ? { ...p, name: updatedName, gender: updatedGender } : p
+        p.id === playerId ? { ...p, name: updatedName, gender: updatedGender, rating: updatedRating, flex: updatedFlex } : p
       )
     );
 
-    // Propagate name/gender changes into existing rounds so matchups are preserved
+    // Propagate name/gender/rating/flex changes into existing rounds so matchups are preserved
     if (isShuffled && rounds.length > 0) {
       const updatePlayer = (p) =>
-        p && p.id === playerId ? { ...p, name: updatedName, gender: updatedGender } : p;
+        p && p.id === playerId ? { ...p, name: updatedName, gender: updatedGender, rating: updatedRating, flex: updatedFlex } : p;
 
       setRounds((prev) =>
         prev.map((round) => ({
@@ -293,12 +840,18 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
     setEditingPlayer(null);
     setEditName('');
     setEditGender('male');
+    setEditRating('');
+    setEditFlex(false);
+    setEditError('');
   };
 
   const cancelEditPlayer = () => {
     setEditingPlayer(null);
     setEditName('');
     setEditGender('male');
+    setEditRating('');
+    setEditFlex(false);
+    setEditError('');
   };
 
   /**
@@ -364,23 +917,27 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
       }
     }
     if (removeIdx === -1) removeIdx = players.length - 1;
-    setPlayers((prev) => prev.filter((_, i) => i !== removeIdx));
+    removePlayer(players[removeIdx].id);
     setError('');
   };
 
-  const updateScore = (roundId, courtId, team1Score, team2Score, updaterName) => {
-    let courtNumber = null;
-    let roundNumber = null;
+  // Best-of-three courts pass the game scores; team1Score / team2Score are then games won.
+  // The handicap head start (0-0 without one) is kept with the score, so standings and
+  // ratings count the points won in play even if ratings or the handicap change later.
+  const updateScore = (roundId, courtId, team1Score, team2Score, updaterName, games, headStart) => {
+    const scoredRound = rounds.find((r) => r.id === roundId);
+    const scoredCourt = scoredRound?.courts.find((c) => c.id === courtId);
+    if (!scoredCourt) return;
+    // A court already marked Done stays Done when its score is corrected
+    const nextStatus = scoredCourt.status === 'pending' ? 'playing' : scoredCourt.status;
 
     setRounds((prev) =>
       prev.map((round) => {
         if (round.id !== roundId) return round;
-        roundNumber = round.roundNumber;
         return {
           ...round,
           courts: round.courts.map((court) => {
             if (court.id !== courtId) return court;
-            courtNumber = court.courtNumber;
             return {
               ...court,
               score: {
@@ -388,8 +945,10 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
                 team2: team2Score,
                 lastUpdatedBy: updaterName,
                 lastUpdatedAt: Date.now(),
+                ...(games ? { games } : {}),
+                ...(headStart ? { headStart } : {}),
               },
-              status: court.status === 'pending' ? 'playing' : court.status,
+              status: nextStatus,
             };
           }),
         };
@@ -397,12 +956,15 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
     );
 
     // Sync score to cloud if logged in
-    if (user && courtNumber && roundNumber) {
-      updateCourtInCloud(sessionCode, roundNumber, courtNumber, {
+    if (user) {
+      updateCourtInCloud(sessionCode, scoredRound.roundNumber, scoredCourt.courtNumber, {
         score_team1: team1Score,
         score_team2: team2Score,
+        games: games ?? null,
+        head_start_team1: headStart?.team1 ?? 0,
+        head_start_team2: headStart?.team2 ?? 0,
         score_updated_by: updaterName,
-        status: 'playing',
+        status: nextStatus,
       });
     }
   };
@@ -430,11 +992,20 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
       completed: colors.successLight,
     };
 
+    const isDoublesCourt = getCourtFormat(court, gameType) === 'doubles';
     const team1 = court.team1 || [court.players[0], court.players[1]];
     const team2 = court.team2 || [court.players[2], court.players[3]];
 
-    const handleScoreUpdate = (t1, t2, updater) => {
-      updateScore(roundId, court.id, t1, t2, updater);
+    // Round robin and Swiss team courts name the registered team on each side
+    const teamLabel = (teamId, fallback) => {
+      const team = teamId && teams.find((t) => t.id === teamId);
+      return team ? getTeamName(team, players) : fallback;
+    };
+
+    // A scored court keeps the head start it was played with
+    const headStart = court.score?.headStart || getCourtHandicap(court, activeHandicap);
+    const handleScoreUpdate = (t1, t2, updater, games) => {
+      updateScore(roundId, court.id, t1, t2, updater, games, headStart);
     };
 
     return (
@@ -482,6 +1053,9 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
               <Text style={styles.courtTitleEditIcon}>✎</Text>
             </TouchableOpacity>
           )}
+          {gameType === 'flexible' && (
+            <Text style={styles.courtFormat}>{isDoublesCourt ? 'Doubles' : 'Singles'}</Text>
+          )}
           <TouchableOpacity
             onPress={() => toggleCourtStatus(roundId, court.id)}
             style={styles.statusButton}
@@ -497,13 +1071,15 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
           </TouchableOpacity>
         </View>
 
-        {gameType === 'doubles' ? (
+        {isDoublesCourt ? (
           <View style={styles.teamsContainer}>
             <View style={styles.team}>
-              <Text style={styles.teamLabel}>Team 1</Text>
+              <Text style={styles.teamLabel}>
+                {teamLabel(court.team1Id, 'Team 1')}{pairingMode === 'balanced' && ` (${teamRating(team1).toFixed(1)})`}
+              </Text>
               {team1.map((p, i) => (
                 <Text key={i} style={styles.playerName}>
-                  {p?.name} {pairingMode === 'mixed' && <Text style={styles.genderTag}>({p?.gender?.[0]?.toUpperCase()})</Text>}
+                  {p?.name} {(pairingMode === 'mixed' || pairingMode === 'same-gender') && <Text style={styles.genderTag}>({genderShort(p?.gender)})</Text>}
                 </Text>
               ))}
             </View>
@@ -511,17 +1087,22 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
               <ScoreEntry
                 score={court.score}
                 onScoreUpdate={handleScoreUpdate}
-                team1Label="Team 1"
-                team2Label="Team 2"
+                team1Label={teamLabel(court.team1Id, 'Team 1')}
+                team2Label={teamLabel(court.team2Id, 'Team 2')}
                 currentUserName="Organizer"
                 isOrganizer
+                handicap={headStart}
+                rules={gameRules}
+                bestOf={matchFormat.rounds}
               />
             </View>
             <View style={styles.team}>
-              <Text style={styles.teamLabel}>Team 2</Text>
+              <Text style={styles.teamLabel}>
+                {teamLabel(court.team2Id, 'Team 2')}{pairingMode === 'balanced' && ` (${teamRating(team2).toFixed(1)})`}
+              </Text>
               {team2.map((p, i) => (
                 <Text key={i} style={styles.playerName}>
-                  {p?.name} {pairingMode === 'mixed' && <Text style={styles.genderTag}>({p?.gender?.[0]?.toUpperCase()})</Text>}
+                  {p?.name} {(pairingMode === 'mixed' || pairingMode === 'same-gender') && <Text style={styles.genderTag}>({genderShort(p?.gender)})</Text>}
                 </Text>
               ))}
             </View>
@@ -539,6 +1120,9 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
                 team2Label={court.players[1]?.name}
                 currentUserName="Organizer"
                 isOrganizer
+                handicap={headStart}
+                rules={gameRules}
+                bestOf={matchFormat.rounds}
               />
             </View>
             <View style={styles.singlePlayer}>
@@ -556,7 +1140,7 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
         <Text style={styles.sectionTitle}>Players ({playerCounts.total})</Text>
         {players.length > 0 && (
           <Text style={styles.rosterCounts}>
-            {playerCounts.males}M / {playerCounts.females}F
+            {playerCounts.breakdown}
           </Text>
         )}
       </View>
@@ -635,7 +1219,7 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
                 <Text style={styles.playerChipText}>
                   {player.name}
                   <Text style={styles.genderIndicator}>
-                    {' '}({player.gender === 'male' ? 'M' : 'F'})
+                    {' '}({genderShort(player.gender)}{player.flex && '/Flex'}{player.rating != null && ` ${player.rating}`}{eloLabel(player)})
                   </Text>
                 </Text>
                 <TouchableOpacity
@@ -649,8 +1233,71 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
             ))}
           </View>
           <Text style={styles.rosterHint}>
-            Tap ✎ to edit name and gender • Tap × to remove
+            Tap ✎ to edit name, gender and rating • Tap × to remove
           </Text>
+
+          {/* Pair Constraints */}
+          {players.length >= 2 && (
+            <View style={styles.constraintsSection}>
+              <Text style={styles.sectionTitle}>Pair Rules</Text>
+              <View style={styles.constraintTypeRow}>
+                {constraintTypes.map((type) => (
+                  <TouchableOpacity
+                    key={type}
+                    style={[styles.constraintTypeButton, constraintType === type && styles.constraintTypeButtonSelected]}
+                    onPress={() => {
+                      setSelectedConstraintType(type);
+                      setConstraintDraft([]);
+                    }}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[styles.constraintTypeText, constraintType === type && styles.constraintTypeTextSelected]}>
+                      {CONSTRAINT_TYPE_LABELS[type]}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.compactRosterGrid}>
+                {players.map((player) => {
+                  const isSelected = constraintDraft.includes(player.id);
+                  const isDisabled = constraintType === 'must-partner' && !isSelected && isPinned(player.id);
+                  return (
+                    <TouchableOpacity
+                      key={player.id}
+                      style={[
+                        styles.compactPlayerChip,
+                        isSelected && styles.pickerPlayerSelected,
+                        isDisabled && styles.pickerPlayerDisabled,
+                      ]}
+                      onPress={() => toggleConstraintPlayer(player.id)}
+                      disabled={isDisabled}
+                      activeOpacity={0.7}
+                    >
+                      <Text style={styles.compactPlayerText}>{player.name}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+              <Text style={styles.rosterHint}>
+                Tap two players to add a rule • Not used in King of the Court, Swiss or Fixed Teams
+              </Text>
+              {constraints.map((constraint, idx) => (
+                <View key={`${constraint.type}-${constraint.playerIds.join('-')}`} style={styles.listRow}>
+                  <Text style={styles.listRowText}>
+                    {playerName(constraint.playerIds[0])} & {playerName(constraint.playerIds[1])}
+                    <Text style={styles.genderIndicator}> • {CONSTRAINT_TYPE_LABELS[constraint.type]}</Text>
+                  </Text>
+                  <TouchableOpacity
+                    onPress={() => removeConstraint(idx)}
+                    style={styles.removeButton}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={styles.removeButtonText}>×</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </View>
+          )}
         </>
       ) : (
         <View style={styles.emptyRoster}>
@@ -747,10 +1394,39 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
                   {renderOptionButton('Doubles', gameType === 'doubles', () =>
                     setGameType('doubles')
                   )}
+                  {renderOptionButton('Singles + Doubles', gameType === 'flexible', () => {
+                    setGameType('flexible');
+                    setPairingMode(null);
+                  })}
                 </View>
+                {gameType === 'flexible' && (
+                  <Text style={styles.optionHint}>
+                    Each court plays doubles or singles, whichever keeps the most players on court
+                  </Text>
+                )}
               </View>
 
-              {/* Pairing Mode (Doubles only) */}
+              {/* Pairing Mode (Singles) */}
+              {gameType === 'singles' && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Pairing Mode</Text>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('Rotate', !pairingMode, () =>
+                      setPairingMode(null)
+                    )}
+                    {renderOptionButton('Swiss', isSwiss, () =>
+                      setPairingMode('swiss')
+                    )}
+                  </View>
+                  <Text style={styles.optionHint}>
+                    {isSwiss
+                      ? 'Players with similar records meet, without rematches. Rounds are generated one at a time from scores'
+                      : 'Opponents rotate so everyone plays everyone before repeats'}
+                  </Text>
+                </View>
+              )}
+
+              {/* Pairing Mode (Doubles) */}
               {gameType === 'doubles' && (
                 <View style={styles.optionGroup}>
                   <Text style={styles.sectionTitle}>Pairing Mode</Text>
@@ -761,44 +1437,440 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
                     {renderOptionButton('Mixed', pairingMode === 'mixed', () =>
                       setPairingMode('mixed')
                     )}
+                    {renderOptionButton('Same-Gender', pairingMode === 'same-gender', () =>
+                      setPairingMode('same-gender')
+                    )}
+                    {renderOptionButton('Balanced', pairingMode === 'balanced', () =>
+                      setPairingMode('balanced')
+                    )}
+                    {renderOptionButton('King', pairingMode === 'king', () =>
+                      setPairingMode('king')
+                    )}
+                    {renderOptionButton('Teams', pairingMode === 'teams', () =>
+                      setPairingMode('teams')
+                    )}
+                    {renderOptionButton('Swiss', isSwiss, () =>
+                      setPairingMode('swiss')
+                    )}
                   </View>
                   <Text style={styles.optionHint}>
                     {pairingMode === 'mixed'
-                      ? 'Each team: 1 male + 1 female'
+                      ? 'Each team: one player from each side (see Sides below)'
+                      : pairingMode === 'same-gender'
+                      ? 'Courts within each group (see Groups below), shared out by the size of each group'
+                      : pairingMode === 'balanced'
+                      ? 'Teams matched by skill rating (unrated = 3.0)'
+                      : pairingMode === 'king'
+                      ? 'Winners move up, losers move down, partners split. Rounds are generated one at a time from scores'
+                      : pairingMode === 'teams'
+                      ? 'Fixed partners. Every team plays every other team once'
+                      : isSwiss
+                      ? 'Fixed partners. Teams with similar records meet, without rematches. Rounds are generated one at a time from scores'
                       : 'Random team assignments'}
                   </Text>
                 </View>
               )}
 
+              {/* Mixed sides / same-gender groups: which genders play together */}
+              {gameType === 'doubles' && (pairingMode === 'mixed' || pairingMode === 'same-gender') && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>{pairingMode === 'mixed' ? 'Sides' : 'Groups'}</Text>
+                  {GENDER_OPTIONS.map((option) => (
+                    <View key={option.value} style={styles.listRow}>
+                      <Text style={styles.listRowText}>{option.label}</Text>
+                      <View style={styles.sideChipRow}>
+                        {[
+                          ['a', pairingMode === 'mixed' ? 'Side A' : 'Group 1'],
+                          ['b', pairingMode === 'mixed' ? 'Side B' : 'Group 2'],
+                          ['either', 'Either'],
+                        ].map(([side, label]) => {
+                          const isActive = (mixedSides[option.value] ?? 'either') === side;
+                          return (
+                            <TouchableOpacity
+                              key={side}
+                              style={[styles.sideChip, isActive && styles.sideChipActive]}
+                              onPress={() => setMixedSides((prev) => ({ ...prev, [option.value]: side }))}
+                              activeOpacity={0.8}
+                            >
+                              <Text style={[styles.sideChipText, isActive && styles.sideChipTextActive]}>{label}</Text>
+                            </TouchableOpacity>
+                          );
+                        })}
+                      </View>
+                    </View>
+                  ))}
+                  <Text style={styles.optionHint}>
+                    Players on Either (and anyone marked Flex) fill whichever {pairingMode === 'mixed' ? 'side' : 'group'} is short
+                  </Text>
+                </View>
+              )}
+
+              {/* Mixed Doubles leftovers (courts the scarcer side can't fill) */}
+              {gameType === 'doubles' && pairingMode === 'mixed' && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Leftover Courts</Text>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('Sit Out', mixedFallback === 'sit-out', () =>
+                      setMixedFallback('sit-out')
+                    )}
+                    {renderOptionButton('Random Doubles', mixedFallback === 'random', () =>
+                      setMixedFallback('random')
+                    )}
+                    {renderOptionButton('Same-Gender', mixedFallback === 'same-gender', () =>
+                      setMixedFallback('same-gender')
+                    )}
+                  </View>
+                  {mixedPreview ? (
+                    <Text style={[styles.optionHint, mixedPreview.isUnbalanced && styles.imbalanceHint]}>
+                      Each round: {mixedPreview.mixedCourts} mixed court{mixedPreview.mixedCourts === 1 ? '' : 's'}
+                      {mixedPreview.fallbackCourts > 0 && ` + ${mixedPreview.fallbackCourts} other`}
+                      {' • '}{mixedPreview.sides.a.sitOuts} of {mixedPreview.sides.a.players} {describeMixedSide('a', mixedSides)} and{' '}
+                      {mixedPreview.sides.b.sitOuts} of {mixedPreview.sides.b.players} {describeMixedSide('b', mixedSides)}
+                      {mixedPreview.sides.either.players > 0 &&
+                        ` and ${mixedPreview.sides.either.sitOuts} of ${mixedPreview.sides.either.players} either-side`}
+                      {' '}players sit out. Mark players as Flex (tap a player) to let them take either side.
+                    </Text>
+                  ) : (
+                    <Text style={styles.optionHint}>
+                      Mark players as Flex (tap a player) to let them take either side
+                    </Text>
+                  )}
+                </View>
+              )}
+
+              {/* Handicaps for balanced doubles teams that still don't match up */}
+              {gameType === 'doubles' && pairingMode === 'balanced' && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Handicap</Text>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('Off', !handicap, () =>
+                      setHandicap(null)
+                    )}
+                    {renderOptionButton('Head Start', !!handicap, () =>
+                      setHandicap((prev) => prev || DEFAULT_HANDICAP)
+                    )}
+                  </View>
+                  {handicap && (
+                    <View style={styles.timePlanGrid}>
+                      {[
+                        ['pointsPerLevel', 'Points per rating level'],
+                        ['maxPoints', 'Most points'],
+                      ].map(([field, label]) => (
+                        <View key={field} style={styles.timePlanField}>
+                          <Text style={styles.availabilityLabel}>{label}</Text>
+                          <TextInput
+                            style={styles.timePlanInput}
+                            value={handicap[field].toString()}
+                            onChangeText={(t) =>
+                              setHandicap((prev) => ({ ...prev, [field]: parseInt(t.replace(/[^0-9]/g, ''), 10) || 0 }))
+                            }
+                            keyboardType="number-pad"
+                            maxLength={2}
+                          />
+                        </View>
+                      ))}
+                    </View>
+                  )}
+                  <Text style={styles.optionHint}>
+                    {handicap
+                      ? `The weaker team starts ${handicap.pointsPerLevel} point${handicap.pointsPerLevel === 1 ? '' : 's'} up for each 1.0 of team rating difference (at most ${handicap.maxPoints}). Standings only count points won in play.`
+                      : 'Teams start level'}
+                  </Text>
+                </View>
+              )}
+
+              {/* Fixed Teams (round robin and Swiss) */}
+              {usesTeams && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Teams ({teams.length})</Text>
+                  {teams.map((team) => (
+                    <View key={team.id} style={styles.listRow}>
+                      <Text style={styles.listRowText}>{getTeamName(team, players)}</Text>
+                      <TouchableOpacity
+                        onPress={() => removeTeam(team.id)}
+                        style={styles.removeButton}
+                        activeOpacity={0.7}
+                      >
+                        <Text style={styles.removeButtonText}>×</Text>
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                  {playersWithoutTeam.length > 0 && (
+                    <View style={styles.compactRosterGrid}>
+                      {playersWithoutTeam.map((player) => (
+                        <TouchableOpacity
+                          key={player.id}
+                          style={[styles.compactPlayerChip, teamDraft.includes(player.id) && styles.pickerPlayerSelected]}
+                          onPress={() => toggleTeamPlayer(player.id)}
+                          activeOpacity={0.7}
+                        >
+                          <Text style={styles.compactPlayerText}>{player.name}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  )}
+                  <Text style={styles.optionHint}>
+                    {playersWithoutTeam.length > 0
+                      ? `Tap two players to make a team • ${playersWithoutTeam.length} without a team won't play`
+                      : 'Every player is on a team'}
+                  </Text>
+                </View>
+              )}
+
+              {/* Game rules: how a game is won, checked when scores are entered */}
+              {gameType && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Game Rules</Text>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('To 11', gameRules.pointsToWin === 11, () =>
+                      setGameRules((prev) => ({ ...prev, pointsToWin: 11 }))
+                    )}
+                    {renderOptionButton('To 15', gameRules.pointsToWin === 15, () =>
+                      setGameRules((prev) => ({ ...prev, pointsToWin: 15 }))
+                    )}
+                    {renderOptionButton('To 21', gameRules.pointsToWin === 21, () =>
+                      setGameRules((prev) => ({ ...prev, pointsToWin: 21 }))
+                    )}
+                  </View>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('Win by 2', gameRules.winBy === 2, () =>
+                      setGameRules((prev) => ({ ...prev, winBy: 2 }))
+                    )}
+                    {renderOptionButton('Win by 1', gameRules.winBy === 1, () =>
+                      setGameRules((prev) => ({ ...prev, winBy: 1 }))
+                    )}
+                  </View>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('Side-Out Scoring', gameRules.scoring === 'side-out', () =>
+                      setGameRules((prev) => ({ ...prev, scoring: 'side-out' }))
+                    )}
+                    {renderOptionButton('Rally Scoring', gameRules.scoring === 'rally', () =>
+                      setGameRules((prev) => ({ ...prev, scoring: 'rally' }))
+                    )}
+                  </View>
+                  {gameRules.winBy > 1 && (
+                    <View style={styles.availabilityRow}>
+                      <Text style={styles.availabilityLabel}>Cap at</Text>
+                      <TextInput
+                        style={styles.availabilityInput}
+                        value={gameRules.cap ? gameRules.cap.toString() : ''}
+                        onChangeText={(t) =>
+                          setGameRules((prev) => ({ ...prev, cap: parseInt(t.replace(/[^0-9]/g, ''), 10) || null }))
+                        }
+                        placeholder="None"
+                        placeholderTextColor={colors.textMuted}
+                        keyboardType="number-pad"
+                        maxLength={2}
+                      />
+                      <Text style={styles.availabilityLabel}>points</Text>
+                    </View>
+                  )}
+                  <Text style={[styles.optionHint, gameRules.cap != null && gameRules.cap < gameRules.pointsToWin && styles.imbalanceHint]}>
+                    {gameRules.cap != null && gameRules.cap < gameRules.pointsToWin
+                      ? `The cap must be at least ${gameRules.pointsToWin} - it's ignored until then`
+                      : `${describeGameRules(gameRules)}. Scores that break these rules can't be entered.`}
+                  </Text>
+                </View>
+              )}
+
+              {/* Match format: single games or best of three, set apart for the playoffs */}
+              {gameType && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Match Format</Text>
+                  <Text style={styles.optionHint}>Rounds</Text>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('Single Game', matchFormat.rounds === 1, () =>
+                      setMatchFormat((prev) => ({ ...prev, rounds: 1 }))
+                    )}
+                    {renderOptionButton('Best of 3', matchFormat.rounds === 3, () =>
+                      setMatchFormat((prev) => ({ ...prev, rounds: 3 }))
+                    )}
+                  </View>
+                  <Text style={styles.optionHint}>Playoffs</Text>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('Single Game', matchFormat.playoffs === 1, () =>
+                      setMatchFormat((prev) => ({ ...prev, playoffs: 1 }))
+                    )}
+                    {renderOptionButton('Best of 3', matchFormat.playoffs === 3, () =>
+                      setMatchFormat((prev) => ({ ...prev, playoffs: 3 }))
+                    )}
+                  </View>
+                  <Text style={styles.optionHint}>
+                    {matchFormat.rounds > 1 || matchFormat.playoffs > 1
+                      ? 'Best of 3: the first side to win 2 games takes the court. Standings count match wins, then games won.'
+                      : 'One game per court'}
+                  </Text>
+                </View>
+              )}
+
+              {/* Schedule (King of the Court and Swiss are always round by round,
+                  fixed teams always a full round robin) */}
+              {gameType && !isScoreDriven && !isRoundRobin && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Schedule</Text>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('All Rounds', scheduleMode === 'all', () =>
+                      setScheduleMode('all')
+                    )}
+                    {renderOptionButton('Round by Round', scheduleMode === 'incremental', () =>
+                      setScheduleMode('incremental')
+                    )}
+                  </View>
+                  <Text style={styles.optionHint}>
+                    {scheduleMode === 'incremental'
+                      ? 'Generate each round when ready - players can join or leave between rounds'
+                      : 'Generate the whole schedule up front'}
+                  </Text>
+                </View>
+              )}
+
+              {/* Optimization (whole-session search, small pools only) */}
+              {gameType && !isRoundByRound && !isRoundRobin && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Optimization</Text>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('Standard', !optimize, () =>
+                      setOptimize(false)
+                    )}
+                    {renderOptionButton('Optimize Session', optimize, () =>
+                      setOptimize(true)
+                    )}
+                  </View>
+                  <Text style={styles.optionHint}>
+                    {!optimize
+                      ? 'Each round is built from the rounds before it'
+                      : players.length > OPTIMIZER_MAX_PLAYERS
+                      ? `Only available for up to ${OPTIMIZER_MAX_PLAYERS} players - the standard schedule will be used`
+                      : 'Searches the whole session for the fewest repeat partners and opponents. Takes a moment'}
+                  </Text>
+                </View>
+              )}
+
+              {/* Candidates (best-of-N: build several schedules and keep the fairest) */}
+              {gameType && !isRoundByRound && !isRoundRobin && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Candidates</Text>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('Single', numCandidates === 1, () =>
+                      setNumCandidates(1)
+                    )}
+                    {renderOptionButton('Best of 3', numCandidates === 3, () =>
+                      setNumCandidates(3)
+                    )}
+                    {renderOptionButton('Best of 5', numCandidates === 5, () =>
+                      setNumCandidates(5)
+                    )}
+                    {renderOptionButton('Best of 10', numCandidates === 10, () =>
+                      setNumCandidates(10)
+                    )}
+                  </View>
+                  <Text style={styles.optionHint}>
+                    {numCandidates === 1
+                      ? 'Use the first schedule generated'
+                      : `Builds ${numCandidates} schedules and keeps the one with the fewest repeats and the most even court rotation - the others can be compared before play starts`}
+                  </Text>
+                </View>
+              )}
+
+              {/* Plan by rounds or by the time the courts are booked for */}
+              {gameType && !isRoundByRound && !isRoundRobin && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Plan By</Text>
+                  <View style={[styles.optionRow, isDesktop && styles.optionRowDesktop]}>
+                    {renderOptionButton('Rounds', planMode === 'rounds', () =>
+                      selectPlanMode('rounds')
+                    )}
+                    {renderOptionButton('Time', planMode === 'time', () =>
+                      selectPlanMode('time')
+                    )}
+                  </View>
+                  {isTimePlanned && (
+                    <View style={styles.timePlanGrid}>
+                      {[
+                        ['startTime', 'Start', '7pm'],
+                        ['endTime', 'End', '9pm'],
+                      ].map(([field, label, placeholder]) => (
+                        <View key={field} style={styles.timePlanField}>
+                          <Text style={styles.availabilityLabel}>{label}</Text>
+                          <TextInput
+                            style={styles.timePlanInput}
+                            value={timePlan[field]}
+                            onChangeText={(t) => updateTimePlan(field, t)}
+                            placeholder={placeholder}
+                            placeholderTextColor={colors.textMuted}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                            maxLength={8}
+                          />
+                        </View>
+                      ))}
+                      {[
+                        ['gameMinutes', 'Game (min)'],
+                        ['changeoverMinutes', 'Changeover (min)'],
+                      ].map(([field, label]) => (
+                        <View key={field} style={styles.timePlanField}>
+                          <Text style={styles.availabilityLabel}>{label}</Text>
+                          <TextInput
+                            style={styles.timePlanInput}
+                            value={timePlan[field] ? timePlan[field].toString() : ''}
+                            onChangeText={(t) => updateTimePlan(field, parseInt(t.replace(/[^0-9]/g, ''), 10) || 0)}
+                            placeholder="0"
+                            placeholderTextColor={colors.textMuted}
+                            keyboardType="number-pad"
+                            maxLength={3}
+                          />
+                        </View>
+                      ))}
+                    </View>
+                  )}
+                  <Text style={styles.optionHint}>
+                    {!isTimePlanned
+                      ? 'Choose how many rounds to play'
+                      : plannedRounds == null
+                      ? 'Enter when the courts are booked from and until, e.g. 7pm to 9pm'
+                      : plannedRounds === 0
+                      ? 'No games fit between those times'
+                      : `Fits ${plannedRounds} round${plannedRounds === 1 ? '' : 's'}, finishing around ${formatClockTime(
+                          parseClockTime(timePlan.startTime) +
+                            plannedRounds * timePlan.gameMinutes +
+                            (plannedRounds - 1) * timePlan.changeoverMinutes
+                        )}${plannedRounds > 20 ? ' - only the first 20 will be scheduled' : ''}`}
+                  </Text>
+                </View>
+              )}
+
               {/* Number inputs row */}
               <View style={[styles.numbersRow, isDesktop && styles.numbersRowDesktop]}>
-                {/* Number of Rounds */}
-                <View style={[styles.optionGroup, styles.numberGroup]}>
-                  <Text style={styles.sectionTitle}>Rounds</Text>
-                  <View style={styles.numberInputRow}>
-                    <TouchableOpacity
-                      style={[styles.numberButton, isDesktop && styles.numberButtonDesktop]}
-                      onPress={() => setNumRounds((n) => Math.max(1, parseInt(n, 10) - 1).toString())}
-                      activeOpacity={0.7}
-                    >
-                      <Text style={styles.numberButtonText}>−</Text>
-                    </TouchableOpacity>
-                    <TextInput
-                      style={[styles.numberInput, isDesktop && styles.numberInputDesktop]}
-                      value={numRounds}
-                      onChangeText={(t) => setNumRounds(t.replace(/[^0-9]/g, ''))}
-                      keyboardType="number-pad"
-                      maxLength={2}
-                    />
-                    <TouchableOpacity
-                      style={[styles.numberButton, isDesktop && styles.numberButtonDesktop]}
-                      onPress={() => setNumRounds((n) => Math.min(20, parseInt(n, 10) + 1).toString())}
-                      activeOpacity={0.7}
-                    >
-                      <Text style={styles.numberButtonText}>+</Text>
-                    </TouchableOpacity>
+                {/* Number of Rounds (round-by-round sessions generate rounds as they go,
+                    round robins play every pairing, time plans work it out) */}
+                {!isRoundByRound && !isRoundRobin && !isTimePlanned && (
+                  <View style={[styles.optionGroup, styles.numberGroup]}>
+                    <Text style={styles.sectionTitle}>Rounds</Text>
+                    <View style={styles.numberInputRow}>
+                      <TouchableOpacity
+                        style={[styles.numberButton, isDesktop && styles.numberButtonDesktop]}
+                        onPress={() => setNumRounds((n) => Math.max(1, parseInt(n, 10) - 1).toString())}
+                        activeOpacity={0.7}
+                      >
+                        <Text style={styles.numberButtonText}>−</Text>
+                      </TouchableOpacity>
+                      <TextInput
+                        style={[styles.numberInput, isDesktop && styles.numberInputDesktop]}
+                        value={numRounds}
+                        onChangeText={(t) => setNumRounds(t.replace(/[^0-9]/g, ''))}
+                        keyboardType="number-pad"
+                        maxLength={2}
+                      />
+                      <TouchableOpacity
+                        style={[styles.numberButton, isDesktop && styles.numberButtonDesktop]}
+                        onPress={() => setNumRounds((n) => Math.min(20, parseInt(n, 10) + 1).toString())}
+                        activeOpacity={0.7}
+                      >
+                        <Text style={styles.numberButtonText}>+</Text>
+                      </TouchableOpacity>
+                    </View>
                   </View>
-                </View>
+                )}
 
                 {/* Number of Courts */}
                 <View style={[styles.optionGroup, styles.numberGroup]}>
@@ -829,26 +1901,109 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
                 </View>
               </View>
 
+              {/* Court availability: which rounds each court is booked for */}
+              {gameType && (
+                <View style={styles.optionGroup}>
+                  <Text style={styles.sectionTitle}>Court Availability</Text>
+                  {courtNumberList.map((courtNumber) => (
+                    <View key={courtNumber} style={styles.listRow}>
+                      <Text style={styles.listRowText}>{getCourtName(courtNumber)}</Text>
+                      <View style={styles.availabilityRow}>
+                        <Text style={styles.availabilityLabel}>Rounds</Text>
+                        <TextInput
+                          style={styles.availabilityInput}
+                          value={courtAvailability[courtNumber]?.fromRound?.toString() || ''}
+                          onChangeText={(t) => updateCourtWindow(courtNumber, 'fromRound', t)}
+                          placeholder="1"
+                          placeholderTextColor={colors.textMuted}
+                          keyboardType="number-pad"
+                          maxLength={2}
+                        />
+                        <Text style={styles.availabilityLabel}>to</Text>
+                        <TextInput
+                          style={styles.availabilityInput}
+                          value={courtAvailability[courtNumber]?.toRound?.toString() || ''}
+                          onChangeText={(t) => updateCourtWindow(courtNumber, 'toRound', t)}
+                          placeholder="End"
+                          placeholderTextColor={colors.textMuted}
+                          keyboardType="number-pad"
+                          maxLength={2}
+                        />
+                      </View>
+                    </View>
+                  ))}
+                  <Text style={styles.optionHint}>
+                    Leave blank to use a court for the whole session
+                  </Text>
+                </View>
+              )}
+
+              {/* Seed (optional) */}
+              <View style={styles.optionGroup}>
+                <Text style={styles.sectionTitle}>Seed</Text>
+                <TextInput
+                  style={styles.seedInput}
+                  value={seedInput}
+                  onChangeText={setSeedInput}
+                  placeholder="Random"
+                  placeholderTextColor={colors.textMuted}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                <Text style={styles.optionHint}>
+                  Enter a previous seed to rebuild the exact same rounds
+                </Text>
+              </View>
+
               {/* Error Display */}
               {error ? <Text style={styles.error}>{error}</Text> : null}
 
-              {/* Shuffle Button */}
-              <TouchableOpacity
-                style={[styles.shuffleButton, isDesktop && styles.shuffleButtonDesktop]}
-                onPress={handleShuffle}
-                activeOpacity={0.8}
-              >
-                <Text style={styles.shuffleButtonText}>Shuffle & Generate Rounds</Text>
-              </TouchableOpacity>
+              {/* Shuffle Button (progress and cancel while a schedule is being built) */}
+              {shuffleProgress ? (
+                <View style={[styles.shuffleProgress, isDesktop && styles.shuffleButtonDesktop]}>
+                  <Text style={styles.shuffleProgressText}>
+                    {shuffleProgress.stage === 'optimizing'
+                      ? `Optimizing schedule... ${Math.round((shuffleProgress.completed / shuffleProgress.total) * 100)}%`
+                      : shuffleProgress.stage === 'candidates'
+                      ? `Comparing schedule ${Math.min(shuffleProgress.completed + 1, shuffleProgress.total)} of ${shuffleProgress.total}...`
+                      : `Generating round ${Math.min(shuffleProgress.completed + 1, shuffleProgress.total)} of ${shuffleProgress.total}...`}
+                  </Text>
+                  <View style={styles.progressTrack}>
+                    <View
+                      style={[
+                        styles.progressFill,
+                        { width: `${Math.round((shuffleProgress.completed / shuffleProgress.total) * 100)}%` },
+                      ]}
+                    />
+                  </View>
+                  <TouchableOpacity onPress={cancelShuffle} activeOpacity={0.7}>
+                    <Text style={styles.cancelShuffleText}>Cancel</Text>
+                  </TouchableOpacity>
+                </View>
+              ) : (
+                <TouchableOpacity
+                  style={[styles.shuffleButton, isDesktop && styles.shuffleButtonDesktop]}
+                  onPress={handleShuffle}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.shuffleButtonText}>Shuffle & Generate Rounds</Text>
+                </TouchableOpacity>
+              )}
             </View>
           </View>
         ) : (
           <View style={styles.roundsSection}>
             <View style={[styles.roundsHeader, isDesktop && styles.roundsHeaderDesktop]}>
               <Text style={styles.roundsTitle}>
-                {rounds.length} Rounds • {numCourts} Courts • {gameType === 'doubles' ? (pairingMode === 'mixed' ? 'Mixed' : 'Random') : 'Singles'}
+                {rounds.length} Rounds • {numCourts} Courts • {gameType === 'doubles'
+                  ? PAIRING_MODE_LABELS[pairingMode]
+                  : gameType === 'flexible' ? 'Singles + Doubles' : isSwiss ? 'Singles Swiss' : 'Singles'}
+                {seed != null && <Text style={styles.seedText}> • Seed {seed}</Text>}
               </Text>
               <View style={styles.roundsHeaderButtons}>
+                <TouchableOpacity onPress={() => setShowFairness(true)} activeOpacity={0.7}>
+                  <Text style={styles.viewResultsText}>Fairness</Text>
+                </TouchableOpacity>
                 <TouchableOpacity onPress={() => setShowResults(true)} activeOpacity={0.7}>
                   <Text style={styles.viewResultsText}>View Results</Text>
                 </TouchableOpacity>
@@ -869,23 +2024,171 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
                     onPress={() => startEditingPlayer(player)}
                     activeOpacity={0.7}
                   >
+                    {players.length > 1 && (
+                      <TouchableOpacity
+                        onPress={() => removePlayer(player.id)}
+                        style={styles.compactRemoveButton}
+                        activeOpacity={0.7}
+                      >
+                        <Text style={styles.compactRemoveText}>×</Text>
+                      </TouchableOpacity>
+                    )}
                     <Text style={styles.compactPlayerText}>
                       {player.name}
-                      <Text style={styles.genderIndicator}> ({player.gender === 'male' ? 'M' : 'F'})</Text>
+                      <Text style={styles.genderIndicator}> ({genderShort(player.gender)}{player.flex && '/Flex'}{player.rating != null && ` ${player.rating}`}{eloLabel(player)})</Text>
                     </Text>
                     <Text style={styles.compactEditIcon}>✎</Text>
                   </TouchableOpacity>
                 ))}
+                {players.length < 50 && (
+                  <TouchableOpacity
+                    style={styles.compactPlayerChip}
+                    onPress={addPlayer}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={styles.compactPlayerText}>+ Add</Text>
+                  </TouchableOpacity>
+                )}
               </View>
+              {isRoundByRound && (
+                <Text style={styles.rosterHint}>Roster changes apply from the next round</Text>
+              )}
+              {needsRepair && (
+                <View style={styles.repairBanner}>
+                  <Text style={styles.repairBannerText}>
+                    Roster or courts changed. Upcoming rounds don't match the current players and courts.
+                  </Text>
+                  <TouchableOpacity
+                    style={styles.repairButton}
+                    onPress={() => handleRepairSchedule()}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.repairButtonText}>Repair Schedule</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+              {needsRepair && error ? <Text style={styles.error}>{error}</Text> : null}
+              {constraintViolations.length > 0 && (
+                <View style={styles.violationBanner}>
+                  <Text style={styles.violationTitle}>
+                    {constraintViolations.length} pair rule{constraintViolations.length === 1 ? '' : 's'} couldn't be kept
+                  </Text>
+                  {constraintViolations.map((v, idx) => (
+                    <Text key={idx} style={styles.violationText}>
+                      Round {v.roundNumber}: {v.message}
+                    </Text>
+                  ))}
+                </View>
+              )}
+              {sitOutViolations.length > 0 && (
+                <View style={styles.violationBanner}>
+                  <Text style={styles.violationTitle}>
+                    {sitOutViolations.length} back-to-back sit-out{sitOutViolations.length === 1 ? '' : 's'} couldn't be avoided
+                  </Text>
+                  {sitOutViolations.map((v, idx) => (
+                    <Text key={idx} style={styles.violationText}>
+                      {v.message}
+                    </Text>
+                  ))}
+                </View>
+              )}
+              {unscheduledMatches.length > 0 && (
+                <View style={styles.violationBanner}>
+                  <Text style={styles.violationTitle}>
+                    {unscheduledMatches.length} matchup{unscheduledMatches.length === 1 ? '' : 's'} didn't fit before the courts close
+                  </Text>
+                  {unscheduledMatches.map((m) => (
+                    <Text key={m.teamIds.join('-')} style={styles.violationText}>
+                      {m.message}
+                    </Text>
+                  ))}
+                </View>
+              )}
             </View>
 
+            {/* Courts in service - round robins follow the team list, so reshuffle those instead */}
+            {isRoundRobin ? (
+              <Text style={styles.rosterHint}>
+                Round robin courts are fixed once shuffled - to take a court offline, change its availability and reshuffle
+              </Text>
+            ) : (
+              <View style={styles.compactRoster}>
+                <Text style={styles.compactRosterTitle}>Courts</Text>
+                <View style={styles.compactRosterGrid}>
+                  {courtNumberList.map((courtNumber) => {
+                    const isOpen = openCourts.includes(courtNumber);
+                    return (
+                      <TouchableOpacity
+                        key={courtNumber}
+                        style={[styles.sideChip, isOpen && styles.sideChipActive]}
+                        onPress={() => toggleCourtOffline(courtNumber)}
+                        activeOpacity={0.7}
+                      >
+                        <Text style={[styles.sideChipText, isOpen && styles.sideChipTextActive]}>
+                          {getCourtName(courtNumber)}{!isOpen && ' (Offline)'}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+                <Text style={styles.rosterHint}>
+                  Tap a court to take it offline (or bring it back) from round {nextUnstartedRound}
+                </Text>
+              </View>
+            )}
+
+            {/* Best-of-N candidates, side by side until the first score goes in */}
+            {candidateResults && !rounds.some(isRoundStarted) && (
+              <View style={styles.candidatesSection}>
+                <Text style={styles.compactRosterTitle}>Compare Schedules</Text>
+                <View style={styles.candidatesRow}>
+                  {candidateResults.slice(0, 3).map((candidate, idx) => {
+                    const isSelected = candidate.seed === seed;
+                    return (
+                      <TouchableOpacity
+                        key={candidate.seed}
+                        style={[styles.candidateCard, isSelected && styles.candidateCardSelected]}
+                        onPress={() => selectCandidate(candidate)}
+                        activeOpacity={0.8}
+                      >
+                        <Text style={styles.candidateTitle}>
+                          {idx === 0 ? 'Fairest' : `Option ${idx + 1}`}
+                          {isSelected && <Text style={styles.candidateInUse}> • In use</Text>}
+                        </Text>
+                        {gameType !== 'singles' && (
+                          <Text style={styles.candidateStat}>Repeat partners: {candidate.repeatPartners}</Text>
+                        )}
+                        <Text style={styles.candidateStat}>Repeat opponents: {candidate.repeatOpponents}</Text>
+                        <Text style={styles.candidateStat}>Court spread: {candidate.courtSpread}</Text>
+                        <Text style={styles.candidateSeed}>Seed {candidate.seed}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            )}
+
             <Text style={styles.tapHint}>Tap score to enter results • Tap status to change</Text>
 
-            {rounds.map((round) => (
+            {/* Time plan: when play should wrap up at the pace so far */}
+            {sessionTiming && rounds.length > 0 && (
+              <Text style={[styles.timingSummary, sessionTiming.finish > sessionTiming.end && styles.timingSummaryLate]}>
+                Estimated finish {formatClockTime(sessionTiming.finish)} (booked until {formatClockTime(sessionTiming.end)})
+                {' • '}Games averaging {Math.round(sessionTiming.gameMinutes)} min
+              </Text>
+            )}
+
+            {rounds.map((round, roundIdx) => (
               <View key={round.id} style={[styles.roundCard, isDesktop && styles.roundCardDesktop]}>
                 <View style={styles.roundHeader}>
                   <Text style={[styles.roundTitle, isDesktop && styles.roundTitleDesktop]}>
                     Round {round.roundNumber}
+                    {sessionTiming?.rounds[roundIdx] && (
+                      <Text style={styles.roundStartTime}>
+                        {'  '}{sessionTiming.rounds[roundIdx].estimated ? '~' : ''}
+                        {formatClockTime(sessionTiming.rounds[roundIdx].start)}
+                      </Text>
+                    )}
                   </Text>
                   {round.sitOuts && round.sitOuts.length > 0 && (
                     <Text style={styles.sitOutText}>
@@ -900,7 +2203,42 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
                   {round.courts.map((court) => renderCourt(court, round.id))}
                 </View>
               </View>
-            ))}
+            ))}
+
+            {/* Round by round: King of the Court and Swiss also need every court decided */}
+            {isRoundByRound && (
+              <View style={styles.nextRoundSection}>
+                {error ? <Text style={styles.error}>{error}</Text> : null}
+                <TouchableOpacity
+                  style={[
+                    styles.shuffleButton,
+                    isDesktop && styles.shuffleButtonDesktop,
+                    !canGenerateNextRound && styles.shuffleButtonDisabled,
+                  ]}
+                  onPress={handleGenerateNextRound}
+                  disabled={!canGenerateNextRound}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.shuffleButtonText}>Generate Round {rounds.length + 1}</Text>
+                </TouchableOpacity>
+                {!canGenerateNextRound && (
+                  <Text style={styles.optionHint}>Enter a winning score on every court to continue</Text>
+                )}
+              </View>
+            )}
+
+            {/* Playoff bracket (seeded from the Results standings) */}
+            {bracket ? (
+              <BracketView
+                bracket={bracket}
+                rules={gameRules}
+                bestOf={matchFormat.playoffs}
+                onScoreUpdate={updateBracketScore}
+                onClear={clearBracket}
+              />
+            ) : (
+              <Text style={styles.tapHint}>Open View Results to seed a playoff bracket</Text>
+            )}
           </View>
         )}
       </View>
@@ -926,41 +2264,65 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
             />
             <Text style={styles.modalLabel}>Gender</Text>
             <View style={styles.genderToggleRow}>
-              <TouchableOpacity
-                style={[
-                  styles.genderToggleButton,
-                  editGender === 'male' && styles.genderToggleButtonActive,
-                ]}
-                onPress={() => setEditGender('male')}
-                activeOpacity={0.8}
-              >
-                <Text
-                  style={[
-                    styles.genderToggleText,
-                    editGender === 'male' && styles.genderToggleTextActive,
-                  ]}
-                >
-                  Male
-                </Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={[
-                  styles.genderToggleButton,
-                  editGender === 'female' && styles.genderToggleButtonActive,
-                ]}
-                onPress={() => setEditGender('female')}
-                activeOpacity={0.8}
-              >
-                <Text
+              {GENDER_OPTIONS.map((option) => (
+                <TouchableOpacity
+                  key={option.value}
                   style={[
-                    styles.genderToggleText,
-                    editGender === 'female' && styles.genderToggleTextActive,
+                    styles.genderToggleButton,
+                    editGender === option.value && styles.genderToggleButtonActive,
                   ]}
+                  onPress={() => setEditGender(option.value)}
+                  activeOpacity={0.8}
                 >
-                  Female
-                </Text>
-              </TouchableOpacity>
+                  <Text
+                    style={[
+                      styles.genderToggleText,
+                      editGender === option.value && styles.genderToggleTextActive,
+                    ]}
+                  >
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
             </View>
+            {(pairingMode === 'mixed' || pairingMode === 'same-gender') && (
+              <>
+                <Text style={styles.modalLabel}>{pairingMode === 'mixed' ? 'Mixed Doubles' : 'Same-Gender Doubles'}</Text>
+                <View style={styles.genderToggleRow}>
+                  <TouchableOpacity
+                    style={[
+                      styles.genderToggleButton,
+                      editFlex && styles.genderToggleButtonActive,
+                    ]}
+                    onPress={() => setEditFlex((f) => !f)}
+                    activeOpacity={0.8}
+                  >
+                    <Text
+                      style={[
+                        styles.genderToggleText,
+                        editFlex && styles.genderToggleTextActive,
+                      ]}
+                    >
+                      Flex - can play either side
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              </>
+            )}
+            <Text style={styles.modalLabel}>Skill Rating</Text>
+            <TextInput
+              style={styles.modalInput}
+              value={editRating}
+              onChangeText={(t) => {
+                setEditRating(t.replace(/[^0-9.,]/g, ''));
+                setEditError('');
+              }}
+              placeholder={`Unrated (${MIN_RATING.toFixed(1)} – ${MAX_RATING.toFixed(1)})`}
+              placeholderTextColor={colors.textMuted}
+              keyboardType="decimal-pad"
+              maxLength={4}
+            />
+            {editError ? <Text style={styles.error}>{editError}</Text> : null}
             <View style={styles.modalButtons}>
               <TouchableOpacity
                 style={[styles.modalButton, styles.modalButtonCancel]}
@@ -988,6 +2350,19 @@ export default function OrganizerScreen({ sessionCode, onLeave, onSessionUpdate,
         rounds={rounds}
         players={players}
         gameType={gameType}
+        handicap={activeHandicap}
+        teams={usesTeams ? teams : undefined}
+        swiss={isSwiss}
+        onSeedPlayoffs={handleSeedPlayoffs}
+      />
+
+      {/* Fairness Modal */}
+      <FairnessModal
+        visible={showFairness}
+        onClose={() => setShowFairness(false)}
+        rounds={rounds}
+        players={players}
+        gameType={gameType}
       />
     </ScrollView>
   );
@@ -1322,6 +2697,23 @@ const styles = StyleSheet.create({
     height: 52,
     fontSize: 22,
   },
+  seedInput: {
+    height: 48,
+    backgroundColor: colors.secondary,
+    borderRadius: 12,
+    paddingHorizontal: spacing.md,
+    fontSize: 16,
+    color: colors.text,
+    ...Platform.select({
+      web: { outlineStyle: 'none' },
+    }),
+  },
+  seedText: {
+    color: colors.textMuted,
+    ...Platform.select({
+      web: { userSelect: 'text' },
+    }),
+  },
   error: {
     color: colors.error,
     fontSize: 14,
@@ -1347,11 +2739,43 @@ const styles = StyleSheet.create({
     paddingVertical: 20,
     maxWidth: 400,
   },
+  shuffleButtonDisabled: {
+    backgroundColor: colors.textMuted,
+  },
   shuffleButtonText: {
     color: '#fff',
     fontSize: 18,
     fontWeight: '600',
   },
+  shuffleProgress: {
+    backgroundColor: colors.secondary,
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.lg,
+    borderRadius: 14,
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+  shuffleProgressText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  progressTrack: {
+    alignSelf: 'stretch',
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: colors.border,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: colors.primary,
+  },
+  cancelShuffleText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: colors.error,
+  },
   roundsSection: {
     gap: spacing.lg,
   },
@@ -1396,6 +2820,10 @@ const styles = StyleSheet.create({
     color: colors.textMuted,
     textAlign: 'center',
   },
+  nextRoundSection: {
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
   roundCard: {
     backgroundColor: colors.background,
     borderRadius: 16,
@@ -1428,6 +2856,11 @@ const styles = StyleSheet.create({
   roundTitleDesktop: {
     fontSize: 20,
   },
+  roundStartTime: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: colors.textSecondary,
+  },
   sitOutText: {
     fontSize: 13,
     color: colors.textSecondary,
@@ -1468,6 +2901,11 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: colors.textMuted,
   },
+  courtFormat: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: colors.textSecondary,
+  },
   courtNameEditRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1628,11 +3066,13 @@ const styles = StyleSheet.create({
   },
   genderToggleRow: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     gap: spacing.md,
     marginBottom: spacing.lg,
   },
   genderToggleButton: {
     flex: 1,
+    minWidth: '40%',
     paddingVertical: 12,
     borderRadius: 10,
     alignItems: 'center',
@@ -1777,8 +3217,231 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: colors.text,
   },
+  repairBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    backgroundColor: colors.warningLight,
+    borderRadius: 10,
+    padding: spacing.sm,
+  },
+  repairBannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.text,
+  },
+  repairButton: {
+    backgroundColor: colors.primary,
+    paddingVertical: 8,
+    paddingHorizontal: spacing.md,
+    borderRadius: 8,
+    ...Platform.select({
+      web: { cursor: 'pointer' },
+    }),
+  },
+  repairButtonText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  compactRemoveButton: {
+    ...Platform.select({
+      web: { cursor: 'pointer' },
+    }),
+  },
+  compactRemoveText: {
+    fontSize: 14,
+    color: colors.textMuted,
+    fontWeight: '500',
+  },
   compactEditIcon: {
     fontSize: 11,
     color: colors.textMuted,
   },
+  constraintsSection: {
+    gap: spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    paddingTop: spacing.md,
+  },
+  constraintTypeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+  constraintTypeButton: {
+    backgroundColor: colors.secondary,
+    paddingVertical: 6,
+    paddingHorizontal: spacing.md,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    ...Platform.select({
+      web: { cursor: 'pointer' },
+    }),
+  },
+  constraintTypeButtonSelected: {
+    backgroundColor: colors.primaryLight,
+    borderColor: colors.primary,
+  },
+  constraintTypeText: {
+    fontSize: 13,
+    color: colors.text,
+  },
+  constraintTypeTextSelected: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  pickerPlayerSelected: {
+    backgroundColor: colors.primaryLight,
+  },
+  pickerPlayerDisabled: {
+    opacity: 0.4,
+  },
+  listRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  listRowText: {
+    fontSize: 14,
+    color: colors.text,
+  },
+  candidatesSection: {
+    gap: spacing.sm,
+  },
+  candidatesRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  candidateCard: {
+    flex: 1,
+    minWidth: 150,
+    backgroundColor: colors.background,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: colors.border,
+    padding: spacing.sm,
+    gap: 2,
+    ...Platform.select({
+      web: { cursor: 'pointer' },
+    }),
+  },
+  candidateCardSelected: {
+    borderColor: colors.primary,
+  },
+  candidateTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  candidateInUse: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: colors.primary,
+  },
+  candidateStat: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  candidateSeed: {
+    fontSize: 11,
+    color: colors.textMuted,
+  },
+  sideChipRow: {
+    flexDirection: 'row',
+    gap: spacing.xs,
+  },
+  sideChip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    backgroundColor: colors.secondary,
+    ...Platform.select({
+      web: { cursor: 'pointer' },
+    }),
+  },
+  sideChipActive: {
+    backgroundColor: colors.primary,
+  },
+  sideChipText: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: colors.text,
+  },
+  sideChipTextActive: {
+    color: '#fff',
+  },
+  imbalanceHint: {
+    color: colors.error,
+  },
+  availabilityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
+  availabilityLabel: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  availabilityInput: {
+    width: 44,
+    height: 32,
+    backgroundColor: colors.secondary,
+    borderRadius: 8,
+    textAlign: 'center',
+    fontSize: 14,
+    color: colors.text,
+    ...Platform.select({
+      web: { outlineStyle: 'none' },
+    }),
+  },
+  timePlanGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  timePlanField: {
+    flex: 1,
+    minWidth: 110,
+    gap: 4,
+  },
+  timePlanInput: {
+    height: 40,
+    backgroundColor: colors.secondary,
+    borderRadius: 10,
+    paddingHorizontal: spacing.sm,
+    fontSize: 15,
+    color: colors.text,
+    ...Platform.select({
+      web: { outlineStyle: 'none' },
+    }),
+  },
+  timingSummary: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  timingSummaryLate: {
+    color: colors.error,
+    fontWeight: '600',
+  },
+  violationBanner: {
+    backgroundColor: colors.errorLight,
+    borderRadius: 10,
+    padding: spacing.sm,
+    gap: 2,
+  },
+  violationTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.error,
+  },
+  violationText: {
+    fontSize: 12,
+    color: colors.text,
+  },
 });
@@ -0,0 +1,480 @@
+/**
+ * Playoff brackets for Dink Shuffle
+ * Seeds the top of the pool-play standings into a single- or
+ * double-elimination bracket and advances entrants as match scores are
+ * recorded.
+ *
+ * Every match lists where its two entrants come from (a seed, or the
+ * winner/loser of an earlier match). After any score change the whole
+ * bracket is re-resolved in order, so byes, drop-downs into the losers
+ * bracket and corrected scores all flow through the same path.
+ *
+ * Brackets are plain JSON so they persist with the rest of the session;
+ * every update returns a new bracket object instead of mutating.
+ */
+
+import { createInitialScore, getTeamName } from './shuffle';
+
+/**
+ * @typedef {Object} Entrant
+ * @property {string} id
+ * @property {string} name
+ * @property {number} seed - 1 = top seed
+ * @property {import('./shuffle').Player[]} players - One for singles, two for doubles
+ */
+
+/**
+ * @typedef {Object} MatchSource
+ * @property {'seed' | 'winner' | 'loser'} type
+ * @property {number} [seed] - For 'seed'
+ * @property {string} [matchId] - For 'winner' / 'loser'
+ */
+
+/**
+ * @typedef {Object} BracketMatch
+ * @property {string} id
+ * @property {'winners' | 'losers' | 'final'} side
+ * @property {number} round - Zero-based round within its side
+ * @property {number} position - Zero-based slot within the round
+ * @property {MatchSource[]} sources - Where entrant1 and entrant2 come from
+ * @property {Entrant | null} entrant1
+ * @property {Entrant | null} entrant2
+ * @property {import('./shuffle').Score} score
+ * @property {'pending' | 'playing' | 'completed'} status
+ * @property {string | null} winnerId
+ * @property {boolean} isBye - At most one entrant; they advance without playing
+ */
+
+/**
+ * @typedef {Object} Bracket
+ * @property {'single' | 'double'} type
+ * @property {Entrant[]} entrants - In seed order
+ * @property {BracketMatch[][]} rounds - Winners bracket; rounds[r] holds that round's matches
+ * @property {BracketMatch[][]} losersRounds - Losers bracket (double elimination only)
+ * @property {BracketMatch[]} finals - Grand final, then the reset match (double elimination only)
+ * @property {boolean} grandFinalReset - Play a second final if the losers-bracket entrant wins the first
+ * @property {string | null} championId
+ */
+
+// ─── Seeding ─────────────────────────────────────────────────────────
+
+/**
+ * Build seeded entrants from ranked standings (see rankByWinRate).
+ * Fixed teams and singles players enter as themselves. Doubles mixer
+ * players are paired into teams by folding the seed list - 1st with last,
+ * 2nd with second-to-last - so playoff teams come out evenly matched.
+ *
+ * @param {Array} standings - Ranked stats entries (best first)
+ * @param {Object} config
+ * @param {number} config.count - How many players/teams from the top of the standings
+ * @param {import('./shuffle').Player[]} config.players
+ * @param {'singles' | 'doubles' | 'flexible'} config.gameType - Anything but singles
+ *   pairs players up as in doubles
+ * @param {import('./shuffle').Team[]} [config.teams] - Fixed teams, when standings are per team
+ * @returns {Entrant[]}
+ */
+export function createEntrantsFromStandings(standings, { count, players, gameType, teams }) {
+  const top = standings.slice(0, count);
+  const playerById = new Map(players.map((p) => [p.id, p]));
+
+  if (teams) {
+    return top.map((entry, idx) => {
+      const team = teams.find((t) => t.id === entry.id);
+      return {
+        id: entry.id,
+        name: getTeamName(team, players),
+        seed: idx + 1,
+        players: team.playerIds.map((id) => playerById.get(id)).filter(Boolean),
+      };
+    });
+  }
+
+  const seededPlayers = top.map((entry) => playerById.get(entry.id)).filter(Boolean);
+
+  if (gameType === 'singles') {
+    return seededPlayers.map((p, idx) => ({ id: p.id, name: p.name, seed: idx + 1, players: [p] }));
+  }
+
+  const half = Math.floor(seededPlayers.length / 2);
+  return Array.from({ length: half }, (_, idx) => {
+    const pair = [seededPlayers[idx], seededPlayers[seededPlayers.length - 1 - idx]];
+    return {
+      id: pair.map((p) => p.id).join('+'),
+      name: pair.map((p) => p.name).join(' / '),
+      seed: idx + 1,
+      players: pair,
+    };
+  });
+}
+
+/**
+ * Standard bracket order of seeds for a power-of-two bracket, so the top
+ * two seeds can only meet in the final: [1, 8, 4, 5, 2, 7, 3, 6] for 8.
+ * @param {number} size - Power of two
+ * @returns {number[]}
+ */
+function bracketSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const mirror = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, mirror - seed]);
+  }
+  return order;
+}
+
+// ─── Bracket Structure ───────────────────────────────────────────────
+
+const seedSource = (seed) => ({ type: 'seed', seed });
+const winnerOf = (match) => ({ type: 'winner', matchId: match.id });
+const loserOf = (match) => ({ type: 'loser', matchId: match.id });
+
+/**
+ * Stable match id for a side/round/slot
+ * @param {'winners' | 'losers' | 'final'} side
+ * @param {number} round
+ * @param {number} position
+ * @returns {string}
+ */
+export function bracketMatchId(side, round, position) {
+  return `${side[0]}-r${round}m${position}`;
+}
+
+/**
+ * Create an empty bracket match
+ */
+function createMatch(side, round, position, sources) {
+  return {
+    id: bracketMatchId(side, round, position),
+    side,
+    round,
+    position,
+    sources,
+    entrant1: null,
+    entrant2: null,
+    score: createInitialScore(),
+    status: 'pending',
+    winnerId: null,
+    isBye: false,
+  };
+}
+
+/**
+ * Build the winners bracket: the field padded to the next power of two,
+ * with the missing seeds as byes (they always fall to the top seeds)
+ * @param {number} numEntrants
+ * @returns {BracketMatch[][]}
+ */
+function createWinnersRounds(numEntrants) {
+  const size = 2 ** Math.ceil(Math.log2(Math.max(numEntrants, 2)));
+  const order = bracketSeedOrder(size);
+  const rounds = [
+    Array.from({ length: size / 2 }, (_, pos) =>
+      createMatch('winners', 0, pos, [seedSource(order[pos * 2]), seedSource(order[pos * 2 + 1])])
+    ),
+  ];
+
+  while (rounds[rounds.length - 1].length > 1) {
+    const prev = rounds[rounds.length - 1];
+    rounds.push(
+      Array.from({ length: prev.length / 2 }, (_, pos) =>
+        createMatch('winners', rounds.length, pos, [winnerOf(prev[pos * 2]), winnerOf(prev[pos * 2 + 1])])
+      )
+    );
+  }
+
+  return rounds;
+}
+
+/**
+ * Build the losers bracket for a winners bracket. First-round losers play
+ * each other; after that, rounds alternate between a drop-down round
+ * (losers-bracket survivors meet the next batch of winners-bracket losers)
+ * and a consolidation round (survivors play each other). Every other batch
+ * of drop-downs is placed in reverse order so entrants don't immediately
+ * replay the opponent who just beat them.
+ * @param {BracketMatch[][]} winnersRounds
+ * @returns {BracketMatch[][]}
+ */
+function createLosersRounds(winnersRounds) {
+  const rounds = [];
+  if (winnersRounds.length < 2) return rounds;
+
+  const addRound = (count, getSources) => {
+    const round = rounds.length;
+    rounds.push(Array.from({ length: count }, (_, pos) => createMatch('losers', round, pos, getSources(pos))));
+  };
+
+  const first = winnersRounds[0];
+  addRound(first.length / 2, (pos) => [loserOf(first[pos * 2]), loserOf(first[pos * 2 + 1])]);
+
+  for (let r = 1; r < winnersRounds.length; r++) {
+    const survivors = rounds[rounds.length - 1];
+    const drops = winnersRounds[r].map(loserOf);
+    if (r % 2 === 1) drops.reverse();
+    addRound(survivors.length, (pos) => [winnerOf(survivors[pos]), drops[pos]]);
+
+    if (r < winnersRounds.length - 1) {
+      const remaining = rounds[rounds.length - 1];
+      addRound(remaining.length / 2, (pos) => [winnerOf(remaining[pos * 2]), winnerOf(remaining[pos * 2 + 1])]);
+    }
+  }
+
+  return rounds;
+}
+
+/**
+ * Every match in dependency order (each match comes after its sources)
+ * @param {Bracket} bracket
+ * @returns {BracketMatch[]}
+ */
+function allMatches(bracket) {
+  return [...bracket.rounds.flat(), ...bracket.losersRounds.flat(), ...bracket.finals];
+}
+
+/**
+ * Return a copy of the bracket with every match passed through fn
+ */
+function mapMatches(bracket, fn) {
+  return {
+    ...bracket,
+    rounds: bracket.rounds.map((round) => round.map(fn)),
+    losersRounds: bracket.losersRounds.map((round) => round.map(fn)),
+    finals: bracket.finals.map(fn),
+  };
+}
+
+// ─── Resolution ──────────────────────────────────────────────────────
+
+/**
+ * Fill in every match's entrants from its sources and work out winners.
+ * - A match whose entrants changed (e.g. an earlier score was corrected)
+ *   loses its old score.
+ * - A match with a missing entrant is a bye once both sources are settled;
+ *   if both are missing it is empty and passes nobody on.
+ * - The reset match is only live when the losers-bracket entrant wins
+ *   the grand final.
+ * @param {Bracket} bracket
+ * @returns {Bracket}
+ */
+function resolveBracket(bracket) {
+  const outcomes = new Map(); // matchId → { done, winner, loser }
+  const resolved = new Map();
+
+  const resolveSource = (source) => {
+    if (source.type === 'seed') {
+      return { settled: true, entrant: bracket.entrants[source.seed - 1] || null };
+    }
+    const outcome = outcomes.get(source.matchId);
+    if (!outcome?.done) return { settled: false, entrant: null };
+    return { settled: true, entrant: source.type === 'winner' ? outcome.winner : outcome.loser };
+  };
+
+  const [grandFinal, resetMatch] = bracket.finals;
+
+  for (const match of allMatches(bracket)) {
+    let sides = match.sources.map(resolveSource);
+
+    if (resetMatch && match.id === resetMatch.id) {
+      const final = resolved.get(grandFinal.id);
+      const isLive = bracket.grandFinalReset && final.winnerId != null && final.winnerId === final.entrant2?.id;
+      sides = isLive
+        ? [final.entrant1, final.entrant2].map((entrant) => ({ settled: true, entrant }))
+        : [{ settled: false, entrant: null }, { settled: false, entrant: null }];
+    }
+
+    const [entrant1, entrant2] = sides.map((side) => side.entrant);
+    const lineupChanged = entrant1?.id !== match.entrant1?.id || entrant2?.id !== match.entrant2?.id;
+    const next = {
+      ...match,
+      entrant1,
+      entrant2,
+      winnerId: null,
+      isBye: false,
+      ...(lineupChanged ? { score: createInitialScore(), status: 'pending' } : {}),
+    };
+    let outcome = { done: false, winner: null, loser: null };
+
+    if (entrant1 && entrant2) {
+      const { team1, team2 } = next.score;
+      if (team1 != null && team2 != null && team1 !== team2) {
+        const [winner, loser] = team1 > team2 ? [entrant1, entrant2] : [entrant2, entrant1];
+        next.winnerId = winner.id;
+        outcome = { done: true, winner, loser };
+      }
+    } else if (sides.every((side) => side.settled)) {
+      const lone = entrant1 || entrant2;
+      next.isBye = true;
+      next.status = 'completed';
+      next.winnerId = lone?.id ?? null;
+      outcome = { done: true, winner: lone, loser: null };
+    }
+
+    outcomes.set(match.id, outcome);
+    resolved.set(match.id, next);
+  }
+
+  const result = mapMatches(bracket, (match) => resolved.get(match.id));
+  return { ...result, championId: findChampionId(result) };
+}
+
+/**
+ * Champion of a resolved bracket, or null while it is still being played
+ */
+function findChampionId(bracket) {
+  if (bracket.type !== 'double') {
+    return bracket.rounds[bracket.rounds.length - 1][0].winnerId;
+  }
+
+  const [grandFinal, resetMatch] = bracket.finals;
+  if (!grandFinal.winnerId) return null;
+  // The winners-bracket entrant only needs to win once
+  if (grandFinal.winnerId === grandFinal.entrant1?.id || !bracket.grandFinalReset) {
+    return grandFinal.winnerId;
+  }
+  return resetMatch.winnerId;
+}
+
+// ─── Creation & Scoring ──────────────────────────────────────────────
+
+/**
+ * Create a single-elimination bracket
+ * @param {Entrant[]} entrants - In seed order (at least 2)
+ * @returns {Bracket}
+ */
+export function createSingleEliminationBracket(entrants) {
+  return resolveBracket({
+    type: 'single',
+    entrants,
+    rounds: createWinnersRounds(entrants.length),
+    losersRounds: [],
+    finals: [],
+    grandFinalReset: false,
+    championId: null,
+  });
+}
+
+/**
+ * Create a double-elimination bracket. Losing once drops an entrant into
+ * the losers bracket; losing twice knocks them out. The grand final pits
+ * the winners-bracket champion against the losers-bracket champion.
+ * @param {Entrant[]} entrants - In seed order (at least 2)
+ * @param {Object} [options]
+ * @param {boolean} [options.grandFinalReset=true] - If the losers-bracket entrant
+ *   wins the grand final, play a deciding reset match (both then have one loss)
+ * @returns {Bracket}
+ */
+export function createDoubleEliminationBracket(entrants, { grandFinalReset = true } = {}) {
+  const rounds = createWinnersRounds(entrants.length);
+  const losersRounds = createLosersRounds(rounds);
+  const winnersFinal = rounds[rounds.length - 1][0];
+  const losersFinal = losersRounds.length > 0 ? losersRounds[losersRounds.length - 1][0] : null;
+
+  // With only two entrants there is no losers bracket: the final is a rematch
+  const grandFinal = createMatch('final', 0, 0, [
+    winnerOf(winnersFinal),
+    losersFinal ? winnerOf(losersFinal) : loserOf(winnersFinal),
+  ]);
+  const resetMatch = createMatch('final', 1, 0, []);
+
+  return resolveBracket({
+    type: 'double',
+    entrants,
+    rounds,
+    losersRounds,
+    finals: [grandFinal, resetMatch],
+    grandFinalReset,
+    championId: null,
+  });
+}
+
+/**
+ * Rebuild a saved bracket from its settings and stored match results
+ * @param {Object} settings
+ * @param {'single' | 'double'} settings.type
+ * @param {Entrant[]} settings.entrants
+ * @param {boolean} [settings.grandFinalReset]
+ * @param {Array<{ id: string, entrant1Id: string | null, entrant2Id: string | null, score: Object, status: string }>} savedMatches
+ * @returns {Bracket}
+ */
+export function restoreBracket({ type, entrants, grandFinalReset }, savedMatches) {
+  const skeleton = type === 'double'
+    ? createDoubleEliminationBracket(entrants, { grandFinalReset })
+    : createSingleEliminationBracket(entrants);
+  const entrantById = new Map(entrants.map((e) => [e.id, e]));
+  const saved = new Map(savedMatches.map((m) => [m.id, m]));
+
+  return resolveBracket(mapMatches(skeleton, (match) => {
+    const stored = saved.get(match.id);
+    if (!stored) return match;
+    return {
+      ...match,
+      entrant1: entrantById.get(stored.entrant1Id) || null,
+      entrant2: entrantById.get(stored.entrant2Id) || null,
+      score: stored.score,
+      status: stored.status,
+    };
+  }));
+}
+
+/**
+ * Find a match by id
+ * @param {Bracket} bracket
+ * @param {string} matchId
+ * @returns {BracketMatch | null}
+ */
+export function findBracketMatch(bracket, matchId) {
+  return allMatches(bracket).find((m) => m.id === matchId) || null;
+}
+
+/**
+ * Record a match score. A decisive score completes the match and advances
+ * the winner (and, in double elimination, drops the loser); a tied or
+ * partial score leaves the match undecided.
+ * @param {Bracket} bracket
+ * @param {string} matchId
+ * @param {number} team1Score - Score for entrant1 (games won in a best-of-three match)
+ * @param {number} team2Score - Score for entrant2
+ * @param {string} [updaterName]
+ * @param {import('./shuffle').GameScore[]} [games] - Game scores of a best-of-three match
+ * @returns {Bracket}
+ */
+export function recordBracketResult(bracket, matchId, team1Score, team2Score, updaterName = null, games = null) {
+  const match = findBracketMatch(bracket, matchId);
+  if (!match || match.isBye || !match.entrant1 || !match.entrant2) return bracket;
+
+  const decided = team1Score != null && team2Score != null && team1Score !== team2Score;
+
+  return resolveBracket(mapMatches(bracket, (m) => (m.id !== matchId ? m : {
+    ...m,
+    score: {
+      team1: team1Score,
+      team2: team2Score,
+      lastUpdatedBy: updaterName,
+      lastUpdatedAt: Date.now(),
+      ...(games ? { games } : {}),
+    },
+    status: decided ? 'completed' : 'playing',
+  })));
+}
+
+/**
+ * Display name for a bracket round
+ * @param {Bracket} bracket
+ * @param {'winners' | 'losers' | 'final'} side
+ * @param {number} round - Zero-based round within the side
+ * @returns {string}
+ */
+export function getBracketRoundName(bracket, side, round) {
+  if (side === 'final') return round === 0 ? 'Grand Final' : 'Grand Final Reset';
+
+  if (side === 'losers') {
+    return round === bracket.losersRounds.length - 1 ? 'Losers Final' : `Losers Round ${round + 1}`;
+  }
+
+  const fromFinal = bracket.rounds.length - 1 - round;
+  const prefix = bracket.type === 'double' ? 'Winners ' : '';
+  if (fromFinal === 0) return `${prefix}Final`;
+  if (fromFinal === 1) return `${prefix}Semifinals`;
+  if (fromFinal === 2) return `${prefix}Quarterfinals`;
+  return `${prefix}Round ${round + 1}`;
+}
@@ -0,0 +1,147 @@
+/**
+ * Game rules for Dink Shuffle
+ * How a game is won - points to win, win-by margin, an optional cap and
+ * the scoring system - and checking entered scores (single games and
+ * best-of-three matches) against them.
+ *
+ * Scores are the final scoreboard. A game past the target ends as soon as
+ * one side leads by the win-by margin, or when a side reaches the cap.
+ */
+
+/**
+ * @typedef {Object} GameRules
+ * @property {number} pointsToWin - e.g. 11
+ * @property {number} winBy - Winning margin needed, usually 2
+ * @property {number | null} cap - First to this score wins regardless of margin; null for no cap
+ * @property {'side-out' | 'rally'} scoring - Only the serving side scores, or every rally scores
+ */
+
+/**
+ * @typedef {Object} ScoreCheck
+ * @property {string | null} error - Why the score can't be right; it isn't saved
+ * @property {string | null} warning - Possible but unusual, worth a second look before saving
+ */
+
+/**
+ * @typedef {Object} MatchFormat
+ * @property {1 | 3} rounds - Games per court in pool play rounds
+ * @property {1 | 3} playoffs - Games per playoff bracket match
+ */
+
+/** Single games throughout */
+export const DEFAULT_MATCH_FORMAT = {
+  rounds: 1,
+  playoffs: 1,
+};
+
+/** Standard recreational rules: side-out scoring to 11, win by 2 */
+export const DEFAULT_GAME_RULES = {
+  pointsToWin: 11,
+  winBy: 2,
+  cap: null,
+  scoring: 'side-out',
+};
+
+/**
+ * Short description of the rules, e.g. "Game to 11, win by 2, cap 15, rally scoring"
+ * @param {GameRules} rules
+ * @returns {string}
+ */
+export function describeGameRules(rules = DEFAULT_GAME_RULES) {
+  const parts = [`Game to ${rules.pointsToWin}`];
+  if (rules.winBy > 1) parts.push(`win by ${rules.winBy}`);
+  if (rules.cap) parts.push(`cap ${rules.cap}`);
+  parts.push(rules.scoring === 'rally' ? 'rally scoring' : 'side-out scoring');
+  return parts.join(', ');
+}
+
+/**
+ * Check a final score against the session's rules
+ * @param {number} team1
+ * @param {number} team2
+ * @param {GameRules} [rules]
+ * @returns {ScoreCheck}
+ */
+export function checkScore(team1, team2, rules = DEFAULT_GAME_RULES) {
+  const { pointsToWin, winBy } = rules;
+  const cap = rules.cap >= pointsToWin ? rules.cap : null;
+  const winner = Math.max(team1, team2);
+  const loser = Math.min(team1, team2);
+  const margin = winner - loser;
+
+  if (margin === 0) {
+    return { error: "Games can't end in a tie", warning: null };
+  }
+  if (winner < pointsToWin) {
+    return { error: `The winner needs at least ${pointsToWin} points`, warning: null };
+  }
+  if (cap && winner > cap) {
+    return { error: `Games are capped at ${cap} points`, warning: null };
+  }
+
+  const reachedCap = cap != null && winner === cap;
+  if (margin < winBy && !reachedCap) {
+    return { error: `Games must be won by ${winBy}`, warning: null };
+  }
+  if (winner > pointsToWin && winBy <= 1) {
+    return { error: `With win by 1, the game ends at ${pointsToWin}`, warning: null };
+  }
+  if (winner > pointsToWin && margin > winBy) {
+    return {
+      error: `Past ${pointsToWin}, the game ends as soon as one side leads by ${winBy} - ${winner}-${loser} isn't possible`,
+      warning: null,
+    };
+  }
+
+  if (loser === 0) {
+    return { error: null, warning: `${winner}-0 is a shutout` };
+  }
+  if (winner >= pointsToWin + 5) {
+    return { error: null, warning: `${winner}-${loser} is a long game to ${pointsToWin}` };
+  }
+  return { error: null, warning: null };
+}
+
+/**
+ * Games each side won in a match
+ * @param {import('./shuffle').GameScore[]} games
+ * @returns {{ team1: number, team2: number }}
+ */
+export function countGamesWon(games) {
+  return {
+    team1: games.filter((g) => g.team1 > g.team2).length,
+    team2: games.filter((g) => g.team2 > g.team1).length,
+  };
+}
+
+/**
+ * Check a best-of-N match: every game against the rules, and the match
+ * ending as soon as one side has won enough games
+ * @param {import('./shuffle').GameScore[]} games - In the order they were played
+ * @param {number} bestOf - e.g. 3
+ * @param {GameRules} [rules]
+ * @returns {ScoreCheck}
+ */
+export function checkMatch(games, bestOf, rules = DEFAULT_GAME_RULES) {
+  const gamesNeeded = Math.floor(bestOf / 2) + 1;
+  const won = { team1: 0, team2: 0 };
+  let warning = null;
+
+  for (let i = 0; i < games.length; i++) {
+    if (won.team1 === gamesNeeded || won.team2 === gamesNeeded) {
+      return { error: `The match was over after game ${i}`, warning: null };
+    }
+
+    const check = checkScore(games[i].team1, games[i].team2, rules);
+    if (check.error) return { error: `Game ${i + 1}: ${check.error}`, warning: null };
+    if (check.warning && !warning) warning = `Game ${i + 1}: ${check.warning}`;
+
+    if (games[i].team1 > games[i].team2) won.team1++;
+    else won.team2++;
+  }
+
+  if (won.team1 < gamesNeeded && won.team2 < gamesNeeded) {
+    return { error: `A side needs to win ${gamesNeeded} games to take the match`, warning: null };
+  }
+  return { error: null, warning };
+}
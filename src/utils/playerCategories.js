@@ -0,0 +1,79 @@
+/**
+ * Player categories for Dink Shuffle
+ * The genders a player can pick, and how the organizer maps them onto the
+ * two sides of a mixed doubles team (or the groups of same-gender play).
+ *
+ * A gender mapped to 'either' - and any player marked flex - can fill
+ * whichever side is short, so nobody has to pick a binary to be scheduled.
+ */
+
+/**
+ * @typedef {'male' | 'female' | 'non-binary' | 'unspecified'} Gender
+ */
+
+/**
+ * @typedef {'a' | 'b' | 'either'} MixedSide
+ */
+
+/**
+ * @typedef {Object<string, MixedSide>} MixedSides - Gender → side
+ */
+
+/** Every gender a player can choose, in display order */
+export const GENDER_OPTIONS = [
+  { value: 'male', label: 'Male', short: 'M' },
+  { value: 'female', label: 'Female', short: 'F' },
+  { value: 'non-binary', label: 'Non-binary', short: 'NB' },
+  { value: 'unspecified', label: 'Prefer not to say', short: '-' },
+];
+
+/** Default mapping: men on one side, women on the other, everyone else either */
+export const DEFAULT_MIXED_SIDES = {
+  male: 'a',
+  female: 'b',
+  'non-binary': 'either',
+  unspecified: 'either',
+};
+
+/**
+ * Display label for a gender
+ * @param {Gender} gender
+ * @returns {string}
+ */
+export function genderLabel(gender) {
+  return GENDER_OPTIONS.find((g) => g.value === gender)?.label || 'Prefer not to say';
+}
+
+/**
+ * Short tag for a gender (e.g. next to a name on a court card)
+ * @param {Gender} gender
+ * @returns {string}
+ */
+export function genderShort(gender) {
+  return GENDER_OPTIONS.find((g) => g.value === gender)?.short || '-';
+}
+
+/**
+ * The side a player takes in mixed doubles and same-gender groups
+ * @param {import('./shuffle').Player} player
+ * @param {MixedSides} [mixedSides]
+ * @returns {'a' | 'b' | null} - null when the player can take either side
+ */
+export function getMixedSide(player, mixedSides = DEFAULT_MIXED_SIDES) {
+  if (player.flex) return null;
+  const side = mixedSides[player.gender] ?? 'either';
+  return side === 'either' ? null : side;
+}
+
+/**
+ * Name a side by the genders mapped to it, e.g. "Female / Non-binary"
+ * @param {'a' | 'b'} side
+ * @param {MixedSides} [mixedSides]
+ * @returns {string}
+ */
+export function describeMixedSide(side, mixedSides = DEFAULT_MIXED_SIDES) {
+  const labels = GENDER_OPTIONS
+    .filter((g) => (mixedSides[g.value] ?? 'either') === side)
+    .map((g) => g.label);
+  return labels.length > 0 ? labels.join(' / ') : side === 'a' ? 'Side A' : 'Side B';
+}
@@ -0,0 +1,160 @@
+/**
+ * Time-boxed planning for Dink Shuffle
+ * Works out how many rounds fit between a start and end time, and when
+ * each round should start. Once rounds are scored, estimates for the rest
+ * of the session follow the actual pace of play.
+ *
+ * Times are minutes after midnight on the day of the session; an end time
+ * at or before the start time is taken to be after midnight.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * @typedef {Object} TimePlan
+ * @property {string} startTime - e.g. "19:00" or "7pm"
+ * @property {string} endTime
+ * @property {number} gameMinutes - Average length of one game
+ * @property {number} changeoverMinutes - Time between games to swap courts
+ */
+
+/**
+ * @typedef {Object} RoundTiming
+ * @property {number} roundNumber
+ * @property {number} start - Scheduled (or, once the previous round is scored, actual) start
+ * @property {boolean} estimated - True while the start depends on rounds that haven't finished
+ * @property {number | null} finish - When its last score went in; null until then
+ */
+
+/**
+ * @typedef {Object} SessionTiming
+ * @property {RoundTiming[]} rounds
+ * @property {number} finish - Estimated end of the last round
+ * @property {number} end - Planned end time
+ * @property {number} gameMinutes - Average game length so far (the planned length until a round is scored)
+ */
+
+/**
+ * Parse a clock time: "19:00", "7:30", "7pm" or "7:30 PM"
+ * @param {string} text
+ * @returns {number | null} - Minutes after midnight, or null when not a time
+ */
+export function parseClockTime(text) {
+  const match = /^\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*$/i.exec(text || '');
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase();
+  if (minutes > 59 || (meridiem ? hours < 1 || hours > 12 : hours > 23)) return null;
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes after midnight as a clock time, e.g. "7:05pm"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatClockTime(minutes) {
+  const total = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(total / 60);
+  const mins = String(total % 60).padStart(2, '0');
+  return `${hours % 12 || 12}:${mins}${hours < 12 ? 'am' : 'pm'}`;
+}
+
+/**
+ * Start and end of the plan in minutes, with the end after the start
+ * @param {TimePlan} plan
+ * @returns {{ start: number, end: number } | null} - null when either time is missing or invalid
+ */
+function resolvePlanWindow(plan) {
+  const start = parseClockTime(plan?.startTime);
+  const end = parseClockTime(plan?.endTime);
+  if (start == null || end == null) return null;
+  return { start, end: end > start ? end : end + MINUTES_PER_DAY };
+}
+
+/**
+ * How many rounds fit in the planned time. The last game doesn't need a
+ * changeover after it.
+ * @param {TimePlan} plan
+ * @returns {number | null} - null when the plan is incomplete
+ */
+export function planRoundCount(plan) {
+  const window = resolvePlanWindow(plan);
+  if (!window || !(plan.gameMinutes > 0)) return null;
+  const changeover = Math.max(0, plan.changeoverMinutes || 0);
+  return Math.max(0, Math.floor((window.end - window.start + changeover) / (plan.gameMinutes + changeover)));
+}
+
+/**
+ * When a round finished: the time of its latest score once every court
+ * has one, as minutes after midnight
+ * @param {import('./shuffle').Round} round
+ * @returns {number | null}
+ */
+function roundFinishTime(round) {
+  if (round.courts.length === 0) return null;
+  const scoredAt = round.courts.map((c) =>
+    c.score?.team1 != null && c.score?.team2 != null ? c.score.lastUpdatedAt : null
+  );
+  if (scoredAt.some((t) => t == null)) return null;
+
+  const finishedAt = new Date(Math.max(...scoredAt));
+  return finishedAt.getHours() * 60 + finishedAt.getMinutes() + finishedAt.getSeconds() / 60;
+}
+
+/**
+ * Scheduled start of every round, re-estimated from how long the scored
+ * rounds actually took. Each round starts a changeover after the previous
+ * one finished (when it has) or is expected to finish, and unscored rounds
+ * are expected to last as long as the scored ones did on average.
+ * @param {import('./shuffle').Round[]} rounds
+ * @param {TimePlan} plan
+ * @returns {SessionTiming | null} - null when the plan is incomplete
+ */
+export function estimateRoundTimes(rounds, plan) {
+  const window = resolvePlanWindow(plan);
+  if (!window || !(plan.gameMinutes > 0)) return null;
+  const changeover = Math.max(0, plan.changeoverMinutes || 0);
+
+  // Scores entered after midnight still belong to this session
+  const finishes = rounds.map((round) => {
+    const finish = roundFinishTime(round);
+    return finish != null && finish < window.start - MINUTES_PER_DAY / 2 ? finish + MINUTES_PER_DAY : finish;
+  });
+
+  // Average game length from the scored rounds, in order, each timed from its own start
+  const timings = [];
+  const durations = [];
+  let gameMinutes = plan.gameMinutes;
+  rounds.forEach((round, idx) => {
+    const previous = timings[idx - 1];
+    let start = window.start;
+    if (previous) {
+      start = (previous.finish ?? previous.start + gameMinutes) + changeover;
+    }
+    if (finishes[idx] != null) {
+      durations.push(Math.max(1, finishes[idx] - start));
+      gameMinutes = durations.reduce((sum, d) => sum + d, 0) / durations.length;
+    }
+    timings.push({ roundNumber: round.roundNumber, start, estimated: false, finish: finishes[idx] });
+  });
+
+  // Later starts use the final average, not the one at the time
+  for (let idx = 1; idx < timings.length; idx++) {
+    const previous = timings[idx - 1];
+    timings[idx].start = (previous.finish ?? previous.start + gameMinutes) + changeover;
+    timings[idx].estimated = previous.finish == null;
+  }
+
+  const last = timings[timings.length - 1];
+  return {
+    rounds: timings,
+    finish: last ? last.finish ?? last.start + gameMinutes : window.start,
+    end: window.end,
+    gameMinutes,
+  };
+}
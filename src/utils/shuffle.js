@@ -1,22 +1,114 @@
 /**
  * Shuffle algorithm for Dink Shuffle
- * Supports: Singles, Doubles (Random), Doubles (Mixed)
+ * Supports: Singles, Doubles (Random), Doubles (Mixed), Doubles (Same-Gender),
+ * Doubles (Balanced), Doubles (King of the Court - generated one round at a
+ * time from scores), Doubles (Fixed-Team Round Robin) and Swiss-system
+ * pairing for singles or fixed teams (also generated one round at a time
+ * from scores), and Singles + Doubles, which picks each court's format
+ * every round to keep as many players on court as possible. Mixed sides
+ * and same-gender groups come from the organizer's gender mapping (see
+ * playerCategories).
  *
  * Fair distribution guarantees:
  * - Sit-outs are evenly distributed (max difference of 1 across all players)
+ *   and spaced out, with no back-to-back sit-outs unless unavoidable
  * - Every player plays with/against every other player before repeats
  * - Weighted greedy matching with swap improvement prevents positional bias
+ *
+ * All randomness flows through an injectable `rng` function so a schedule
+ * can be reproduced exactly from its seed.
+ */
+
+import { getMixedSide } from './playerCategories';
+
+/**
+ * @typedef {import('./playerCategories').MixedSides} MixedSides
+ */
+
+// ─── Seeded Randomness ───────────────────────────────────────────────
+
+/**
+ * Generate a fresh random seed (unsigned 32-bit integer)
+ * @returns {number}
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Normalize a seed to an unsigned 32-bit integer.
+ * Numeric strings map to the same value as the number itself (seeds
+ * round-trip through text columns); other strings are hashed with FNV-1a.
+ * @param {number | string} seed
+ * @returns {number}
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+  const str = String(seed).trim();
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic PRNG (mulberry32) with the same contract as Math.random
+ * @param {number | string} seed
+ * @returns {() => number} - Returns floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = normalizeSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Create the PRNG for one round of a round-by-round session.
+ * Each round gets its own stream so it can be rebuilt without replaying
+ * earlier rounds.
+ * @param {number | string} seed - Session seed
+ * @param {number} roundIdx - Zero-based round index
+ * @returns {() => number}
  */
+function createRoundRandom(seed, roundIdx) {
+  return createSeededRandom(`${seed}-${roundIdx}`);
+}
+
+/**
+ * Sort candidates by cost ascending, breaking ties randomly.
+ * Tie-break keys are drawn up front so the result does not depend on how
+ * many comparisons the engine's sort implementation makes.
+ * @param {{ cost: number }[]} candidates - Sorted in place
+ * @param {() => number} rng
+ */
+function sortByCostRandomTies(candidates, rng) {
+  for (const c of candidates) c.tiebreak = rng();
+  candidates.sort((a, b) => {
+    if (a.cost !== b.cost) return a.cost - b.cost;
+    return a.tiebreak - b.tiebreak;
+  });
+}
 
 /**
- * Fisher-Yates shuffle - randomizes array in place
+ * Fisher-Yates shuffle - returns a randomized copy of the array
  * @param {Array} array - Array to shuffle
- * @returns {Array} - Shuffled array (same reference)
+ * @param {() => number} [rng] - Random source, defaults to Math.random
+ * @returns {Array} - Shuffled copy
  */
-export function fisherYatesShuffle(array) {
+export function fisherYatesShuffle(array, rng = Math.random) {
   const arr = [...array];
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
@@ -26,13 +118,24 @@ export function fisherYatesShuffle(array) {
  * @typedef {Object} Player
  * @property {string} id
  * @property {string} name
- * @property {'male' | 'female'} gender
+ * @property {import('./playerCategories').Gender} gender - See playerCategories for how
+ *   genders map to mixed doubles sides
+ * @property {number | null} [rating] - Skill rating (e.g. 2.5–5.0), used by balanced pairing
+ * @property {boolean} [flex] - Can take either side of a mixed doubles team
+ */
+
+/**
+ * @typedef {Object} GameScore
+ * @property {number} team1
+ * @property {number} team2
  */
 
 /**
  * @typedef {Object} Score
- * @property {number | null} team1 - Score for team 1 (or player 1 in singles)
- * @property {number | null} team2 - Score for team 2 (or player 2 in singles)
+ * @property {number | null} team1 - Score for team 1 (or player 1 in singles); games won in a match
+ * @property {number | null} team2 - Score for team 2 (or player 2 in singles); games won in a match
+ * @property {GameScore[]} [games] - Each game of a best-of-three match, in order; missing for a single game
+ * @property {{ team1: number, team2: number }} [headStart] - Head start the score includes, recorded when it was entered (0-0 without a handicap; see getCourtHandicap)
  * @property {string | null} lastUpdatedBy - Name of person who last entered score
  * @property {number | null} lastUpdatedAt - Timestamp of last update
  */
@@ -44,6 +147,8 @@ export function fisherYatesShuffle(array) {
  * @property {Player[]} players - 2 for singles, 4 for doubles
  * @property {Player[]} [team1] - For doubles display
  * @property {Player[]} [team2] - For doubles display
+ * @property {'singles' | 'doubles'} [format] - Missing on courts saved before courts
+ *   carried their own format (see getCourtFormat)
  * @property {'pending' | 'playing' | 'completed'} status
  * @property {Score} score - Game score
  */
@@ -61,6 +166,20 @@ export function createInitialScore() {
   };
 }
 
+/**
+ * Points each side scored on a court: the game score, or the games of a
+ * match added up
+ * @param {Score} score
+ * @returns {{ team1: number | null, team2: number | null }}
+ */
+export function getScorePoints(score) {
+  if (!score?.games?.length) return { team1: score?.team1 ?? null, team2: score?.team2 ?? null };
+  return score.games.reduce(
+    (total, game) => ({ team1: total.team1 + game.team1, team2: total.team2 + game.team2 }),
+    { team1: 0, team2: 0 }
+  );
+}
+
 /**
  * @typedef {Object} Round
  * @property {string} id
@@ -69,27 +188,51 @@ export function createInitialScore() {
  * @property {Player[]} sitOuts - Players sitting out this round
  */
 
+/**
+ * @typedef {Object} PairConstraint
+ * @property {'must-partner' | 'never-partner' | 'never-oppose'} type
+ * @property {[string, string]} playerIds
+ */
+
+/**
+ * @typedef {Object} ShuffleProgress
+ * @property {'rounds' | 'optimizing' | 'candidates'} stage - Generating rounds, improving them with
+ *   optimizeSchedule, or comparing whole schedules with shuffleBestOf
+ * @property {number} completed - Rounds generated, optimizer moves made or candidates scored
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} ConstraintViolation
+ * @property {number} roundNumber
+ * @property {PairConstraint} constraint
+ * @property {string} message - Human-readable description
+ */
+
 // ─── Fairness Utilities ──────────────────────────────────────────────
 
 /**
  * Create tracking state for fair distribution across rounds
  * @param {Player[]} players
- * @returns {{ sitOutCounts: Map, partnerCounts: Map, opponentCounts: Map, courtCounts: Map }}
+ * @returns {{ sitOutCounts: Map, lastSitOuts: Map, partnerCounts: Map, opponentCounts: Map, courtCounts: Map, singlesCounts: Map }}
  */
 function createFairnessState(players) {
   const sitOutCounts = new Map();
+  const lastSitOuts = new Map(); // playerId → index of their latest sit-out round
   const partnerCounts = new Map();
   const opponentCounts = new Map();
   const courtCounts = new Map(); // playerId → Map(courtNumber → count)
+  const singlesCounts = new Map(); // playerId → singles games (Singles + Doubles)
 
   for (const p of players) {
     sitOutCounts.set(p.id, 0);
     partnerCounts.set(p.id, new Map());
     opponentCounts.set(p.id, new Map());
     courtCounts.set(p.id, new Map());
+    singlesCounts.set(p.id, 0);
   }
 
-  return { sitOutCounts, partnerCounts, opponentCounts, courtCounts };
+  return { sitOutCounts, lastSitOuts, partnerCounts, opponentCounts, courtCounts, singlesCounts };
 }
 
 /**
@@ -109,14 +252,71 @@ function incrementCount(countMap, id1, id2) {
   countMap.get(id2).set(id1, (countMap.get(id2).get(id1) || 0) + 1);
 }
 
+/**
+ * Rebuild fairness state from rounds that were already generated,
+ * so new rounds continue where the earlier ones left off.
+ * @param {Player[]} players - Current roster
+ * @param {Round[]} rounds
+ * @returns {{ sitOutCounts: Map, lastSitOuts: Map, partnerCounts: Map, opponentCounts: Map, courtCounts: Map, singlesCounts: Map }}
+ */
+function createFairnessStateFromRounds(players, rounds) {
+  const state = createFairnessState(players);
+
+  for (const [roundIdx, round] of rounds.entries()) {
+    for (const p of round.sitOuts || []) {
+      if (state.sitOutCounts.has(p.id)) {
+        state.sitOutCounts.set(p.id, state.sitOutCounts.get(p.id) + 1);
+        state.lastSitOuts.set(p.id, roundIdx);
+      }
+    }
+    for (const court of round.courts) {
+      if (court.team1 && court.team2) {
+        incrementCount(state.partnerCounts, court.team1[0].id, court.team1[1].id);
+        incrementCount(state.partnerCounts, court.team2[0].id, court.team2[1].id);
+        for (const p1 of court.team1) {
+          for (const p2 of court.team2) {
+            incrementCount(state.opponentCounts, p1.id, p2.id);
+          }
+        }
+      } else if (court.players.length === 2) {
+        incrementCount(state.opponentCounts, court.players[0].id, court.players[1].id);
+        recordSinglesGames(court.players, state.singlesCounts);
+      }
+      updateCourtCounts(court.players, court.courtNumber, state.courtCounts);
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Give players who joined mid-session top sit-out priority. They start
+ * level with whoever has waited longest, so they get on court in the next
+ * round without being owed every round they missed.
+ * @param {Map<string, number>} sitOutCounts - Tracking map (mutated)
+ * @param {Player[]} players - Current roster
+ * @param {Set<string>} lateIds - Players who missed the rounds so far
+ */
+function prioritizeLateArrivals(sitOutCounts, players, lateIds) {
+  if (lateIds.size === 0) return;
+  const counts = players
+    .filter((p) => !lateIds.has(p.id))
+    .map((p) => sitOutCounts.get(p.id) || 0);
+  const priority = counts.length > 0 ? Math.max(...counts) : 0;
+  for (const id of lateIds) {
+    sitOutCounts.set(id, priority);
+  }
+}
+
 /**
  * Build a Court object with standard shape
  */
-function buildCourtObject(roundIdx, courtIdx, players, team1, team2) {
+function buildCourtObject(roundIdx, courtNumber, players, team1, team2) {
   const court = {
-    id: `r${roundIdx}c${courtIdx}`,
-    courtNumber: courtIdx + 1,
+    id: `r${roundIdx}c${courtNumber - 1}`,
+    courtNumber,
     players,
+    format: players.length === 4 ? 'doubles' : 'singles',
     status: 'pending',
     score: createInitialScore(),
   };
@@ -125,6 +325,216 @@ function buildCourtObject(roundIdx, courtIdx, players, team1, team2) {
   return court;
 }
 
+/**
+ * The format a court is played in. Courts saved before each court
+ * carried its own format follow the session's game type.
+ * @param {Court} court
+ * @param {'singles' | 'doubles' | 'flexible'} [gameType]
+ * @returns {'singles' | 'doubles'}
+ */
+export function getCourtFormat(court, gameType) {
+  if (court.format) return court.format;
+  if (gameType === 'flexible') return court.players.length === 4 ? 'doubles' : 'singles';
+  return gameType === 'doubles' ? 'doubles' : 'singles';
+}
+
+// ─── Pair Constraints ────────────────────────────────────────────────
+
+/**
+ * Cost of breaking a pair constraint. Large enough to outweigh any
+ * realistic mix of repeat counts and rating imbalance, so constraints are
+ * only broken when no assignment can satisfy them.
+ */
+const CONSTRAINT_PENALTY = 100;
+
+/**
+ * Order-independent key for a pair of player ids
+ */
+function pairKey(id1, id2) {
+  return id1 < id2 ? `${id1}|${id2}` : `${id2}|${id1}`;
+}
+
+/**
+ * Index pair constraints for fast lookup during assignment
+ * @param {PairConstraint[]} [constraints]
+ * @returns {{ mustPartner: Map<string, string>, neverPartner: Set<string>, neverOppose: Set<string> }}
+ */
+function createConstraintIndex(constraints = []) {
+  const mustPartner = new Map();
+  const neverPartner = new Set();
+  const neverOppose = new Set();
+
+  for (const { type, playerIds: [id1, id2] } of constraints) {
+    if (type === 'must-partner') {
+      mustPartner.set(id1, id2);
+      mustPartner.set(id2, id1);
+    } else if (type === 'never-partner') {
+      neverPartner.add(pairKey(id1, id2));
+    } else if (type === 'never-oppose') {
+      neverOppose.add(pairKey(id1, id2));
+    }
+  }
+
+  return { mustPartner, neverPartner, neverOppose };
+}
+
+/**
+ * Partner cost for two players: repeat count plus constraint penalties
+ */
+function partnerCost(partnerCounts, p1, p2, options) {
+  let cost = getCount(partnerCounts, p1.id, p2.id);
+  const index = options.constraints;
+  if (index) {
+    if (index.neverPartner.has(pairKey(p1.id, p2.id))) cost += CONSTRAINT_PENALTY;
+    const pinned1 = index.mustPartner.get(p1.id);
+    const pinned2 = index.mustPartner.get(p2.id);
+    if (pinned1 !== undefined && pinned1 !== p2.id) cost += CONSTRAINT_PENALTY;
+    if (pinned2 !== undefined && pinned2 !== p1.id) cost += CONSTRAINT_PENALTY;
+  }
+  return cost;
+}
+
+/**
+ * Opponent cost for two players: repeat count plus constraint penalties
+ */
+function opponentCost(opponentCounts, p1, p2, options) {
+  let cost = getCount(opponentCounts, p1.id, p2.id);
+  if (options.constraints?.neverOppose.has(pairKey(p1.id, p2.id))) cost += CONSTRAINT_PENALTY;
+  return cost;
+}
+
+/**
+ * Keep must-partner pairs on court together. When sit-out selection benched
+ * one half of a pinned pair, bring the partner in for the lowest-priority
+ * unpinned active player in the same pool; failing that, bench both halves.
+ * Sit-out counts are adjusted for every swap.
+ *
+ * @param {{ active: Player[], sitOuts: Player[] }[]} selections - One per selection pool (mutated)
+ * @param {Object} index - From createConstraintIndex
+ * @param {Map<string, number>} sitOutCounts - Tracking map (mutated)
+ */
+function keepPinnedPartnersTogether(selections, index, sitOutCounts) {
+  if (!index || index.mustPartner.size === 0) return;
+
+  const locate = (id) => {
+    for (const selection of selections) {
+      if (selection.active.some((p) => p.id === id)) return { selection, isActive: true };
+      if (selection.sitOuts.some((p) => p.id === id)) return { selection, isActive: false };
+    }
+    return null;
+  };
+
+  const swap = (selection, activePlayer, sitOutPlayer) => {
+    selection.active[selection.active.indexOf(activePlayer)] = sitOutPlayer;
+    selection.sitOuts[selection.sitOuts.indexOf(sitOutPlayer)] = activePlayer;
+    sitOutCounts.set(activePlayer.id, (sitOutCounts.get(activePlayer.id) || 0) + 1);
+    sitOutCounts.set(sitOutPlayer.id, (sitOutCounts.get(sitOutPlayer.id) || 0) - 1);
+  };
+
+  const isUnpinned = (p) => !index.mustPartner.has(p.id);
+  const bySitOuts = (a, b) => (sitOutCounts.get(a.id) || 0) - (sitOutCounts.get(b.id) || 0);
+
+  for (const [id, partnerId] of index.mustPartner) {
+    if (id > partnerId) continue; // visit each pair once
+    const first = locate(id);
+    const second = locate(partnerId);
+    if (!first || !second || first.isActive === second.isActive) continue;
+
+    const benched = first.isActive ? second : first;
+    const playing = first.isActive ? first : second;
+    const benchedPlayer = benched.selection.sitOuts.find((p) => p.id === (first.isActive ? partnerId : id));
+    const playingPlayer = playing.selection.active.find((p) => p.id === (first.isActive ? id : partnerId));
+
+    // Prefer bringing the benched partner in over the least-waited unpinned player
+    const [replaceable] = benched.selection.active.filter(isUnpinned).sort(bySitOuts);
+    if (replaceable) {
+      swap(benched.selection, replaceable, benchedPlayer);
+      continue;
+    }
+
+    // Otherwise bench the playing half for the longest-waiting unpinned player
+    const [substitute] = playing.selection.sitOuts.filter(isUnpinned).sort(bySitOuts).reverse();
+    if (substitute) {
+      swap(playing.selection, playingPlayer, substitute);
+    }
+  }
+}
+
+/**
+ * Find every broken pair constraint in a schedule.
+ * A must-partner pair is broken when both play doubles but not together,
+ * or when only one of them plays doubles and the other sits out. Partner
+ * constraints don't apply to players on singles courts.
+ * @param {Round[]} rounds
+ * @param {PairConstraint[]} [constraints]
+ * @param {Player[]} [players] - Used for names in messages
+ * @param {'singles' | 'doubles' | 'flexible'} [gameType] - For courts without their own format
+ * @returns {ConstraintViolation[]}
+ */
+export function findConstraintViolations(rounds, constraints = [], players = [], gameType = 'doubles') {
+  if (constraints.length === 0) return [];
+
+  const names = new Map(players.map((p) => [p.id, p.name]));
+  const nameOf = (id) => names.get(id) || 'Unknown';
+  const violations = [];
+
+  for (const round of rounds) {
+    const partnerOf = new Map();
+    const opposed = new Set();
+    const playingDoubles = new Set();
+    const playingSingles = new Set();
+
+    for (const court of round.courts) {
+      const isDoubles = getCourtFormat(court, gameType) === 'doubles';
+      court.players.forEach((p) => (isDoubles ? playingDoubles : playingSingles).add(p.id));
+      const teams = court.team1 && court.team2
+        ? [court.team1, court.team2]
+        : court.players.map((p) => [p]);
+      if (isDoubles) {
+        for (const team of teams) {
+          if (team.length === 2) {
+            partnerOf.set(team[0].id, team[1].id);
+            partnerOf.set(team[1].id, team[0].id);
+          }
+        }
+      }
+      for (let i = 0; i < teams.length; i++) {
+        for (let j = i + 1; j < teams.length; j++) {
+          for (const p1 of teams[i]) {
+            for (const p2 of teams[j]) opposed.add(pairKey(p1.id, p2.id));
+          }
+        }
+      }
+    }
+
+    for (const constraint of constraints) {
+      const [id1, id2] = constraint.playerIds;
+      const pair = `${nameOf(id1)} & ${nameOf(id2)}`;
+      let message = null;
+
+      if (constraint.type === 'must-partner') {
+        // A singles court has no partner to keep
+        const onSingles = playingSingles.has(id1) || playingSingles.has(id2);
+        if (!onSingles && playingDoubles.has(id1) !== playingDoubles.has(id2)) {
+          message = `${pair} split up (one sitting out)`;
+        } else if (!onSingles && playingDoubles.has(id1) && partnerOf.get(id1) !== id2) {
+          message = `${pair} not partnered`;
+        }
+      } else if (constraint.type === 'never-partner' && partnerOf.get(id1) === id2) {
+        message = `${pair} partnered`;
+      } else if (constraint.type === 'never-oppose' && opposed.has(pairKey(id1, id2))) {
+        message = `${pair} opposing`;
+      }
+
+      if (message) {
+        violations.push({ roundNumber: round.roundNumber, constraint, message });
+      }
+    }
+  }
+
+  return violations;
+}
+
 // ─── Fair Court Rotation ─────────────────────────────────────────────
 
 /**
@@ -134,11 +544,14 @@ function buildCourtObject(roundIdx, courtIdx, players, team1, team2) {
  * @param {Array} courtGroups - Array of player groups (pairs or team objects)
  * @param {Map} courtCounts - playerId → Map(courtNumber → count)
  * @param {Function} getPlayers - Extracts player array from a court group
- * @returns {Array} - Reordered courtGroups for optimal court number assignment
+ * @param {() => number} rng - Random source for tie-breaks
+ * @param {number[]} [courtNumbers] - Courts open this round, ascending; defaults to 1..n
+ * @returns {Array} - Reordered courtGroups: group i plays on courtNumbers[i]
  */
-function assignCourtNumbers(courtGroups, courtCounts, getPlayers) {
+function assignCourtNumbers(courtGroups, courtCounts, getPlayers, rng, courtNumbers) {
   const n = courtGroups.length;
   if (n <= 1) return courtGroups;
+  const courtAt = (slot) => (courtNumbers ? courtNumbers[slot] : slot + 1);
 
   // Cost of assigning a group of players to a specific court number
   const costForCourt = (group, courtNumber) => {
@@ -158,9 +571,9 @@ function assignCourtNumbers(courtGroups, courtCounts, getPlayers) {
       if (remaining.length === 0) {
         let cost = 0;
         for (let i = 0; i < indices.length; i++) {
-          cost += costForCourt(courtGroups[indices[i]], i + 1);
+          cost += costForCourt(courtGroups[indices[i]], courtAt(i));
         }
-        if (cost < bestCost || (cost === bestCost && Math.random() < 0.5)) {
+        if (cost < bestCost || (cost === bestCost && rng() < 0.5)) {
           bestCost = cost;
           bestOrder = [...indices];
         }
@@ -182,18 +595,18 @@ function assignCourtNumbers(courtGroups, courtCounts, getPlayers) {
   const available = new Set(Array.from({ length: n }, (_, i) => i));
   const result = new Array(n);
 
-  // For each court number (1..n), find the group with lowest cost
-  for (let courtNum = 1; courtNum <= n; courtNum++) {
+  // For each court in turn, find the group with lowest cost
+  for (let slot = 0; slot < n; slot++) {
     let bestIdx = -1;
     let bestCost = Infinity;
     for (const idx of available) {
-      const cost = costForCourt(courtGroups[idx], courtNum);
-      if (cost < bestCost || (cost === bestCost && Math.random() < 0.5)) {
+      const cost = costForCourt(courtGroups[idx], courtAt(slot));
+      if (cost < bestCost || (cost === bestCost && rng() < 0.5)) {
         bestCost = cost;
         bestIdx = idx;
       }
     }
-    result[courtNum - 1] = courtGroups[bestIdx];
+    result[slot] = courtGroups[bestIdx];
     available.delete(bestIdx);
   }
 
@@ -212,19 +625,125 @@ function updateCourtCounts(players, courtNumber, courtCounts) {
   }
 }
 
+/**
+ * Count a singles game for each player, so Singles + Doubles can hand
+ * singles out evenly.
+ */
+function recordSinglesGames(players, singlesCounts) {
+  for (const p of players) {
+    singlesCounts.set(p.id, (singlesCounts.get(p.id) || 0) + 1);
+  }
+}
+
+// ─── Court Availability ──────────────────────────────────────────────
+
+/**
+ * @typedef {Object} CourtWindow
+ * @property {number} [fromRound] - First round (1-based) the court can be used; defaults to round 1
+ * @property {number} [toRound] - Last round it can be used; open-ended when omitted
+ */
+
+/**
+ * @typedef {Object<number, CourtWindow>} CourtAvailability - courtNumber → window.
+ *   Courts not listed can be used in every round.
+ */
+
+/**
+ * Courts that can be used in a round
+ * @param {number} numCourts
+ * @param {CourtAvailability} [courtAvailability]
+ * @param {number} roundNumber - 1-based
+ * @returns {number[]} - Court numbers, ascending
+ */
+export function getAvailableCourts(numCourts, courtAvailability, roundNumber) {
+  const courts = [];
+  for (let courtNumber = 1; courtNumber <= numCourts; courtNumber++) {
+    const window = courtAvailability?.[courtNumber];
+    if (window?.fromRound != null && roundNumber < window.fromRound) continue;
+    if (window?.toRound != null && roundNumber > window.toRound) continue;
+    courts.push(courtNumber);
+  }
+  return courts;
+}
+
+/**
+ * Take a court out of service from a round onwards (e.g. a broken net).
+ * Rounds before it keep the court.
+ * @param {CourtAvailability} courtAvailability
+ * @param {number} courtNumber
+ * @param {number} fromRound - First round (1-based) without the court
+ * @returns {CourtAvailability} - Updated copy
+ */
+export function closeCourtFrom(courtAvailability, courtNumber, fromRound) {
+  const window = courtAvailability?.[courtNumber] || {};
+  return { ...courtAvailability, [courtNumber]: { ...window, toRound: fromRound - 1 } };
+}
+
+/**
+ * Bring a court back into service from a round onwards, for the rest of
+ * the session
+ * @param {CourtAvailability} courtAvailability
+ * @param {number} courtNumber
+ * @param {number} fromRound - First round (1-based) with the court again
+ * @returns {CourtAvailability} - Updated copy
+ */
+export function reopenCourtFrom(courtAvailability, courtNumber, fromRound) {
+  const window = { ...courtAvailability?.[courtNumber] };
+  delete window.toRound;
+  if (window.fromRound != null && window.fromRound > fromRound) window.fromRound = fromRound;
+  return { ...courtAvailability, [courtNumber]: window };
+}
+
+/**
+ * Court numbers a round is played on: the open courts passed in options
+ * (see getAvailableCourts), otherwise courts 1..numCourts
+ * @param {number} numCourts
+ * @param {{ courtNumbers?: number[] }} [options]
+ * @returns {number[]}
+ */
+function roundCourtNumbers(numCourts, options = {}) {
+  return options.courtNumbers || Array.from({ length: numCourts }, (_, i) => i + 1);
+}
+
+/**
+ * Move a generated round onto the courts open that round, keeping the
+ * courts in order (so court 1 stays the top court in King of the Court)
+ * @param {Round} round
+ * @param {number[]} courtNumbers - Ascending
+ * @returns {Round}
+ */
+function moveToOpenCourts(round, courtNumbers) {
+  const roundIdx = round.roundNumber - 1;
+  return {
+    ...round,
+    courts: round.courts.map((court, idx) => ({
+      ...court,
+      id: `r${roundIdx}c${courtNumbers[idx] - 1}`,
+      courtNumber: courtNumbers[idx],
+    })),
+  };
+}
+
 // ─── Fair Sit-Out Selection ──────────────────────────────────────────
 
 /**
  * Select active players for a round, ensuring fair sit-out distribution.
- * Players who have sat out the most get priority to play.
+ * Anyone who sat out the previous round plays first, so nobody sits out
+ * back to back unless there are more sit-outs than other players. After
+ * that, players who have sat out the most get priority to play, and among
+ * equals the one whose last sit-out was longest ago sits, which spaces each
+ * player's sit-outs evenly through the session.
  * Guarantees: max(sitOutCounts) - min(sitOutCounts) <= 1
  *
  * @param {Player[]} players - All players in pool
  * @param {number} needed - How many active players needed
  * @param {Map<string, number>} sitOutCounts - Tracking map (mutated)
+ * @param {() => number} rng
+ * @param {Map<string, number>} [lastSitOuts] - playerId → index of their latest sit-out round
+ * @param {number} [roundIdx] - Zero-based index of the round being selected
  * @returns {{ active: Player[], sitOuts: Player[] }}
  */
-function selectActivePlayers(players, needed, sitOutCounts) {
+function selectActivePlayers(players, needed, sitOutCounts, rng, lastSitOuts = new Map(), roundIdx = 0) {
   if (players.length <= needed) {
     return { active: [...players], sitOuts: [] };
   }
@@ -240,15 +759,18 @@ function selectActivePlayers(players, needed, sitOutCounts) {
   // Sort by sit-out count descending (most sit-outs = highest priority to play)
   const sortedCounts = [...groups.keys()].sort((a, b) => b - a);
 
-  const active = [];
-  for (const count of sortedCounts) {
-    const group = fisherYatesShuffle(groups.get(count));
-    for (const p of group) {
-      if (active.length < needed) {
-        active.push(p);
-      }
-    }
-  }
+  const ordered = sortedCounts.flatMap((count) => fisherYatesShuffle(groups.get(count), rng));
+
+  // A player with sit-outs owed but none on record joined mid-session
+  // (see prioritizeLateArrivals), so they rank as the most recent sitter
+  const satOutLast = (p) => lastSitOuts.get(p.id) === roundIdx - 1;
+  const recency = (p) => lastSitOuts.get(p.id) ?? Infinity;
+  ordered.sort((a, b) =>
+    satOutLast(b) - satOutLast(a) ||
+    (sitOutCounts.get(b.id) || 0) - (sitOutCounts.get(a.id) || 0) ||
+    recency(b) - recency(a)
+  );
+  const active = ordered.slice(0, needed);
 
   const activeIds = new Set(active.map((p) => p.id));
   const sitOuts = players.filter((p) => !activeIds.has(p.id));
@@ -261,6 +783,52 @@ function selectActivePlayers(players, needed, sitOutCounts) {
   return { active, sitOuts };
 }
 
+/**
+ * Note who sat out a finished round, for selectActivePlayers
+ * @param {Map<string, number>} lastSitOuts - Tracking map (mutated)
+ * @param {Player[]} sitOuts
+ * @param {number} roundIdx
+ */
+function recordSitOuts(lastSitOuts, sitOuts, roundIdx) {
+  for (const p of sitOuts) {
+    lastSitOuts.set(p.id, roundIdx);
+  }
+}
+
+/**
+ * @typedef {Object} SitOutViolation
+ * @property {number} roundNumber - The second of the two rounds
+ * @property {string} playerId
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * Find every back-to-back sit-out in a schedule. Generation only leaves
+ * these in when a round has more sit-outs than there are other players
+ * (or the roster changed in between).
+ * @param {Round[]} rounds
+ * @param {Player[]} [players] - Used for names in messages
+ * @returns {SitOutViolation[]}
+ */
+export function findBackToBackSitOuts(rounds, players = []) {
+  const names = new Map(players.map((p) => [p.id, p.name]));
+  const violations = [];
+
+  for (let r = 1; r < rounds.length; r++) {
+    const previousIds = new Set((rounds[r - 1].sitOuts || []).map((p) => p.id));
+    for (const p of rounds[r].sitOuts || []) {
+      if (!previousIds.has(p.id)) continue;
+      violations.push({
+        roundNumber: rounds[r].roundNumber,
+        playerId: p.id,
+        message: `${names.get(p.id) || p.name || 'Unknown'} sits out rounds ${rounds[r - 1].roundNumber} and ${rounds[r].roundNumber}`,
+      });
+    }
+  }
+
+  return violations;
+}
+
 // ─── Singles Assignment ──────────────────────────────────────────────
 
 /**
@@ -270,9 +838,12 @@ function selectActivePlayers(players, needed, sitOutCounts) {
  * @param {Player[]} activePlayers
  * @param {number} numCourts
  * @param {Map} opponentCounts
+ * @param {() => number} rng
+ * @param {Object} [options]
+ * @param {Object} [options.constraints] - Index from createConstraintIndex
  * @returns {Player[][]} - Array of pairs
  */
-function assignSinglesCourts(activePlayers, numCourts, opponentCounts) {
+function assignSinglesCourts(activePlayers, numCourts, opponentCounts, rng, options = {}) {
   const actualCourts = Math.min(numCourts, Math.floor(activePlayers.length / 2));
   if (actualCourts === 0) return [];
 
@@ -280,16 +851,13 @@ function assignSinglesCourts(activePlayers, numCourts, opponentCounts) {
   const allPairs = [];
   for (let i = 0; i < activePlayers.length; i++) {
     for (let j = i + 1; j < activePlayers.length; j++) {
-      const cost = getCount(opponentCounts, activePlayers[i].id, activePlayers[j].id);
+      const cost = opponentCost(opponentCounts, activePlayers[i], activePlayers[j], options);
       allPairs.push({ players: [activePlayers[i], activePlayers[j]], cost });
     }
   }
 
   // Sort by cost ascending, randomize ties
-  allPairs.sort((a, b) => {
-    if (a.cost !== b.cost) return a.cost - b.cost;
-    return Math.random() - 0.5;
-  });
+  sortByCostRandomTies(allPairs, rng);
 
   // Greedy assignment
   const used = new Set();
@@ -303,7 +871,7 @@ function assignSinglesCourts(activePlayers, numCourts, opponentCounts) {
   }
 
   // Swap improvement
-  improveSinglesSwap(courts, opponentCounts);
+  improveSinglesSwap(courts, opponentCounts, options);
 
   return courts;
 }
@@ -312,7 +880,7 @@ function assignSinglesCourts(activePlayers, numCourts, opponentCounts) {
  * Local swap improvement for singles courts.
  * For each pair of courts [A,B] and [C,D], try [A,C]+[B,D] and [A,D]+[B,C].
  */
-function improveSinglesSwap(courts, opponentCounts) {
+function improveSinglesSwap(courts, opponentCounts, options) {
   let improved = true;
   let iterations = 0;
   while (improved && iterations < 50) {
@@ -323,16 +891,16 @@ function improveSinglesSwap(courts, opponentCounts) {
         const [a, b] = courts[i];
         const [c, d] = courts[j];
         const currentCost =
-          getCount(opponentCounts, a.id, b.id) +
-          getCount(opponentCounts, c.id, d.id);
+          opponentCost(opponentCounts, a, b, options) +
+          opponentCost(opponentCounts, c, d, options);
 
         const swap1Cost =
-          getCount(opponentCounts, a.id, c.id) +
-          getCount(opponentCounts, b.id, d.id);
+          opponentCost(opponentCounts, a, c, options) +
+          opponentCost(opponentCounts, b, d, options);
 
         const swap2Cost =
-          getCount(opponentCounts, a.id, d.id) +
-          getCount(opponentCounts, b.id, c.id);
+          opponentCost(opponentCounts, a, d, options) +
+          opponentCost(opponentCounts, b, c, options);
 
         if (swap1Cost < currentCost && swap1Cost <= swap2Cost) {
           courts[i] = [a, c];
@@ -350,35 +918,106 @@ function improveSinglesSwap(courts, opponentCounts) {
 
 // ─── Doubles Assignment ──────────────────────────────────────────────
 
+/** Rating assumed for players who haven't been rated yet */
+export const DEFAULT_RATING = 3.0;
+
+/**
+ * Cost of one rating point of difference between team totals.
+ * A 0.5 gap costs the same as one repeat partner or opponent.
+ */
+const BALANCE_WEIGHT = 2;
+
+/**
+ * Get a player's skill rating, falling back to DEFAULT_RATING
+ * @param {Player} player
+ * @returns {number}
+ */
+export function getPlayerRating(player) {
+  return typeof player?.rating === 'number' ? player.rating : DEFAULT_RATING;
+}
+
+/**
+ * Sum of ratings for a team
+ * @param {Player[]} team
+ * @returns {number}
+ */
+export function teamRating(team) {
+  return team.reduce((sum, p) => sum + getPlayerRating(p), 0);
+}
+
+/**
+ * @typedef {Object} HandicapConfig
+ * @property {number} pointsPerLevel - Head start per 1.0 of team rating difference
+ * @property {number} maxPoints - Most points a team can start with
+ */
+
+/** Handicap formula a session starts with when handicaps are turned on */
+export const DEFAULT_HANDICAP = { pointsPerLevel: 2, maxPoints: 5 };
+
+/**
+ * Points the weaker side of a court starts the game with. Balanced
+ * pairing can't always make even teams; the head start makes up for the
+ * rating difference that's left.
+ * @param {Court} court
+ * @param {HandicapConfig | null} handicap - null when the session plays without handicaps
+ * @returns {{ team1: number, team2: number }} - 0 for the stronger side
+ */
+export function getCourtHandicap(court, handicap) {
+  if (!handicap) return { team1: 0, team2: 0 };
+
+  const half = court.players.length / 2;
+  const team1 = court.team1 || court.players.slice(0, half);
+  const team2 = court.team2 || court.players.slice(half);
+  const difference = teamRating(team1) - teamRating(team2);
+  const points = Math.min(handicap.maxPoints, Math.round(Math.abs(difference) * handicap.pointsPerLevel));
+
+  return {
+    team1: difference < 0 ? points : 0,
+    team2: difference > 0 ? points : 0,
+  };
+}
+
+/**
+ * Penalty for uneven teams on a court (0 unless balancing is enabled)
+ */
+function balanceCost(team1, team2, options) {
+  if (!options.balanced) return 0;
+  return Math.abs(teamRating(team1) - teamRating(team2)) * BALANCE_WEIGHT;
+}
+
 /**
  * Calculate opponent cost for a doubles court (team1 vs team2)
  */
-function courtOpponentCost(team1, team2, opponentCounts) {
+function courtOpponentCost(team1, team2, opponentCounts, options = {}) {
   let cost = 0;
   for (const p1 of team1) {
     for (const p2 of team2) {
-      cost += getCount(opponentCounts, p1.id, p2.id);
+      cost += opponentCost(opponentCounts, p1, p2, options);
     }
   }
   return cost;
 }
 
 /**
- * Calculate full cost for a doubles court (partner + opponent costs)
+ * Calculate full cost for a doubles court (partner + opponent costs,
+ * plus rating imbalance when options.balanced is set and constraint
+ * penalties when options.constraints is set)
  */
-function fullCourtCost(team1, team2, partnerCounts, opponentCounts) {
+function fullCourtCost(team1, team2, partnerCounts, opponentCounts, options = {}) {
   return (
-    getCount(partnerCounts, team1[0].id, team1[1].id) +
-    getCount(partnerCounts, team2[0].id, team2[1].id) +
-    courtOpponentCost(team1, team2, opponentCounts)
+    partnerCost(partnerCounts, team1[0], team1[1], options) +
+    partnerCost(partnerCounts, team2[0], team2[1], options) +
+    courtOpponentCost(team1, team2, opponentCounts, options) +
+    balanceCost(team1, team2, options)
   );
 }
 
 /**
- * Find optimal 2+2 split of 4 players minimizing partner cost.
+ * Find optimal 2+2 split of 4 players minimizing partner cost
+ * (and rating imbalance when options.balanced is set).
  * There are only 3 ways to split 4 into two pairs.
  */
-function bestTeamSplit(fourPlayers, partnerCounts) {
+function bestTeamSplit(fourPlayers, partnerCounts, options = {}) {
   const [a, b, c, d] = fourPlayers;
   const splits = [
     { team1: [a, b], team2: [c, d] },
@@ -390,8 +1029,9 @@ function bestTeamSplit(fourPlayers, partnerCounts) {
   let bestCost = Infinity;
   for (const split of splits) {
     const cost =
-      getCount(partnerCounts, split.team1[0].id, split.team1[1].id) +
-      getCount(partnerCounts, split.team2[0].id, split.team2[1].id);
+      partnerCost(partnerCounts, split.team1[0], split.team1[1], options) +
+      partnerCost(partnerCounts, split.team2[0], split.team2[1], options) +
+      balanceCost(split.team1, split.team2, options);
     if (cost < bestCost) {
       bestCost = cost;
       best = split;
@@ -410,9 +1050,13 @@ function bestTeamSplit(fourPlayers, partnerCounts) {
  * @param {number} numCourts
  * @param {Map} partnerCounts
  * @param {Map} opponentCounts
+ * @param {() => number} rng
+ * @param {Object} [options]
+ * @param {boolean} [options.balanced] - Also minimize team rating differences
+ * @param {Object} [options.constraints] - Index from createConstraintIndex
  * @returns {{ team1: Player[], team2: Player[] }[]}
  */
-function assignDoublesCourts(activePlayers, numCourts, partnerCounts, opponentCounts) {
+function assignDoublesCourts(activePlayers, numCourts, partnerCounts, opponentCounts, rng, options = {}) {
   const actualCourts = Math.min(numCourts, Math.floor(activePlayers.length / 4));
   if (actualCourts === 0) return [];
 
@@ -420,14 +1064,11 @@ function assignDoublesCourts(activePlayers, numCourts, partnerCounts, opponentCo
   const allPairs = [];
   for (let i = 0; i < activePlayers.length; i++) {
     for (let j = i + 1; j < activePlayers.length; j++) {
-      const cost = getCount(partnerCounts, activePlayers[i].id, activePlayers[j].id);
+      const cost = partnerCost(partnerCounts, activePlayers[i], activePlayers[j], options);
       allPairs.push({ players: [activePlayers[i], activePlayers[j]], cost });
     }
   }
-  allPairs.sort((a, b) => {
-    if (a.cost !== b.cost) return a.cost - b.cost;
-    return Math.random() - 0.5;
-  });
+  sortByCostRandomTies(allPairs, rng);
 
   const used = new Set();
   const teams = [];
@@ -443,14 +1084,13 @@ function assignDoublesCourts(activePlayers, numCourts, partnerCounts, opponentCo
   const teamPairs = [];
   for (let i = 0; i < teams.length; i++) {
     for (let j = i + 1; j < teams.length; j++) {
-      const cost = courtOpponentCost(teams[i], teams[j], opponentCounts);
+      const cost =
+        courtOpponentCost(teams[i], teams[j], opponentCounts, options) +
+        balanceCost(teams[i], teams[j], options);
       teamPairs.push({ idx1: i, idx2: j, cost });
     }
   }
-  teamPairs.sort((a, b) => {
-    if (a.cost !== b.cost) return a.cost - b.cost;
-    return Math.random() - 0.5;
-  });
+  sortByCostRandomTies(teamPairs, rng);
 
   const usedTeams = new Set();
   const courts = [];
@@ -463,7 +1103,7 @@ function assignDoublesCourts(activePlayers, numCourts, partnerCounts, opponentCo
   }
 
   // Stage C: swap improvement
-  improveDoublesSwap(courts, partnerCounts, opponentCounts);
+  improveDoublesSwap(courts, partnerCounts, opponentCounts, options);
 
   return courts;
 }
@@ -473,7 +1113,21 @@ function assignDoublesCourts(activePlayers, numCourts, partnerCounts, opponentCo
  * For each pair of courts, try swapping one player between them
  * and re-optimizing team splits.
  */
-function improveDoublesSwap(courts, partnerCounts, opponentCounts) {
+function improveDoublesSwap(courts, partnerCounts, opponentCounts, options = {}) {
+  // Balanced mode: re-split each court on its own first, which is the
+  // only improvement available when there is a single court
+  if (options.balanced) {
+    for (let i = 0; i < courts.length; i++) {
+      const split = bestTeamSplit([...courts[i].team1, ...courts[i].team2], partnerCounts, options);
+      if (
+        fullCourtCost(split.team1, split.team2, partnerCounts, opponentCounts, options) <
+        fullCourtCost(courts[i].team1, courts[i].team2, partnerCounts, opponentCounts, options)
+      ) {
+        courts[i] = split;
+      }
+    }
+  }
+
   let improved = true;
   let iterations = 0;
   while (improved && iterations < 50) {
@@ -486,8 +1140,8 @@ function improveDoublesSwap(courts, partnerCounts, opponentCounts) {
           ...courts[j].team1, ...courts[j].team2,
         ];
         const currentCost =
-          fullCourtCost(courts[i].team1, courts[i].team2, partnerCounts, opponentCounts) +
-          fullCourtCost(courts[j].team1, courts[j].team2, partnerCounts, opponentCounts);
+          fullCourtCost(courts[i].team1, courts[i].team2, partnerCounts, opponentCounts, options) +
+          fullCourtCost(courts[j].team1, courts[j].team2, partnerCounts, opponentCounts, options);
 
         // Try all ways to split 8 into two groups of 4
         let bestCost = currentCost;
@@ -495,11 +1149,11 @@ function improveDoublesSwap(courts, partnerCounts, opponentCounts) {
 
         const splits = allSplitsOf8Into4And4(allEight);
         for (const [group1, group2] of splits) {
-          const split1 = bestTeamSplit(group1, partnerCounts);
-          const split2 = bestTeamSplit(group2, partnerCounts);
+          const split1 = bestTeamSplit(group1, partnerCounts, options);
+          const split2 = bestTeamSplit(group2, partnerCounts, options);
           const cost =
-            fullCourtCost(split1.team1, split1.team2, partnerCounts, opponentCounts) +
-            fullCourtCost(split2.team1, split2.team2, partnerCounts, opponentCounts);
+            fullCourtCost(split1.team1, split1.team2, partnerCounts, opponentCounts, options) +
+            fullCourtCost(split2.team1, split2.team2, partnerCounts, opponentCounts, options);
           if (cost < bestCost) {
             bestCost = cost;
             bestConfig = [split1, split2];
@@ -558,49 +1212,44 @@ function popcount(n) {
 
 /**
  * Assign players to mixed doubles courts.
- * Each team must be exactly 1 male + 1 female.
- * Uses same two-stage approach but with gender constraint on partner pairs.
+ * Each team must be exactly one player from each side (side A first).
+ * Uses same two-stage approach but with the side constraint on partner pairs.
+ * options.constraints (from createConstraintIndex) adds pair constraint penalties.
  */
-function assignMixedDoublesCourts(activeMales, activeFemales, numCourts, partnerCounts, opponentCounts) {
-  const actualCourts = Math.min(numCourts, Math.floor(activeMales.length / 2), Math.floor(activeFemales.length / 2));
+function assignMixedDoublesCourts(activeSideA, activeSideB, numCourts, partnerCounts, opponentCounts, rng, options = {}) {
+  const actualCourts = Math.min(numCourts, Math.floor(activeSideA.length / 2), Math.floor(activeSideB.length / 2));
   if (actualCourts === 0) return [];
 
-  // Stage A: form mixed partner pairs (1M + 1F)
+  // Stage A: form mixed partner pairs (one from each side)
   const allPairs = [];
-  for (const male of activeMales) {
-    for (const female of activeFemales) {
-      const cost = getCount(partnerCounts, male.id, female.id);
-      allPairs.push({ players: [male, female], cost });
+  for (const a of activeSideA) {
+    for (const b of activeSideB) {
+      const cost = partnerCost(partnerCounts, a, b, options);
+      allPairs.push({ players: [a, b], cost });
     }
   }
-  allPairs.sort((a, b) => {
-    if (a.cost !== b.cost) return a.cost - b.cost;
-    return Math.random() - 0.5;
-  });
+  sortByCostRandomTies(allPairs, rng);
 
-  const usedMales = new Set();
-  const usedFemales = new Set();
+  const usedSideA = new Set();
+  const usedSideB = new Set();
   const teams = [];
   for (const pair of allPairs) {
     if (teams.length >= actualCourts * 2) break;
-    if (usedMales.has(pair.players[0].id) || usedFemales.has(pair.players[1].id)) continue;
+    if (usedSideA.has(pair.players[0].id) || usedSideB.has(pair.players[1].id)) continue;
     teams.push(pair.players);
-    usedMales.add(pair.players[0].id);
-    usedFemales.add(pair.players[1].id);
+    usedSideA.add(pair.players[0].id);
+    usedSideB.add(pair.players[1].id);
   }
 
   // Stage B: pair teams into courts (minimize opponent cost)
   const teamPairs = [];
   for (let i = 0; i < teams.length; i++) {
     for (let j = i + 1; j < teams.length; j++) {
-      const cost = courtOpponentCost(teams[i], teams[j], opponentCounts);
+      const cost = courtOpponentCost(teams[i], teams[j], opponentCounts, options);
       teamPairs.push({ idx1: i, idx2: j, cost });
     }
   }
-  teamPairs.sort((a, b) => {
-    if (a.cost !== b.cost) return a.cost - b.cost;
-    return Math.random() - 0.5;
-  });
+  sortByCostRandomTies(teamPairs, rng);
 
   const usedTeams = new Set();
   const courts = [];
@@ -612,17 +1261,17 @@ function assignMixedDoublesCourts(activeMales, activeFemales, numCourts, partner
     usedTeams.add(tp.idx2);
   }
 
-  // Stage C: swap improvement (respecting gender constraint)
-  improveMixedDoublesSwap(courts, partnerCounts, opponentCounts);
+  // Stage C: swap improvement (respecting the side constraint)
+  improveMixedDoublesSwap(courts, partnerCounts, opponentCounts, options);
 
   return courts;
 }
 
 /**
  * Swap improvement for mixed doubles.
- * Only allows swaps that maintain the 1M+1F team constraint.
+ * Only allows swaps that keep one player from each side on every team.
  */
-function improveMixedDoublesSwap(courts, partnerCounts, opponentCounts) {
+function improveMixedDoublesSwap(courts, partnerCounts, opponentCounts, options) {
   let improved = true;
   let iterations = 0;
   while (improved && iterations < 50) {
@@ -631,28 +1280,24 @@ function improveMixedDoublesSwap(courts, partnerCounts, opponentCounts) {
     for (let i = 0; i < courts.length; i++) {
       for (let j = i + 1; j < courts.length; j++) {
         const currentCost =
-          fullCourtCost(courts[i].team1, courts[i].team2, partnerCounts, opponentCounts) +
-          fullCourtCost(courts[j].team1, courts[j].team2, partnerCounts, opponentCounts);
+          fullCourtCost(courts[i].team1, courts[i].team2, partnerCounts, opponentCounts, options) +
+          fullCourtCost(courts[j].team1, courts[j].team2, partnerCounts, opponentCounts, options);
 
-        // Collect all males and females from both courts
-        const allPlayers = [
-          ...courts[i].team1, ...courts[i].team2,
-          ...courts[j].team1, ...courts[j].team2,
-        ];
-        const males = allPlayers.filter((p) => p.gender === 'male');
-        const females = allPlayers.filter((p) => p.gender === 'female');
+        // Collect both sides from both courts (teams are built [side A, side B])
+        const teams = [courts[i].team1, courts[i].team2, courts[j].team1, courts[j].team2];
+        const sideA = teams.map((team) => team[0]);
+        const sideB = teams.map((team) => team[1]);
 
         // Try all valid mixed team configurations
-        // 4 males, 4 females → each team needs 1M+1F → 4 teams
-        // We need to assign each male to a female, then pair teams
+        // 4 per side → each team needs one from each side → 4 teams
+        // We need to assign each side A player a partner, then pair teams
         let bestCost = currentCost;
         let bestConfig = null;
 
-        // Generate all permutations of female assignments to males
-        const femalePerms = permutations(females);
-        for (const femPerm of femalePerms) {
-          // Teams: [males[0], femPerm[0]], [males[1], femPerm[1]], etc.
-          const newTeams = males.map((m, idx) => [m, femPerm[idx]]);
+        // Generate all permutations of side B partners for side A
+        for (const partners of permutations(sideB)) {
+          // Teams: [sideA[0], partners[0]], [sideA[1], partners[1]], etc.
+          const newTeams = sideA.map((p, idx) => [p, partners[idx]]);
 
           // Try all ways to pair 4 teams into 2 courts
           // C(4,2)/2 = 3 ways
@@ -664,8 +1309,8 @@ function improveMixedDoublesSwap(courts, partnerCounts, opponentCounts) {
 
           for (const [a, b, c, d] of courtPairings) {
             const cost =
-              fullCourtCost(newTeams[a], newTeams[b], partnerCounts, opponentCounts) +
-              fullCourtCost(newTeams[c], newTeams[d], partnerCounts, opponentCounts);
+              fullCourtCost(newTeams[a], newTeams[b], partnerCounts, opponentCounts, options) +
+              fullCourtCost(newTeams[c], newTeams[d], partnerCounts, opponentCounts, options);
             if (cost < bestCost) {
               bestCost = cost;
               bestConfig = [
@@ -704,39 +1349,387 @@ function permutations(arr) {
 // ─── Round Generation Functions ──────────────────────────────────────
 
 /**
- * Generate all rounds for Singles play
- * @param {Player[]} players - All players
- * @param {number} numRounds - Number of rounds to generate
- * @param {number} numCourts - Number of available courts
- * @returns {Round[]} - Generated rounds
+ * Record a doubles assignment in the fairness state and build its Court
+ * @param {{ team1: Player[], team2: Player[] }} assignment
+ * @param {number} roundIdx
+ * @param {number} courtNumber - From court number optimization
+ * @param {Object} state - Fairness state (mutated)
+ * @returns {Court}
  */
-export function generateSinglesRounds(players, numRounds, numCourts) {
-  const playersPerRound = numCourts * 2;
-  const { sitOutCounts, opponentCounts, courtCounts } = createFairnessState(players);
-  const rounds = [];
-
-  for (let r = 0; r < numRounds; r++) {
-    const { active, sitOuts } = selectActivePlayers(players, playersPerRound, sitOutCounts);
-    const courtPairs = assignSinglesCourts(active, numCourts, opponentCounts);
+function recordDoublesCourt(assignment, roundIdx, courtNumber, state) {
+  const { partnerCounts, opponentCounts, courtCounts } = state;
+  incrementCount(partnerCounts, assignment.team1[0].id, assignment.team1[1].id);
+  incrementCount(partnerCounts, assignment.team2[0].id, assignment.team2[1].id);
+  for (const p1 of assignment.team1) {
+    for (const p2 of assignment.team2) {
+      incrementCount(opponentCounts, p1.id, p2.id);
+    }
+  }
+  const allPlayers = [...assignment.team1, ...assignment.team2];
+  updateCourtCounts(allPlayers, courtNumber, courtCounts);
+  return buildCourtObject(roundIdx, courtNumber, allPlayers, assignment.team1, assignment.team2);
+}
 
-    // Optimize court number assignments for fair rotation
-    const orderedPairs = assignCourtNumbers(courtPairs, courtCounts, (pair) => pair);
+/**
+ * Generate one Singles round, updating fairness state in place
+ * @param {Player[]} players
+ * @param {number} numCourts
+ * @param {Object} state - Fairness state (mutated)
+ * @param {number} roundIdx - Zero-based round index
+ * @param {() => number} rng
+ * @param {Object} [options] - Passed through to assignSinglesCourts
+ * @returns {Round}
+ */
+function generateSinglesRound(players, numCourts, state, roundIdx, rng, options = {}) {
+  const { sitOutCounts, lastSitOuts, opponentCounts, courtCounts } = state;
+  const { active, sitOuts } = selectActivePlayers(players, numCourts * 2, sitOutCounts, rng, lastSitOuts, roundIdx);
+  recordSitOuts(lastSitOuts, sitOuts, roundIdx);
+  const courtPairs = assignSinglesCourts(active, numCourts, opponentCounts, rng, options);
+
+  // Optimize court number assignments for fair rotation
+  const courtNumbers = roundCourtNumbers(numCourts, options);
+  const orderedPairs = assignCourtNumbers(courtPairs, courtCounts, (pair) => pair, rng, courtNumbers);
+
+  const courts = orderedPairs.map((pair, idx) => {
+    incrementCount(opponentCounts, pair[0].id, pair[1].id);
+    recordSinglesGames(pair, state.singlesCounts);
+    updateCourtCounts(pair, courtNumbers[idx], courtCounts);
+    return buildCourtObject(roundIdx, courtNumbers[idx], pair, null, null);
+  });
 
-    const courts = orderedPairs.map((pair, idx) => {
-      incrementCount(opponentCounts, pair[0].id, pair[1].id);
-      updateCourtCounts(pair, idx + 1, courtCounts);
-      return buildCourtObject(r, idx, pair, null, null);
-    });
+  return {
+    id: `round-${roundIdx}`,
+    roundNumber: roundIdx + 1,
+    courts,
+    sitOuts,
+  };
+}
 
-    rounds.push({
-      id: `round-${r}`,
-      roundNumber: r + 1,
-      courts,
-      sitOuts,
+/**
+ * Generate one non-mixed Doubles round, updating fairness state in place
+ * @param {Player[]} players
+ * @param {number} numCourts
+ * @param {Object} state - Fairness state (mutated)
+ * @param {number} roundIdx - Zero-based round index
+ * @param {() => number} rng
+ * @param {Object} [options] - Passed through to assignDoublesCourts
+ * @returns {Round}
+ */
+function generateDoublesRound(players, numCourts, state, roundIdx, rng, options = {}) {
+  const { sitOutCounts, lastSitOuts, partnerCounts, opponentCounts, courtCounts } = state;
+  const selection = selectActivePlayers(players, numCourts * 4, sitOutCounts, rng, lastSitOuts, roundIdx);
+  keepPinnedPartnersTogether([selection], options.constraints, sitOutCounts);
+  const { active, sitOuts } = selection;
+  recordSitOuts(lastSitOuts, sitOuts, roundIdx);
+  const courtAssignments = assignDoublesCourts(active, numCourts, partnerCounts, opponentCounts, rng, options);
+
+  // Optimize court number assignments for fair rotation
+  const courtNumbers = roundCourtNumbers(numCourts, options);
+  const ordered = assignCourtNumbers(courtAssignments, courtCounts, (a) => [...a.team1, ...a.team2], rng, courtNumbers);
+
+  return {
+    id: `round-${roundIdx}`,
+    roundNumber: roundIdx + 1,
+    courts: ordered.map((assignment, idx) => recordDoublesCourt(assignment, roundIdx, courtNumbers[idx], state)),
+    sitOuts,
+  };
+}
+
+/**
+ * Work out how many mixed courts a roster can fill. Players who can take
+ * either side (see getMixedSide) fill whichever side is short; any left
+ * over join the smaller side so both sides sit out at a similar rate.
+ * @param {Player[]} players
+ * @param {number} numCourts
+ * @param {MixedSides} [mixedSides]
+ * @returns {{ mixedCourts: number, sideA: Player[], sideB: Player[], either: Player[], eitherOnA: number }}
+ */
+function countMixedCourts(players, numCourts, mixedSides) {
+  const sideA = players.filter((p) => getMixedSide(p, mixedSides) === 'a');
+  const sideB = players.filter((p) => getMixedSide(p, mixedSides) === 'b');
+  const either = players.filter((p) => getMixedSide(p, mixedSides) === null);
+  const mixedCourts = Math.max(0, Math.min(
+    numCourts,
+    Math.floor(players.length / 4),
+    Math.floor((sideA.length + either.length) / 2),
+    Math.floor((sideB.length + either.length) / 2)
+  ));
+
+  let eitherOnA = Math.max(0, mixedCourts * 2 - sideA.length);
+  let eitherOnB = Math.max(0, mixedCourts * 2 - sideB.length);
+  while (eitherOnA + eitherOnB < either.length) {
+    if (sideA.length + eitherOnA <= sideB.length + eitherOnB) eitherOnA++;
+    else eitherOnB++;
+  }
+  return { mixedCourts, sideA, sideB, either, eitherOnA };
+}
+
+/**
+ * Generate one Mixed Doubles round, updating fairness state in place.
+ * Every team has one player from each side (options.mixedSides maps
+ * genders to sides). Courts are capped by the scarcer side; with
+ * options.mixedFallback set, the players left over fill the remaining
+ * courts as 'random' or 'same-gender' doubles instead of sitting out.
+ * @param {Player[]} players
+ * @param {number} numCourts
+ * @param {Object} state - Fairness state (mutated)
+ * @param {number} roundIdx - Zero-based round index
+ * @param {() => number} rng
+ * @param {Object} [options] - Passed through to assignMixedDoublesCourts
+ * @returns {Round}
+ */
+function generateMixedDoublesRound(players, numCourts, state, roundIdx, rng, options = {}) {
+  const { sitOutCounts, lastSitOuts, partnerCounts, opponentCounts, courtCounts } = state;
+  const { mixedCourts, sideA, sideB, either, eitherOnA } = countMixedCourts(players, numCourts, options.mixedSides);
+  const shuffledEither = fisherYatesShuffle(either, rng);
+
+  // Select active players per side independently for fair sit-outs
+  const selectionA = selectActivePlayers([...sideA, ...shuffledEither.slice(0, eitherOnA)], mixedCourts * 2, sitOutCounts, rng, lastSitOuts, roundIdx);
+  const selectionB = selectActivePlayers([...sideB, ...shuffledEither.slice(eitherOnA)], mixedCourts * 2, sitOutCounts, rng, lastSitOuts, roundIdx);
+  keepPinnedPartnersTogether([selectionA, selectionB], options.constraints, sitOutCounts);
+  let sitOuts = [...selectionA.sitOuts, ...selectionB.sitOuts];
+
+  const courtAssignments = assignMixedDoublesCourts(selectionA.active, selectionB.active, mixedCourts, partnerCounts, opponentCounts, rng, options);
+
+  // Leftover courts: give some of the players just benched a game after all
+  const fallback = options.mixedFallback || 'sit-out';
+  if (fallback !== 'sit-out' && numCourts > mixedCourts && sitOuts.length >= 4) {
+    for (const p of sitOuts) {
+      sitOutCounts.set(p.id, (sitOutCounts.get(p.id) || 0) - 1);
+    }
+    const groups = fallback === 'same-gender' ? [selectionA.sitOuts, selectionB.sitOuts] : [sitOuts];
+    const courtsPerGroup = allocateCourtsBySize(groups.map((g) => g.length), numCourts - mixedCourts);
+    sitOuts = [];
+    groups.forEach((group, i) => {
+      const { active, sitOuts: groupSitOuts } = selectActivePlayers(group, courtsPerGroup[i] * 4, sitOutCounts, rng, lastSitOuts, roundIdx);
+      courtAssignments.push(...assignDoublesCourts(active, courtsPerGroup[i], partnerCounts, opponentCounts, rng, options));
+      sitOuts.push(...groupSitOuts);
     });
   }
+  recordSitOuts(lastSitOuts, sitOuts, roundIdx);
 
-  return rounds;
+  // Optimize court number assignments for fair rotation
+  const courtNumbers = roundCourtNumbers(numCourts, options);
+  const ordered = assignCourtNumbers(courtAssignments, courtCounts, (a) => [...a.team1, ...a.team2], rng, courtNumbers);
+
+  return {
+    id: `round-${roundIdx}`,
+    roundNumber: roundIdx + 1,
+    courts: ordered.map((assignment, idx) => recordDoublesCourt(assignment, roundIdx, courtNumbers[idx], state)),
+    sitOuts,
+  };
+}
+
+/**
+ * Split courts between player groups in proportion to their size, handing
+ * them out one at a time to the group with the most players per court so
+ * far. A group never gets more courts than it can fill.
+ * @param {number[]} groupSizes
+ * @param {number} numCourts
+ * @returns {number[]} - Courts per group
+ */
+function allocateCourtsBySize(groupSizes, numCourts) {
+  const capacities = groupSizes.map((size) => Math.floor(size / 4));
+  const allocation = groupSizes.map(() => 0);
+  let remaining = Math.min(numCourts, capacities.reduce((sum, c) => sum + c, 0));
+
+  while (remaining > 0) {
+    let best = -1;
+    for (let i = 0; i < groupSizes.length; i++) {
+      if (allocation[i] >= capacities[i]) continue;
+      if (best === -1 || groupSizes[i] / (allocation[i] + 1) > groupSizes[best] / (allocation[best] + 1)) {
+        best = i;
+      }
+    }
+    allocation[best]++;
+    remaining--;
+  }
+  return allocation;
+}
+
+/**
+ * Split the roster into the two same-gender groups (the mixed sides, see
+ * getMixedSide). Players who can take either side join, one at a time, the
+ * group closest to filling another court - the smaller group on ties - so
+ * the split is the same every round.
+ * @param {Player[]} players
+ * @param {MixedSides} [mixedSides]
+ * @returns {[Player[], Player[]]}
+ */
+function splitSameGenderGroups(players, mixedSides) {
+  const groups = [[], []];
+  const either = [];
+  for (const p of players) {
+    const side = getMixedSide(p, mixedSides);
+    if (side === 'a') groups[0].push(p);
+    else if (side === 'b') groups[1].push(p);
+    else either.push(p);
+  }
+
+  for (const p of either) {
+    const [first, second] = groups;
+    const progress = (group) => group.length % 4;
+    const target = progress(first) !== progress(second)
+      ? (progress(first) > progress(second) ? first : second)
+      : (first.length <= second.length ? first : second);
+    target.push(p);
+  }
+  return groups;
+}
+
+/**
+ * Generate one Same-Gender Doubles round (e.g. men's and women's courts),
+ * updating fairness state in place. Courts are split between the groups
+ * by allocateCourtsBySize and sit-outs are chosen within each group.
+ * @param {Player[]} players
+ * @param {number} numCourts
+ * @param {Object} state - Fairness state (mutated)
+ * @param {number} roundIdx - Zero-based round index
+ * @param {() => number} rng
+ * @param {Object} [options] - Passed through to assignDoublesCourts
+ * @returns {Round}
+ */
+function generateSameGenderDoublesRound(players, numCourts, state, roundIdx, rng, options = {}) {
+  const { sitOutCounts, lastSitOuts, partnerCounts, opponentCounts, courtCounts } = state;
+  const groups = splitSameGenderGroups(players, options.mixedSides);
+  const courtsPerGroup = allocateCourtsBySize(groups.map((g) => g.length), numCourts);
+
+  // Select active players per group independently for fair sit-outs
+  const selections = groups.map((group, i) =>
+    selectActivePlayers(group, courtsPerGroup[i] * 4, sitOutCounts, rng, lastSitOuts, roundIdx)
+  );
+  keepPinnedPartnersTogether(selections, options.constraints, sitOutCounts);
+  const sitOuts = selections.flatMap((selection) => selection.sitOuts);
+  recordSitOuts(lastSitOuts, sitOuts, roundIdx);
+
+  const courtAssignments = selections.flatMap((selection, i) =>
+    assignDoublesCourts(selection.active, courtsPerGroup[i], partnerCounts, opponentCounts, rng, options)
+  );
+
+  // Optimize court number assignments for fair rotation
+  const courtNumbers = roundCourtNumbers(numCourts, options);
+  const ordered = assignCourtNumbers(courtAssignments, courtCounts, (a) => [...a.team1, ...a.team2], rng, courtNumbers);
+
+  return {
+    id: `round-${roundIdx}`,
+    roundNumber: roundIdx + 1,
+    courts: ordered.map((assignment, idx) => recordDoublesCourt(assignment, roundIdx, courtNumbers[idx], state)),
+    sitOuts,
+  };
+}
+
+/**
+ * Split a round's courts between doubles and singles to put as many
+ * players on court as possible. Doubles win ties, so 6 players on 3 courts
+ * play one court of each rather than three singles.
+ * @param {number} playerCount
+ * @param {number} numCourts
+ * @returns {{ doubles: number, singles: number }}
+ */
+function planCourtFormats(playerCount, numCourts) {
+  const doubles = Math.min(numCourts, Math.floor(playerCount / 4));
+  const singles = Math.min(numCourts - doubles, Math.floor((playerCount - doubles * 4) / 2));
+  return { doubles, singles };
+}
+
+/**
+ * Generate one Singles + Doubles round, updating fairness state in place.
+ * Each court's format comes from planCourtFormats; singles go to the
+ * active players who have played the fewest, so both formats are shared
+ * evenly, and partner / opponent repeats are counted across both.
+ * @param {Player[]} players
+ * @param {number} numCourts
+ * @param {Object} state - Fairness state (mutated)
+ * @param {number} roundIdx - Zero-based round index
+ * @param {() => number} rng
+ * @param {Object} [options] - Passed through to assignSinglesCourts and assignDoublesCourts
+ * @returns {Round}
+ */
+function generateFlexibleRound(players, numCourts, state, roundIdx, rng, options = {}) {
+  const { sitOutCounts, lastSitOuts, partnerCounts, opponentCounts, courtCounts, singlesCounts } = state;
+  const plan = planCourtFormats(players.length, numCourts);
+  const selection = selectActivePlayers(players, plan.doubles * 4 + plan.singles * 2, sitOutCounts, rng, lastSitOuts, roundIdx);
+  keepPinnedPartnersTogether([selection], options.constraints, sitOutCounts);
+  const { active, sitOuts } = selection;
+  recordSitOuts(lastSitOuts, sitOuts, roundIdx);
+
+  // Pinned partners who are both playing stay on the doubles courts
+  const activeIds = new Set(active.map((p) => p.id));
+  const isPinned = (p) => (activeIds.has(options.constraints?.mustPartner.get(p.id)) ? 1 : 0);
+  const singlesFirst = fisherYatesShuffle(active, rng).sort((a, b) =>
+    isPinned(a) - isPinned(b) || (singlesCounts.get(a.id) || 0) - (singlesCounts.get(b.id) || 0)
+  );
+  const singlesPlayers = singlesFirst.slice(0, plan.singles * 2);
+  const doublesPlayers = singlesFirst.slice(plan.singles * 2);
+
+  const courtGroups = [
+    ...assignDoublesCourts(doublesPlayers, plan.doubles, partnerCounts, opponentCounts, rng, options),
+    ...assignSinglesCourts(singlesPlayers, plan.singles, opponentCounts, rng, options),
+  ];
+
+  // Optimize court number assignments for fair rotation
+  const courtNumbers = roundCourtNumbers(numCourts, options);
+  const groupPlayers = (group) => (group.team1 ? [...group.team1, ...group.team2] : group);
+  const ordered = assignCourtNumbers(courtGroups, courtCounts, groupPlayers, rng, courtNumbers);
+
+  const courts = ordered.map((group, idx) => {
+    if (group.team1) return recordDoublesCourt(group, roundIdx, courtNumbers[idx], state);
+    incrementCount(opponentCounts, group[0].id, group[1].id);
+    recordSinglesGames(group, singlesCounts);
+    updateCourtCounts(group, courtNumbers[idx], courtCounts);
+    return buildCourtObject(roundIdx, courtNumbers[idx], group, null, null);
+  });
+
+  return {
+    id: `round-${roundIdx}`,
+    roundNumber: roundIdx + 1,
+    courts,
+    sitOuts,
+  };
+}
+
+/**
+ * Generate one round for any pre-schedulable game config
+ * (everything except King of the Court), updating fairness state in place.
+ * Only courts open that round are used (see getAvailableCourts).
+ * Pair constraints are soft: they are honoured whenever some assignment
+ * allows it (see findConstraintViolations).
+ */
+function generateRound(players, { gameType, pairingMode, numCourts: totalCourts, courtAvailability, constraints, mixedFallback, mixedSides }, state, roundIdx, rng) {
+  const courtNumbers = getAvailableCourts(totalCourts, courtAvailability, roundIdx + 1);
+  const numCourts = courtNumbers.length;
+  const options = { constraints: createConstraintIndex(constraints), mixedFallback, mixedSides, courtNumbers };
+  if (gameType === 'singles') {
+    return generateSinglesRound(players, numCourts, state, roundIdx, rng, options);
+  }
+  if (gameType === 'flexible') {
+    return generateFlexibleRound(players, numCourts, state, roundIdx, rng, options);
+  }
+  if (pairingMode === 'mixed') {
+    return generateMixedDoublesRound(players, numCourts, state, roundIdx, rng, options);
+  }
+  if (pairingMode === 'same-gender') {
+    return generateSameGenderDoublesRound(players, numCourts, state, roundIdx, rng, options);
+  }
+  return generateDoublesRound(players, numCourts, state, roundIdx, rng, {
+    ...options,
+    balanced: pairingMode === 'balanced',
+  });
+}
+
+/**
+ * Generate all rounds for Singles play
+ * @param {Player[]} players - All players
+ * @param {number} numRounds - Number of rounds to generate
+ * @param {number} numCourts - Number of available courts
+ * @param {() => number} [rng] - Random source, defaults to Math.random
+ * @returns {Round[]} - Generated rounds
+ */
+export function generateSinglesRounds(players, numRounds, numCourts, rng = Math.random) {
+  const state = createFairnessState(players);
+  return Array.from({ length: numRounds }, (_, r) =>
+    generateSinglesRound(players, numCourts, state, r, rng)
+  );
 }
 
 /**
@@ -744,145 +1737,1339 @@ export function generateSinglesRounds(players, numRounds, numCourts) {
  * @param {Player[]} players - All players
  * @param {number} numRounds - Number of rounds
  * @param {number} numCourts - Number of courts
+ * @param {() => number} [rng] - Random source, defaults to Math.random
  * @returns {Round[]}
  */
-export function generateDoublesRandomRounds(players, numRounds, numCourts) {
-  const playersPerRound = numCourts * 4;
-  const { sitOutCounts, partnerCounts, opponentCounts, courtCounts } = createFairnessState(players);
-  const rounds = [];
+export function generateDoublesRandomRounds(players, numRounds, numCourts, rng = Math.random) {
+  const state = createFairnessState(players);
+  return Array.from({ length: numRounds }, (_, r) =>
+    generateDoublesRound(players, numCourts, state, r, rng, {})
+  );
+}
 
-  for (let r = 0; r < numRounds; r++) {
-    const { active, sitOuts } = selectActivePlayers(players, playersPerRound, sitOutCounts);
-    const courtAssignments = assignDoublesCourts(active, numCourts, partnerCounts, opponentCounts);
+/**
+ * Generate all rounds for Doubles play (Skill-balanced pairing).
+ * Same fairness guarantees as random pairing, but teams on each court
+ * are chosen so their rating totals are as close as possible.
+ * @param {Player[]} players - All players (unrated players count as DEFAULT_RATING)
+ * @param {number} numRounds - Number of rounds
+ * @param {number} numCourts - Number of courts
+ * @param {() => number} [rng] - Random source, defaults to Math.random
+ * @returns {Round[]}
+ */
+export function generateDoublesBalancedRounds(players, numRounds, numCourts, rng = Math.random) {
+  const state = createFairnessState(players);
+  return Array.from({ length: numRounds }, (_, r) =>
+    generateDoublesRound(players, numCourts, state, r, rng, { balanced: true })
+  );
+}
 
-    // Optimize court number assignments for fair rotation
-    const ordered = assignCourtNumbers(courtAssignments, courtCounts, (a) => [...a.team1, ...a.team2]);
+/**
+ * Generate all rounds for Mixed Doubles (one player from each side per
+ * team - by default one man and one woman, with everyone else on either)
+ * @param {Player[]} players - All players
+ * @param {number} numRounds - Number of rounds
+ * @param {number} numCourts - Number of courts
+ * @param {() => number} [rng] - Random source, defaults to Math.random
+ * @param {Object} [options]
+ * @param {'sit-out' | 'random' | 'same-gender'} [options.mixedFallback] - What to do with courts
+ *   mixed teams can't fill
+ * @param {MixedSides} [options.mixedSides] - Which side each gender plays
+ * @returns {Round[]}
+ */
+export function generateMixedDoublesRounds(players, numRounds, numCourts, rng = Math.random, options = {}) {
+  if (numCourts < 1 || countMixedCourts(players, numCourts, options.mixedSides).mixedCourts === 0) return [];
 
-    const courts = ordered.map((assignment, idx) => {
-      incrementCount(partnerCounts, assignment.team1[0].id, assignment.team1[1].id);
-      incrementCount(partnerCounts, assignment.team2[0].id, assignment.team2[1].id);
-      for (const p1 of assignment.team1) {
-        for (const p2 of assignment.team2) {
-          incrementCount(opponentCounts, p1.id, p2.id);
-        }
-      }
-      const allPlayers = [...assignment.team1, ...assignment.team2];
-      updateCourtCounts(allPlayers, idx + 1, courtCounts);
-      return buildCourtObject(r, idx, allPlayers, assignment.team1, assignment.team2);
-    });
+  const state = createFairnessState(players);
+  return Array.from({ length: numRounds }, (_, r) =>
+    generateMixedDoublesRound(players, numCourts, state, r, rng, options)
+  );
+}
 
-    rounds.push({
-      id: `round-${r}`,
-      roundNumber: r + 1,
-      courts,
-      sitOuts,
-    });
+/**
+ * @typedef {Object} MixedDoublesPreview
+ * @property {number} mixedCourts - Courts played as mixed doubles each round
+ * @property {number} fallbackCourts - Leftover courts filled by the fallback policy
+ * @property {Object<'a' | 'b' | 'either', { players: number, sitOuts: number }>} sides - Roster and
+ *   sit-outs each round by mixed side ('either' = players who can take either side)
+ */
+
+/**
+ * Preview a Mixed Doubles round before shuffling, so an unbalanced roster
+ * (e.g. far more men than women) shows how many on each side will sit
+ * out and how the fallback policy and flex players change that
+ * @param {Player[]} players
+ * @param {number} numCourts
+ * @param {Object} [options] - As for generateMixedDoublesRounds
+ * @returns {MixedDoublesPreview}
+ */
+export function previewMixedDoublesRound(players, numCourts, options = {}) {
+  const { mixedCourts } = countMixedCourts(players, numCourts, options.mixedSides);
+  const round = generateMixedDoublesRound(
+    players, numCourts, createFairnessState(players), 0, createSeededRandom('preview'), options
+  );
+  const sitOutIds = new Set(round.sitOuts.map((p) => p.id));
+  const sides = {};
+  for (const side of ['a', 'b', 'either']) {
+    const onSide = players.filter((p) => (getMixedSide(p, options.mixedSides) ?? 'either') === side);
+    sides[side] = { players: onSide.length, sitOuts: onSide.filter((p) => sitOutIds.has(p.id)).length };
   }
 
-  return rounds;
+  return {
+    mixedCourts,
+    fallbackCourts: round.courts.length - mixedCourts,
+    sides,
+  };
 }
 
 /**
- * Generate all rounds for Mixed Doubles (1 male + 1 female per team)
+ * Generate all rounds for Same-Gender Doubles (e.g. men's and women's
+ * courts, see splitSameGenderGroups). A group with fewer than 4 players
+ * can't fill a court and sits out.
  * @param {Player[]} players - All players
  * @param {number} numRounds - Number of rounds
  * @param {number} numCourts - Number of courts
+ * @param {() => number} [rng] - Random source, defaults to Math.random
+ * @param {MixedSides} [mixedSides] - Which group each gender plays in
  * @returns {Round[]}
  */
-export function generateMixedDoublesRounds(players, numRounds, numCourts) {
-  const males = players.filter((p) => p.gender === 'male');
-  const females = players.filter((p) => p.gender === 'female');
+export function generateSameGenderDoublesRounds(players, numRounds, numCourts, rng = Math.random, mixedSides) {
+  if (numCourts < 1 || splitSameGenderGroups(players, mixedSides).every((g) => g.length < 4)) return [];
 
-  const maxCourts = Math.min(numCourts, Math.floor(males.length / 2), Math.floor(females.length / 2));
-  if (maxCourts === 0) return [];
+  const state = createFairnessState(players);
+  return Array.from({ length: numRounds }, (_, r) =>
+    generateSameGenderDoublesRound(players, numCourts, state, r, rng, { mixedSides })
+  );
+}
 
-  const { sitOutCounts, partnerCounts, opponentCounts, courtCounts } = createFairnessState(players);
-  const rounds = [];
+/**
+ * Generate all rounds for Singles + Doubles, where each court is played
+ * as doubles or singles to keep the most players on court (e.g. 6 players
+ * on 2 courts play one court of each instead of sitting 2 out)
+ * @param {Player[]} players - All players
+ * @param {number} numRounds - Number of rounds
+ * @param {number} numCourts - Number of courts
+ * @param {() => number} [rng] - Random source, defaults to Math.random
+ * @returns {Round[]}
+ */
+export function generateFlexibleRounds(players, numRounds, numCourts, rng = Math.random) {
+  const state = createFairnessState(players);
+  return Array.from({ length: numRounds }, (_, r) =>
+    generateFlexibleRound(players, numCourts, state, r, rng)
+  );
+}
 
-  for (let r = 0; r < numRounds; r++) {
-    // Select active players per gender independently for fair sit-outs
-    const { active: activeMales, sitOuts: sitOutMales } = selectActivePlayers(males, maxCourts * 2, sitOutCounts);
-    const { active: activeFemales, sitOuts: sitOutFemales } = selectActivePlayers(females, maxCourts * 2, sitOutCounts);
+// ─── Swiss System ────────────────────────────────────────────────────
 
-    const courtAssignments = assignMixedDoublesCourts(activeMales, activeFemales, maxCourts, partnerCounts, opponentCounts);
+/** Weight of one win when ordering the field; point differential only breaks ties */
+const SWISS_WIN_WEIGHT = 10000;
 
-    // Optimize court number assignments for fair rotation
-    const ordered = assignCourtNumbers(courtAssignments, courtCounts, (a) => [...a.team1, ...a.team2]);
+/** Pairing attempts before the search gives up and allows rematches */
+const SWISS_SEARCH_LIMIT = 5000;
 
-    const courts = ordered.map((assignment, idx) => {
-      incrementCount(partnerCounts, assignment.team1[0].id, assignment.team1[1].id);
-      incrementCount(partnerCounts, assignment.team2[0].id, assignment.team2[1].id);
-      for (const p1 of assignment.team1) {
-        for (const p2 of assignment.team2) {
-          incrementCount(opponentCounts, p1.id, p2.id);
-        }
+/**
+ * The units paired in a Swiss round: single players, or fixed teams
+ * @param {Player[]} players
+ * @param {Team[]} [teams] - When given, teams are paired instead of players
+ * @returns {{ id: string, players: Player[] }[]}
+ */
+function resolveSwissUnits(players, teams) {
+  return teams
+    ? resolveTeams(teams, players)
+    : players.map((p) => ({ id: p.id, players: [p] }));
+}
+
+/**
+ * Tally each unit's record from the rounds so far. Unscored and tied games
+ * still count as played (and as a meeting) but not as a win.
+ * @param {{ id: string }[]} units
+ * @param {Round[]} rounds
+ * @returns {{ records: Map<string, { wins: number, pointDiff: number, played: number }>, opponentCounts: Map }}
+ */
+function tallySwissRecords(units, rounds) {
+  const records = new Map(units.map((u) => [u.id, { wins: 0, pointDiff: 0, played: 0 }]));
+  const opponentCounts = new Map();
+
+  for (const round of rounds) {
+    for (const court of round.courts) {
+      const [id1, id2] = court.team1Id
+        ? [court.team1Id, court.team2Id]
+        : [court.players[0].id, court.players[1].id];
+      incrementCount(opponentCounts, id1, id2);
+
+      const { team1, team2 } = court.score || {};
+      const points = getScorePoints(court.score);
+      for (const [id, won, lost, pointsFor, pointsAgainst] of [
+        [id1, team1, team2, points.team1, points.team2],
+        [id2, team2, team1, points.team2, points.team1],
+      ]) {
+        const record = records.get(id);
+        if (!record) continue;
+        record.played++;
+        if (won == null || lost == null) continue;
+        record.pointDiff += pointsFor - pointsAgainst;
+        if (won > lost) record.wins++;
+      }
+    }
+  }
+
+  return { records, opponentCounts };
+}
+
+/**
+ * Pair an ordered field from the top down: each unit takes the closest-ranked
+ * unit below it that it hasn't met yet, backtracking when a choice would
+ * strand someone further down. When no rematch-free pairing exists (or the
+ * search runs out of attempts), pairs greedily by fewest previous meetings.
+ * @param {{ id: string }[]} ordered - Best record first; even length
+ * @param {Map} opponentCounts - Unit id → unit id → meetings
+ * @returns {Array<[Object, Object]>}
+ */
+function pairSwissField(ordered, opponentCounts) {
+  let attempts = SWISS_SEARCH_LIMIT;
+  const search = (remaining) => {
+    if (remaining.length === 0) return [];
+    const [top, ...rest] = remaining;
+    for (let i = 0; i < rest.length && attempts > 0; i++) {
+      if (getCount(opponentCounts, top.id, rest[i].id) > 0) continue;
+      attempts--;
+      const tail = search(rest.filter((_, j) => j !== i));
+      if (tail) return [[top, rest[i]], ...tail];
+    }
+    return null;
+  };
+
+  const pairs = search(ordered);
+  if (pairs) return pairs;
+
+  const pool = [...ordered];
+  const fallback = [];
+  while (pool.length > 1) {
+    const top = pool.shift();
+    let best = 0;
+    for (let i = 1; i < pool.length; i++) {
+      if (getCount(opponentCounts, top.id, pool[i].id) < getCount(opponentCounts, top.id, pool[best].id)) {
+        best = i;
       }
-      const allPlayers = [...assignment.team1, ...assignment.team2];
-      updateCourtCounts(allPlayers, idx + 1, courtCounts);
-      return buildCourtObject(r, idx, allPlayers, assignment.team1, assignment.team2);
+    }
+    fallback.push([top, ...pool.splice(best, 1)]);
+  }
+  return fallback;
+}
+
+/**
+ * Generate the next Swiss-system round from the scores recorded so far.
+ * Players (or fixed teams) are ordered by wins, then point differential, and
+ * paired with the closest-ranked opponent they haven't met (see
+ * pairSwissField). Court 1 hosts the top pairing.
+ *
+ * When the field is odd or bigger than the courts allow, byes go to the
+ * lowest-ranked of those who have played the most, so nobody sits out twice
+ * before everyone has sat out once and late arrivals get straight on court.
+ *
+ * The first round has no scores to work from, so its pairings are random.
+ *
+ * @param {Player[]} players - Current roster
+ * @param {Round[]} previousRounds - Rounds played so far
+ * @param {number} numCourts
+ * @param {() => number} [rng] - Random source, defaults to Math.random
+ * @param {Team[]} [teams] - Pair these fixed teams instead of single players
+ * @returns {Round}
+ */
+export function generateSwissRound(players, previousRounds, numCourts, rng = Math.random, teams) {
+  const roundIdx = previousRounds.length;
+  const units = resolveSwissUnits(players, teams);
+  const { records, opponentCounts } = tallySwissRecords(units, previousRounds);
+
+  const standings = units.map((unit) => {
+    const { wins, pointDiff } = records.get(unit.id);
+    return { unit, cost: -(wins * SWISS_WIN_WEIGHT + pointDiff) };
+  });
+  sortByCostRandomTies(standings, rng);
+  const field = standings.map((s) => s.unit);
+
+  const numMatches = Math.min(numCourts, Math.floor(field.length / 2));
+  const byeIds = new Set(
+    field
+      .map((unit, rank) => ({ unit, rank, played: records.get(unit.id).played }))
+      .sort((a, b) => b.played - a.played || b.rank - a.rank)
+      .slice(0, field.length - numMatches * 2)
+      .map((entry) => entry.unit.id)
+  );
+
+  const pairs = pairSwissField(field.filter((u) => !byeIds.has(u.id)), opponentCounts);
+  const courts = pairs.map(([home, away], idx) => {
+    const allPlayers = [...home.players, ...away.players];
+    if (!teams) return buildCourtObject(roundIdx, idx + 1, allPlayers, null, null);
+    return {
+      ...buildCourtObject(roundIdx, idx + 1, allPlayers, home.players, away.players),
+      team1Id: home.id,
+      team2Id: away.id,
+    };
+  });
+
+  return {
+    id: `round-${roundIdx}`,
+    roundNumber: roundIdx + 1,
+    courts,
+    sitOuts: field.filter((u) => byeIds.has(u.id)).flatMap((u) => u.players),
+  };
+}
+
+/**
+ * Entry point for "generate next round" in Swiss sessions
+ * @param {Object} config
+ * @param {Player[]} config.players - Current roster
+ * @param {Round[]} config.rounds - Rounds played so far
+ * @param {number} config.numCourts
+ * @param {number | string} config.seed - Session seed; each round derives its own stream
+ * @param {Team[]} [config.teams] - Fixed teams for doubles Swiss
+ * @param {CourtAvailability} [config.courtAvailability]
+ * @returns {{ round: Round | null, error: string | null }}
+ */
+export function generateNextSwissRound({ players, rounds, numCourts, seed, teams, courtAvailability }) {
+  if (resolveSwissUnits(players, teams).length < 2) {
+    return { round: null, error: teams ? 'Need at least 2 complete teams for Swiss pairing' : 'Need at least 2 players for singles' };
+  }
+  if (rounds.length > 0 && !isRoundDecided(rounds[rounds.length - 1])) {
+    return { round: null, error: 'Enter a winning score on every court first' };
+  }
+  const courtNumbers = getAvailableCourts(numCourts, courtAvailability, rounds.length + 1);
+  if (courtNumbers.length === 0) {
+    return { round: null, error: `No courts are open for round ${rounds.length + 1}` };
+  }
+
+  const rng = createRoundRandom(seed, rounds.length);
+  const round = generateSwissRound(players, rounds, courtNumbers.length, rng, teams);
+  return { round: moveToOpenCourts(round, courtNumbers), error: null };
+}
+
+// ─── Session Optimization ────────────────────────────────────────────
+//
+// The round generators are greedy: each round is as good as it can be given
+// the rounds before it, but an early choice can force a repeat later. For
+// small pools the whole schedule can be improved afterwards by simulated
+// annealing over player swaps within each round.
+
+/** Largest roster the session optimizer is offered for */
+export const OPTIMIZER_MAX_PLAYERS = 24;
+
+/** Annealing moves per optimized round */
+const OPTIMIZER_MOVES_PER_ROUND = 4000;
+
+/** Progress reports per optimization run */
+const OPTIMIZER_PROGRESS_STEPS = 50;
+
+/** Default wall-clock cap for one optimization run */
+const OPTIMIZER_TIME_BUDGET_MS = 2000;
+
+/**
+ * Weight of a repeat partnership relative to a repeat opponent. Partner
+ * repeats are what players notice, so a schedule trades several opponent
+ * repeats to avoid one.
+ */
+const OPTIMIZER_PARTNER_WEIGHT = 4;
+
+/** Annealing temperature at the start and end of the run */
+const OPTIMIZER_START_TEMPERATURE = 2;
+const OPTIMIZER_END_TEMPERATURE = 0.05;
+
+/**
+ * Add delta to a pair's count in a nested Map, returning the count before
+ */
+function adjustCount(countMap, id1, id2, delta) {
+  const before = getCount(countMap, id1, id2);
+  if (delta > 0) {
+    incrementCount(countMap, id1, id2);
+  } else {
+    countMap.get(id1).set(id2, before - 1);
+    countMap.get(id2).set(id1, before - 1);
+  }
+  return before;
+}
+
+/**
+ * Add (sign = 1) or remove (sign = -1) one court's meetings from the session
+ * counts, returning the change in session cost. A pair's k-th meeting costs
+ * k - 1, as in the round-by-round generators, with partner repeats weighted
+ * by OPTIMIZER_PARTNER_WEIGHT. Constraint penalties and rating imbalance are
+ * charged per court as usual.
+ * @param {Player[][]} teams - [team1, team2]; single-player teams in singles
+ * @param {{ partnerCounts: Map, opponentCounts: Map }} counts - Mutated
+ * @param {1 | -1} sign
+ * @param {Object} options - Constraint index and balanced flag
+ * @returns {number}
+ */
+function tallyOptimizedCourt(teams, counts, sign, options) {
+  const noCounts = new Map();
+  let delta = 0;
+  const meet = (countMap, a, b, weight) => {
+    const before = adjustCount(countMap, a.id, b.id, sign);
+    delta += (sign > 0 ? before : 1 - before) * weight;
+  };
+
+  for (const team of teams) {
+    if (team.length === 2) {
+      meet(counts.partnerCounts, team[0], team[1], OPTIMIZER_PARTNER_WEIGHT);
+      delta += sign * partnerCost(noCounts, team[0], team[1], options);
+    }
+  }
+  for (const p1 of teams[0]) {
+    for (const p2 of teams[1]) {
+      meet(counts.opponentCounts, p1, p2, 1);
+      delta += sign * opponentCost(noCounts, p1, p2, options);
+    }
+  }
+  if (teams[0].length === 2) {
+    delta += sign * balanceCost(teams[0], teams[1], options);
+  }
+  return delta;
+}
+
+/**
+ * Improve a generated schedule as a whole by simulated annealing.
+ * Each move swaps two players on different teams within one round (from
+ * the same side only in mixed and same-gender doubles, and between courts
+ * of the same format in Singles + Doubles), so sit-outs and who plays
+ * singles stay exactly as generated.
+ * The run is a fixed number of moves, so a seed reproduces the same result;
+ * timeBudgetMs only stops it early on slow devices. Court numbers are then
+ * reassigned for fair rotation.
+ *
+ * @param {Round[]} rounds - A generated schedule (not King of the Court)
+ * @param {Object} config
+ * @param {Player[]} config.players - Roster the schedule was generated for
+ * @param {'singles' | 'doubles' | 'flexible'} config.gameType
+ * @param {'random' | 'mixed' | 'balanced' | 'same-gender'} [config.pairingMode]
+ * @param {PairConstraint[]} [config.constraints]
+ * @param {MixedSides} [config.mixedSides]
+ * @param {number} [config.frozenRounds] - Leading rounds to keep exactly as they are
+ * @param {number} [config.timeBudgetMs]
+ * @param {(progress: ShuffleProgress) => void} [config.onProgress]
+ * @param {() => number} [rng] - Random source, defaults to Math.random
+ * @returns {Round[]}
+ */
+export function optimizeSchedule(rounds, config, rng = Math.random) {
+  const {
+    players,
+    pairingMode,
+    constraints,
+    mixedSides,
+    frozenRounds = 0,
+    timeBudgetMs = OPTIMIZER_TIME_BUDGET_MS,
+    onProgress,
+  } = config;
+  const options = {
+    constraints: createConstraintIndex(constraints),
+    balanced: pairingMode === 'balanced',
+  };
+  // Mixed and same-gender doubles only swap players on the same side;
+  // players who can take either side stay where they were put
+  const sideOf = new Map();
+  if (pairingMode === 'mixed') {
+    for (const p of players) sideOf.set(p.id, getMixedSide(p, mixedSides));
+  } else if (pairingMode === 'same-gender') {
+    splitSameGenderGroups(players, mixedSides).forEach((group, i) => {
+      for (const p of group) sideOf.set(p.id, i);
+    });
+  }
+  const teamsOf = (court) => (court.team1 && court.team2
+    ? [[...court.team1], [...court.team2]]
+    : court.players.map((p) => [p]));
+
+  const schedule = rounds.map((round) => round.courts.map(teamsOf));
+  const counts = { partnerCounts: new Map(), opponentCounts: new Map() };
+  for (const courts of schedule) {
+    for (const teams of courts) tallyOptimizedCourt(teams, counts, 1, options);
+  }
+
+  // Player positions (court, team, slot) in each round that can be changed
+  const movable = [];
+  for (let r = frozenRounds; r < schedule.length; r++) {
+    const slots = schedule[r].flatMap((teams, c) =>
+      teams.flatMap((team, t) => team.map((_, k) => ({ c, t, k })))
+    );
+    if (slots.length >= 4) movable.push({ r, slots });
+  }
+  if (movable.length === 0) return rounds;
+
+  const totalMoves = movable.length * OPTIMIZER_MOVES_PER_ROUND;
+  const cooling = Math.pow(OPTIMIZER_END_TEMPERATURE / OPTIMIZER_START_TEMPERATURE, 1 / totalMoves);
+  const deadline = Date.now() + timeBudgetMs;
+  const progressInterval = Math.ceil(totalMoves / OPTIMIZER_PROGRESS_STEPS);
+  const snapshot = () => movable.map(({ r }) => schedule[r].map((teams) => teams.map((team) => [...team])));
+
+  let temperature = OPTIMIZER_START_TEMPERATURE;
+  let cost = 0;
+  let bestCost = 0;
+  let best = snapshot();
+
+  for (let move = 0; move < totalMoves; move++) {
+    if (move % 256 === 0 && Date.now() > deadline) break;
+    if (onProgress && move % progressInterval === 0) {
+      onProgress({ stage: 'optimizing', completed: move, total: totalMoves });
+    }
+    temperature *= cooling;
+
+    const { r, slots } = movable[Math.floor(rng() * movable.length)];
+    const a = slots[Math.floor(rng() * slots.length)];
+    const b = slots[Math.floor(rng() * slots.length)];
+    if (a.c === b.c && a.t === b.t) continue;
+
+    const courts = schedule[r];
+    if (courts[a.c][a.t].length !== courts[b.c][b.t].length) continue;
+    const playerA = courts[a.c][a.t][a.k];
+    const playerB = courts[b.c][b.t][b.k];
+    if (sideOf.size > 0 && (sideOf.get(playerA.id) == null || sideOf.get(playerA.id) !== sideOf.get(playerB.id))) continue;
+
+    const touched = a.c === b.c ? [a.c] : [a.c, b.c];
+    const swap = () => {
+      const held = courts[a.c][a.t][a.k];
+      courts[a.c][a.t][a.k] = courts[b.c][b.t][b.k];
+      courts[b.c][b.t][b.k] = held;
+    };
+    const rescore = (change) => {
+      let delta = 0;
+      for (const c of touched) delta += tallyOptimizedCourt(courts[c], counts, -1, options);
+      change();
+      for (const c of touched) delta += tallyOptimizedCourt(courts[c], counts, 1, options);
+      return delta;
+    };
+
+    const delta = rescore(swap);
+    if (delta <= 0 || rng() < Math.exp(-delta / temperature)) {
+      cost += delta;
+      if (cost < bestCost - 1e-9) {
+        bestCost = cost;
+        best = snapshot();
+      }
+    } else {
+      rescore(swap);
+    }
+  }
+
+  movable.forEach(({ r }, idx) => {
+    schedule[r] = best[idx];
+  });
+
+  // Rebuild courts, rotating court numbers fairly across the whole schedule
+  const { courtCounts } = createFairnessState(players);
+  const teamPlayers = (teams) => teams.flat();
+  return rounds.map((round, r) => {
+    if (r < frozenRounds) {
+      round.courts.forEach((court) => updateCourtCounts(court.players, court.courtNumber, courtCounts));
+      return round;
+    }
+    // Keep each round on the courts it was generated for (see getAvailableCourts)
+    const courtNumbers = round.courts.map((court) => court.courtNumber).sort((a, b) => a - b);
+    const ordered = assignCourtNumbers(schedule[r], courtCounts, teamPlayers, rng, courtNumbers);
+    const courts = ordered.map((teams, idx) => {
+      const allPlayers = teamPlayers(teams);
+      updateCourtCounts(allPlayers, courtNumbers[idx], courtCounts);
+      return teams[0].length === 2
+        ? buildCourtObject(r, courtNumbers[idx], allPlayers, teams[0], teams[1])
+        : buildCourtObject(r, courtNumbers[idx], allPlayers, null, null);
+    });
+    return { ...round, courts };
+  });
+}
+
+// ─── Incremental Generation ──────────────────────────────────────────
+
+/**
+ * @typedef {Object} SerializedFairnessState
+ * @property {number} roundsGenerated - Rounds produced from this state so far
+ * @property {Object<string, number>} sitOutCounts - playerId → sit-outs
+ * @property {Object<string, number>} [lastSitOuts] - playerId → index of their latest sit-out round
+ * @property {Object<string, Object<string, number>>} partnerCounts - playerId → playerId → times partnered
+ * @property {Object<string, Object<string, number>>} opponentCounts - playerId → playerId → times opposed
+ * @property {Object<string, Object<number, number>>} courtCounts - playerId → courtNumber → appearances
+ * @property {Object<string, number>} [singlesCounts] - playerId → singles games (Singles + Doubles)
+ */
+
+/**
+ * Convert fairness state Maps into a JSON-safe object for session storage
+ * @param {{ sitOutCounts: Map, lastSitOuts: Map, partnerCounts: Map, opponentCounts: Map, courtCounts: Map, singlesCounts: Map }} state
+ * @param {number} roundsGenerated
+ * @returns {SerializedFairnessState}
+ */
+export function serializeFairnessState(state, roundsGenerated) {
+  const nestedToObject = (countMap) =>
+    Object.fromEntries([...countMap].map(([id, inner]) => [id, Object.fromEntries(inner)]));
+
+  return {
+    roundsGenerated,
+    sitOutCounts: Object.fromEntries(state.sitOutCounts),
+    lastSitOuts: Object.fromEntries(state.lastSitOuts),
+    partnerCounts: nestedToObject(state.partnerCounts),
+    opponentCounts: nestedToObject(state.opponentCounts),
+    courtCounts: nestedToObject(state.courtCounts),
+    singlesCounts: Object.fromEntries(state.singlesCounts),
+  };
+}
+
+/**
+ * Rebuild fairness state Maps from their serialized form.
+ * Players new to the roster are treated as late arrivals
+ * (see prioritizeLateArrivals).
+ * @param {SerializedFairnessState | null} data - null starts from scratch
+ * @param {Player[]} players - Current roster
+ * @returns {{ sitOutCounts: Map, lastSitOuts: Map, partnerCounts: Map, opponentCounts: Map, courtCounts: Map, singlesCounts: Map }}
+ */
+export function deserializeFairnessState(data, players) {
+  if (!data) return createFairnessState(players);
+
+  const objectToNested = (obj, keyFn) =>
+    new Map(Object.entries(obj || {}).map(([id, inner]) => [
+      id,
+      new Map(Object.entries(inner).map(([key, count]) => [keyFn(key), count])),
+    ]));
+
+  const state = {
+    sitOutCounts: new Map(Object.entries(data.sitOutCounts || {})),
+    lastSitOuts: new Map(Object.entries(data.lastSitOuts || {})),
+    partnerCounts: objectToNested(data.partnerCounts, String),
+    opponentCounts: objectToNested(data.opponentCounts, String),
+    courtCounts: objectToNested(data.courtCounts, Number),
+    singlesCounts: new Map(Object.entries(data.singlesCounts || {})),
+  };
+
+  const lateIds = new Set(players.filter((p) => !state.sitOutCounts.has(p.id)).map((p) => p.id));
+  prioritizeLateArrivals(state.sitOutCounts, players, lateIds);
+
+  // Late arrivals start level with whoever has played the fewest singles
+  const fewestSingles = state.singlesCounts.size > 0 ? Math.min(...state.singlesCounts.values()) : 0;
+  for (const p of players) {
+    if (!state.partnerCounts.has(p.id)) state.partnerCounts.set(p.id, new Map());
+    if (!state.opponentCounts.has(p.id)) state.opponentCounts.set(p.id, new Map());
+    if (!state.courtCounts.has(p.id)) state.courtCounts.set(p.id, new Map());
+    if (!state.singlesCounts.has(p.id)) state.singlesCounts.set(p.id, fewestSingles);
+  }
+
+  return state;
+}
+
+/**
+ * Generate the next round from live fairness state, so the roster can
+ * change between rounds (late arrivals, early departures) and each new
+ * round is still fair given who has actually played so far.
+ *
+ * @param {SerializedFairnessState | null} fairnessState - null before the first round
+ * @param {Player[]} players - Current roster
+ * @param {Object} config
+ * @param {'singles' | 'doubles' | 'flexible'} config.gameType
+ * @param {'random' | 'mixed' | 'balanced' | 'same-gender'} [config.pairingMode] - Required for doubles
+ * @param {number} config.numCourts
+ * @param {CourtAvailability} [config.courtAvailability] - Rounds each court can be used in
+ * @param {number | string} config.seed - Session seed; each round derives its own stream
+ * @param {PairConstraint[]} [config.constraints]
+ * @param {'sit-out' | 'random' | 'same-gender'} [config.mixedFallback] - Leftover courts in mixed doubles
+ * @param {MixedSides} [config.mixedSides] - Which side (or same-gender group) each gender plays
+ * @returns {{ round: Round | null, fairnessState: SerializedFairnessState | null, error: string | null }}
+ */
+export function generateNextRound(fairnessState, players, config) {
+  const error = validateShuffleConfig(players, config.gameType, config.pairingMode, config.mixedSides);
+  if (error) {
+    return { round: null, fairnessState, error };
+  }
+  if (config.pairingMode === 'king') {
+    return { round: null, fairnessState, error: 'King of the Court rounds are built from scores' };
+  }
+  if (config.pairingMode === 'swiss') {
+    return { round: null, fairnessState, error: 'Swiss rounds are built from scores' };
+  }
+  if (config.pairingMode === 'teams') {
+    return { round: null, fairnessState, error: 'Round robin schedules are generated in full' };
+  }
+
+  const roundIdx = fairnessState?.roundsGenerated ?? 0;
+  const state = deserializeFairnessState(fairnessState, players);
+  const round = generateRound(players, config, state, roundIdx, createRoundRandom(config.seed, roundIdx));
+
+  return { round, fairnessState: serializeFairnessState(state, roundIdx + 1), error: null };
+}
+
+// ─── King of the Court ───────────────────────────────────────────────
+
+/**
+ * Check whether every court in a round has a decisive (non-tied) score
+ * @param {Round} round
+ * @returns {boolean}
+ */
+export function isRoundDecided(round) {
+  if (!round || round.courts.length === 0) return false;
+  return round.courts.every(
+    (c) => c.score?.team1 != null && c.score?.team2 != null && c.score.team1 !== c.score.team2
+  );
+}
+
+/**
+ * Split 4 players into two teams, keeping last game's partners apart
+ * and otherwise preferring the least-repeated partnerships.
+ */
+function splitKingOfCourtTeams(fourPlayers, lastPartner, partnerCounts, rng) {
+  const [a, b, c, d] = fourPlayers;
+  const splits = [
+    { team1: [a, b], team2: [c, d] },
+    { team1: [a, c], team2: [b, d] },
+    { team1: [a, d], team2: [b, c] },
+  ];
+
+  const keptTogether = (team) => lastPartner.get(team[0].id) === team[1].id;
+  for (const split of splits) {
+    split.cost =
+      (keptTogether(split.team1) ? 100 : 0) +
+      (keptTogether(split.team2) ? 100 : 0) +
+      getCount(partnerCounts, split.team1[0].id, split.team1[1].id) +
+      getCount(partnerCounts, split.team2[0].id, split.team2[1].id);
+  }
+  sortByCostRandomTies(splits, rng);
+  return splits[0];
+}
+
+/**
+ * Generate the next King of the Court round from the previous round's scores.
+ * Court 1 is the top court. Winners move up a court and losers move down
+ * (top-court winners and bottom-court losers stay put), and partners split
+ * after every game. Waiting players rotate in on the bottom court, bumping
+ * its lowest finishers to the bench.
+ *
+ * The first round has no scores to work from, so it is a random doubles draw.
+ *
+ * @param {Player[]} players - Current roster (may differ from earlier rounds)
+ * @param {Round[]} previousRounds - Rounds played so far; the last one must be decided
+ * @param {number} numCourts
+ * @param {() => number} [rng] - Random source, defaults to Math.random
+ * @returns {Round}
+ */
+export function generateKingOfCourtRound(players, previousRounds, numCourts, rng = Math.random) {
+  const roundIdx = previousRounds.length;
+  if (roundIdx === 0) {
+    return generateDoublesRandomRounds(players, 1, numCourts, rng)[0];
+  }
+
+  const lastRound = previousRounds[roundIdx - 1];
+  const roster = new Map(players.map((p) => [p.id, p]));
+  const { partnerCounts, sitOutCounts } = createFairnessStateFromRounds(players, previousRounds);
+
+  const lastPartner = new Map();
+  const results = [...lastRound.courts]
+    .sort((a, b) => a.courtNumber - b.courtNumber)
+    .map((court) => {
+      const team1 = court.team1 || [court.players[0], court.players[1]];
+      const team2 = court.team2 || [court.players[2], court.players[3]];
+      for (const [x, y] of [team1, team2]) {
+        lastPartner.set(x.id, y.id);
+        lastPartner.set(y.id, x.id);
+      }
+      const team1Won = court.score.team1 > court.score.team2;
+      return { winners: team1Won ? team1 : team2, losers: team1Won ? team2 : team1 };
+    });
+
+  // Winners move up, losers move down. Ordered top court first, and the
+  // bottom court's own losers last so they are first to be bumped.
+  const n = results.length;
+  const lineup = results
+    .flatMap((_, k) => [
+      ...(k === 0 ? results[0].winners : results[k - 1].losers),
+      ...(k === n - 1 ? results[k].losers : results[k + 1].winners),
+    ])
+    .filter((p) => roster.has(p.id))
+    .map((p) => roster.get(p.id));
+
+  // Waiting players, longest wait first: rounds sat out in a row, then
+  // rounds sat out in total (new arrivals have waited neither)
+  const placed = new Set(lineup.map((p) => p.id));
+  const sitOutStreak = (id) => {
+    let streak = 0;
+    for (let r = previousRounds.length - 1; r >= 0; r--) {
+      if (!(previousRounds[r].sitOuts || []).some((p) => p.id === id)) break;
+      streak++;
+    }
+    return streak;
+  };
+  const waiting = players
+    .filter((p) => !placed.has(p.id))
+    .map((p) => ({ player: p, streak: sitOutStreak(p.id), total: sitOutCounts.get(p.id) || 0 }))
+    .sort((a, b) => b.streak - a.streak || b.total - a.total)
+    .map(({ player }) => player);
+
+  const capacity = Math.min(numCourts, Math.floor(players.length / 4)) * 4;
+
+  // Drop courts that no longer fit, fill gaps left by departures, then
+  // rotate the remaining waiting players in at the bottom
+  lineup.splice(capacity);
+  while (lineup.length < capacity && waiting.length > 0) {
+    lineup.push(waiting.shift());
+  }
+  // Only the bottom court's slots rotate, so winners higher up never sit out.
+  // With a single court, its winners stay on and only the losers rotate.
+  const bottomSlots = lineup.length > 4 ? 4 : 2;
+  const rotateIn = waiting.splice(0, Math.min(waiting.length, bottomSlots, lineup.length));
+  lineup.splice(lineup.length - rotateIn.length, rotateIn.length, ...rotateIn);
+
+  const courts = [];
+  for (let idx = 0; idx * 4 < lineup.length; idx++) {
+    const { team1, team2 } = splitKingOfCourtTeams(
+      lineup.slice(idx * 4, idx * 4 + 4),
+      lastPartner,
+      partnerCounts,
+      rng
+    );
+    courts.push(buildCourtObject(roundIdx, idx + 1, [...team1, ...team2], team1, team2));
+  }
+
+  const playingIds = new Set(lineup.map((p) => p.id));
+  return {
+    id: `round-${roundIdx}`,
+    roundNumber: roundIdx + 1,
+    courts,
+    sitOuts: players.filter((p) => !playingIds.has(p.id)),
+  };
+}
+
+/**
+ * Entry point for "generate next round" in King of the Court sessions
+ * @param {Object} config
+ * @param {Player[]} config.players - Current roster
+ * @param {Round[]} config.rounds - Rounds played so far
+ * @param {number} config.numCourts
+ * @param {number | string} config.seed - Session seed; each round derives its own stream
+ * @param {CourtAvailability} [config.courtAvailability]
+ * @returns {{ round: Round | null, error: string | null }}
+ */
+export function generateNextKingOfCourtRound({ players, rounds, numCourts, seed, courtAvailability }) {
+  if (players.length < 4) {
+    return { round: null, error: 'Need at least 4 players for doubles' };
+  }
+  if (rounds.length > 0 && !isRoundDecided(rounds[rounds.length - 1])) {
+    return { round: null, error: 'Enter a winning score on every court first' };
+  }
+  const courtNumbers = getAvailableCourts(numCourts, courtAvailability, rounds.length + 1);
+  if (courtNumbers.length === 0) {
+    return { round: null, error: `No courts are open for round ${rounds.length + 1}` };
+  }
+
+  const rng = createRoundRandom(seed, rounds.length);
+  const round = generateKingOfCourtRound(players, rounds, courtNumbers.length, rng);
+  return { round: moveToOpenCourts(round, courtNumbers), error: null };
+}
+
+// ─── Fixed-Team Round Robin ──────────────────────────────────────────
+
+/**
+ * @typedef {Object} Team
+ * @property {string} id
+ * @property {string} [name] - Display name; defaults to the partners' names
+ * @property {string[]} playerIds - The two partners
+ */
+
+/**
+ * Display name for a fixed team
+ * @param {Team} team
+ * @param {Player[]} players - Used to look up partner names
+ * @returns {string}
+ */
+export function getTeamName(team, players) {
+  if (team.name?.trim()) return team.name.trim();
+  return team.playerIds
+    .map((id) => players.find((p) => p.id === id)?.name || 'Unknown')
+    .join(' / ');
+}
+
+/**
+ * Attach current player objects to each team, dropping teams that
+ * are missing a partner (e.g. a player left the roster)
+ * @param {Team[]} teams
+ * @param {Player[]} players
+ * @returns {{ id: string, players: Player[] }[]}
+ */
+function resolveTeams(teams, players) {
+  const byId = new Map(players.map((p) => [p.id, p]));
+  return (teams || [])
+    .map((team) => ({ id: team.id, players: team.playerIds.map((id) => byId.get(id)) }))
+    .filter((team) => team.players.length === 2 && team.players.every(Boolean));
+}
+
+/**
+ * Pair every team with every other team exactly once (circle method).
+ * The first team stays put while the others rotate one seat per round.
+ * With an odd count a phantom seat is added, and whoever faces it has a bye.
+ * @param {Array} teams
+ * @returns {Array<Array<[Object, Object]>>} - Matches for each circle round
+ */
+function circleMethodPairings(teams) {
+  const circle = teams.length % 2 === 0 ? [...teams] : [...teams, null];
+  const n = circle.length;
+  const pairings = [];
+
+  for (let r = 0; r < n - 1; r++) {
+    const matches = [];
+    for (let i = 0; i < n / 2; i++) {
+      const home = circle[i];
+      const away = circle[n - 1 - i];
+      if (!home || !away) continue; // bye
+      // Alternate sides for the fixed team so it isn't always Team 1
+      matches.push(i === 0 && r % 2 === 1 ? [away, home] : [home, away]);
+    }
+    pairings.push(matches);
+    circle.splice(1, 0, circle.pop());
+  }
+
+  return pairings;
+}
+
+/**
+ * Generate a full round robin for fixed doubles teams.
+ * Matches are taken in circle-method order and packed onto the courts:
+ * each Round fills every court with the earliest matches whose teams are
+ * not already playing that round, so courts stay busy even when a circle
+ * round doesn't divide evenly. Courts carry team1Id/team2Id so results
+ * can be tallied per team. Rounds only use the courts open at the time,
+ * and rounds with no court open are skipped rather than scheduled empty
+ * (a court opening at round 3 starts the schedule). Once every court has
+ * closed for good, any matches left are dropped - see findUnscheduledMatches.
+ * @param {Team[]} teams
+ * @param {Player[]} players - All players (teams reference them by id)
+ * @param {number} numCourts
+ * @param {() => number} [rng] - Random source for court rotation ties
+ * @param {CourtAvailability} [courtAvailability]
+ * @returns {Round[]}
+ */
+export function generateRoundRobinRounds(teams, players, numCourts, rng = Math.random, courtAvailability) {
+  const resolved = resolveTeams(teams, players);
+  if (resolved.length < 2 || numCourts < 1) return [];
+
+  const { courtCounts } = createFairnessState(players);
+  const teamPlayers = ([home, away]) => [...home.players, ...away.players];
+  const rounds = [];
+
+  const queue = circleMethodPairings(resolved).flat();
+  const lastOpenRound = Math.max(
+    ...Array.from({ length: numCourts }, (_, i) => courtAvailability?.[i + 1]?.toRound ?? Infinity)
+  );
+
+  for (let slot = 1; queue.length > 0 && slot <= lastOpenRound; slot++) {
+    const roundIdx = rounds.length;
+    const courtNumbers = getAvailableCourts(numCourts, courtAvailability, slot);
+    if (courtNumbers.length === 0) continue;
+    const playing = new Set();
+    const selected = [];
+
+    for (let i = 0; i < queue.length && selected.length < courtNumbers.length; ) {
+      const [home, away] = queue[i];
+      if (playing.has(home.id) || playing.has(away.id)) {
+        i++;
+        continue;
+      }
+      playing.add(home.id);
+      playing.add(away.id);
+      selected.push(...queue.splice(i, 1));
+    }
+
+    const matches = assignCourtNumbers(selected, courtCounts, teamPlayers, rng, courtNumbers);
+    const courts = matches.map(([home, away], idx) => {
+      const allPlayers = teamPlayers([home, away]);
+      updateCourtCounts(allPlayers, courtNumbers[idx], courtCounts);
+      return {
+        ...buildCourtObject(roundIdx, courtNumbers[idx], allPlayers, home.players, away.players),
+        team1Id: home.id,
+        team2Id: away.id,
+      };
     });
 
     rounds.push({
-      id: `round-${r}`,
-      roundNumber: r + 1,
+      id: `round-${roundIdx}`,
+      roundNumber: roundIdx + 1,
       courts,
-      sitOuts: [...sitOutMales, ...sitOutFemales],
+      sitOuts: resolved.filter((team) => !playing.has(team.id)).flatMap((team) => team.players),
     });
   }
 
   return rounds;
 }
 
-// ─── Main Entry Point ────────────────────────────────────────────────
+/**
+ * Round robin matchups missing from a schedule - dropped because the
+ * courts closed before every team had played every other
+ * @param {Team[]} teams
+ * @param {Player[]} players
+ * @param {Round[]} rounds
+ * @returns {{ teamIds: string[], message: string }[]}
+ */
+export function findUnscheduledMatches(teams, players, rounds) {
+  const resolved = resolveTeams(teams, players);
+  const teamsById = new Map(teams.map((t) => [t.id, t]));
+  const scheduled = new Set(
+    rounds.flatMap((round) => round.courts.map((c) => pairKey(c.team1Id, c.team2Id)))
+  );
+
+  const missing = [];
+  for (let i = 0; i < resolved.length; i++) {
+    for (let j = i + 1; j < resolved.length; j++) {
+      const [a, b] = [resolved[i], resolved[j]];
+      if (scheduled.has(pairKey(a.id, b.id))) continue;
+      missing.push({
+        teamIds: [a.id, b.id],
+        message: `${getTeamName(teamsById.get(a.id), players)} vs ${getTeamName(teamsById.get(b.id), players)}`,
+      });
+    }
+  }
+  return missing;
+}
+
+// ─── Schedule Repair ─────────────────────────────────────────────────
 
 /**
- * Main shuffle function - entry point
+ * Check whether a round has started (any court playing, done or scored)
+ * @param {Round} round
+ * @returns {boolean}
+ */
+export function isRoundStarted(round) {
+  return round.courts.some(
+    (c) => c.status !== 'pending' || c.score?.team1 != null || c.score?.team2 != null
+  );
+}
+
+/**
+ * Count the rounds that are frozen: everything up to and including the
+ * latest round that has started
+ * @param {Round[]} rounds
+ * @returns {number}
+ */
+export function countFrozenRounds(rounds) {
+  let frozen = 0;
+  rounds.forEach((round, idx) => {
+    if (isRoundStarted(round)) frozen = idx + 1;
+  });
+  return frozen;
+}
+
+/**
+ * Check whether any pending round is out of date with the roster
+ * (references a departed player or leaves out a new arrival) or plays on
+ * a court that has since closed
+ * @param {Round[]} rounds
+ * @param {Player[]} players - Current roster
+ * @param {number} [numCourts] - Together with courtAvailability, checks the courts too
+ * @param {CourtAvailability} [courtAvailability]
+ * @returns {boolean}
+ */
+export function scheduleNeedsRepair(rounds, players, numCourts, courtAvailability) {
+  const rosterIds = new Set(players.map((p) => p.id));
+  return rounds.slice(countFrozenRounds(rounds)).some((round) => {
+    const scheduled = [...round.courts.flatMap((c) => c.players), ...(round.sitOuts || [])];
+    if (scheduled.length !== rosterIds.size || scheduled.some((p) => !rosterIds.has(p.id))) {
+      return true;
+    }
+    if (numCourts == null) return false;
+    const open = getAvailableCourts(numCourts, courtAvailability, round.roundNumber);
+    return round.courts.some((c) => !open.includes(c.courtNumber));
+  });
+}
+
+/**
+ * Repair a pre-generated schedule after the roster or the open courts
+ * change. Frozen rounds (see countFrozenRounds) are kept exactly as played;
+ * the pending rounds are regenerated for the current roster and courts, continuing from
+ * the fairness counts of the frozen rounds. Late arrivals get top sit-out
+ * priority (see prioritizeLateArrivals).
+ *
  * @param {Object} config
- * @param {Player[]} config.players - All players in the session
- * @param {'singles' | 'doubles'} config.gameType
- * @param {'random' | 'mixed'} [config.pairingMode] - Required for doubles
- * @param {number} config.numRounds
+ * @param {Player[]} config.players - Current roster
+ * @param {Round[]} config.rounds - Existing schedule
+ * @param {'singles' | 'doubles' | 'flexible'} config.gameType
+ * @param {'random' | 'mixed' | 'balanced' | 'same-gender'} [config.pairingMode]
  * @param {number} config.numCourts
+ * @param {CourtAvailability} [config.courtAvailability] - Rounds each court can be used in
+ * @param {number | string} config.seed - Session seed; each repaired round derives its own stream
+ * @param {PairConstraint[]} [config.constraints]
+ * @param {'sit-out' | 'random' | 'same-gender'} [config.mixedFallback] - Leftover courts in mixed doubles
+ * @param {MixedSides} [config.mixedSides] - Which side (or same-gender group) each gender plays
+ * @param {boolean} [config.optimize] - Also improve the repaired rounds with optimizeSchedule
  * @returns {{ rounds: Round[], error: string | null }}
  */
-export function shufflePlayers({ players, gameType, pairingMode, numRounds, numCourts }) {
-  // Validation
-  if (!players || players.length === 0) {
-    return { rounds: [], error: 'No players in session' };
+export function repairSchedule({ players, rounds, gameType, pairingMode, numCourts, courtAvailability, seed, constraints, mixedFallback, mixedSides, optimize = false }) {
+  const error = validateShuffleConfig(players, gameType, pairingMode, mixedSides);
+  if (error) {
+    return { rounds, error };
+  }
+  if (pairingMode === 'king') {
+    return { rounds, error: 'King of the Court rounds are built from scores' };
+  }
+  if (pairingMode === 'swiss') {
+    return { rounds, error: 'Swiss rounds are built from scores' };
+  }
+  if (pairingMode === 'teams') {
+    return { rounds, error: 'Round robin schedules follow the team list - reshuffle instead' };
   }
 
-  const minPlayers = gameType === 'singles' ? 2 : 4;
-  if (players.length < minPlayers) {
+  const frozen = rounds.slice(0, countFrozenRounds(rounds));
+  const state = createFairnessStateFromRounds(players, frozen);
+
+  if (frozen.length > 0) {
+    const seenIds = new Set(
+      frozen.flatMap((r) => [...r.courts.flatMap((c) => c.players), ...(r.sitOuts || [])]).map((p) => p.id)
+    );
+    const lateIds = new Set(players.filter((p) => !seenIds.has(p.id)).map((p) => p.id));
+    prioritizeLateArrivals(state.sitOutCounts, players, lateIds);
+  }
+
+  const config = { gameType, pairingMode, numCourts, courtAvailability, constraints, mixedFallback, mixedSides };
+  const repaired = [...frozen];
+  for (let r = frozen.length; r < rounds.length; r++) {
+    repaired.push(generateRound(players, config, state, r, createRoundRandom(seed, r)));
+  }
+  if (optimize && players.length <= OPTIMIZER_MAX_PLAYERS) {
+    const rng = createSeededRandom(`${seed}-optimize`);
     return {
-      rounds: [],
-      error: `Need at least ${minPlayers} players for ${gameType}`
+      rounds: optimizeSchedule(repaired, { ...config, players, frozenRounds: frozen.length }, rng),
+      error: null,
     };
   }
 
+  return { rounds: repaired, error: null };
+}
+
+// ─── Schedule Analysis ───────────────────────────────────────────────
+
+/**
+ * @typedef {Object} ScheduleAnalysis
+ * @property {Player[]} players - Row / column order of the matrices
+ * @property {number[][]} partnerMatrix - [i][j] = times players i and j partnered
+ * @property {number[][]} opponentMatrix - [i][j] = times players i and j faced each other
+ * @property {Object<string, number>} sitOutCounts - playerId → rounds sat out
+ * @property {Object<string, Object<number, number>>} courtCounts - playerId → courtNumber → appearances
+ * @property {Object<string, number>} singlesCounts - playerId → singles games played
+ * @property {number[]} courtNumbers - Every court number used, ascending
+ * @property {number} repeatPartners - Partnerships beyond each pair's first
+ * @property {number} repeatOpponents - Match-ups beyond each pair's first
+ * @property {number} courtSpread - Court appearances beyond an even rotation, summed over players
+ */
+
+/**
+ * Measure how fair a schedule is: who partnered and faced whom, how
+ * often each player sat out and which courts they played on.
+ * Counts cover every round, scored or not, for players on the roster.
+ * @param {Round[]} rounds
+ * @param {Player[]} players - Current roster
+ * @returns {ScheduleAnalysis}
+ */
+export function analyzeSchedule(rounds, players) {
+  const { sitOutCounts, partnerCounts, opponentCounts, courtCounts, singlesCounts } = createFairnessStateFromRounds(players, rounds);
+
+  const toMatrix = (countMap) =>
+    players.map((p1) => players.map((p2) => (p1.id === p2.id ? 0 : getCount(countMap, p1.id, p2.id))));
+  const countRepeats = (matrix) =>
+    matrix.reduce((sum, row, i) => sum + row.slice(i + 1).reduce((s, count) => s + Math.max(0, count - 1), 0), 0);
+
+  const partnerMatrix = toMatrix(partnerCounts);
+  const opponentMatrix = toMatrix(opponentCounts);
+  const courtNumbers = [...new Set(rounds.flatMap((r) => r.courts.map((c) => c.courtNumber)))].sort((a, b) => a - b);
+
+  // An even rotation leaves each player's most- and least-used courts at
+  // most one game apart (exactly level when their games divide evenly)
+  let courtSpread = 0;
+  for (const counts of courtCounts.values()) {
+    const perCourt = courtNumbers.map((n) => counts.get(n) || 0);
+    const games = perCourt.reduce((sum, count) => sum + count, 0);
+    if (games === 0) continue;
+    const allowed = games % courtNumbers.length === 0 ? 0 : 1;
+    courtSpread += Math.max(...perCourt) - Math.min(...perCourt) - allowed;
+  }
+
+  return {
+    players,
+    partnerMatrix,
+    opponentMatrix,
+    sitOutCounts: Object.fromEntries(sitOutCounts),
+    courtCounts: Object.fromEntries([...courtCounts].map(([id, counts]) => [id, Object.fromEntries(counts)])),
+    singlesCounts: Object.fromEntries(singlesCounts),
+    courtNumbers,
+    repeatPartners: countRepeats(partnerMatrix),
+    repeatOpponents: countRepeats(opponentMatrix),
+    courtSpread,
+  };
+}
+
+/**
+ * One number for comparing schedules, lower is fairer: repeat partners
+ * (weighted as in the session optimizer), repeat opponents and court
+ * rotation spread
+ * @param {ScheduleAnalysis} analysis
+ * @returns {number}
+ */
+export function scheduleFairnessScore(analysis) {
+  return analysis.repeatPartners * OPTIMIZER_PARTNER_WEIGHT + analysis.repeatOpponents + analysis.courtSpread;
+}
+
+// ─── Main Entry Point ────────────────────────────────────────────────
+
+/**
+ * Check that the roster can support the requested game type
+ * @param {Player[]} players
+ * @param {'singles' | 'doubles' | 'flexible'} gameType
+ * @param {string} [pairingMode]
+ * @param {MixedSides} [mixedSides]
+ * @returns {string | null} - Error message, or null when valid
+ */
+function validateShuffleConfig(players, gameType, pairingMode, mixedSides) {
+  if (!players || players.length === 0) {
+    return 'No players in session';
+  }
+
+  const minPlayers = gameType === 'doubles' ? 4 : 2;
+  if (players.length < minPlayers) {
+    return `Need at least ${minPlayers} players for ${gameType === 'flexible' ? 'singles + doubles' : gameType}`;
+  }
+
   if (gameType === 'doubles' && pairingMode === 'mixed') {
-    const males = players.filter((p) => p.gender === 'male');
-    const females = players.filter((p) => p.gender === 'female');
+    if (countMixedCourts(players, 1, mixedSides).mixedCourts === 0) {
+      return 'Mixed doubles requires at least 2 players on each side (flex players count as either)';
+    }
+  }
 
-    if (males.length < 2 || females.length < 2) {
-      return {
-        rounds: [],
-        error: 'Mixed doubles requires at least 2 males and 2 females'
-      };
+  if (gameType === 'doubles' && pairingMode === 'same-gender') {
+    if (splitSameGenderGroups(players, mixedSides).every((group) => group.length < 4)) {
+      return 'Same-gender doubles requires at least 4 players in one group';
     }
   }
 
-  // Generate rounds based on game type
-  let rounds;
+  return null;
+}
 
-  if (gameType === 'singles') {
-    rounds = generateSinglesRounds(players, numRounds, numCourts);
-  } else if (pairingMode === 'mixed') {
-    rounds = generateMixedDoublesRounds(players, numRounds, numCourts);
-  } else {
-    rounds = generateDoublesRandomRounds(players, numRounds, numCourts);
+/**
+ * Main shuffle function - entry point
+ * @param {Object} config
+ * @param {Player[]} config.players - All players in the session
+ * @param {'singles' | 'doubles' | 'flexible'} config.gameType
+ * @param {'random' | 'mixed' | 'balanced' | 'same-gender' | 'king' | 'teams' | 'swiss'} [config.pairingMode] - Required for
+ *   doubles; singles accepts 'swiss' and 'flexible' (Singles + Doubles) takes none
+ * @param {number} config.numRounds - Ignored for 'king' and 'swiss', which only generate round 1,
+ *   and 'teams', which always plays a full round robin
+ * @param {number} config.numCourts
+ * @param {CourtAvailability} [config.courtAvailability] - Rounds each court can be used in; every
+ *   court is open every round when omitted
+ * @param {number | string} [config.seed] - Reproduces an earlier draw; a fresh seed is generated when omitted
+ * @param {PairConstraint[]} [config.constraints] - Pinned / forbidden pairs (ignored for 'king', 'teams' and 'swiss')
+ * @param {'sit-out' | 'random' | 'same-gender'} [config.mixedFallback] - For 'mixed': courts the
+ *   mixed teams can't fill are left empty ('sit-out', the default) or played as random or same-gender doubles
+ * @param {MixedSides} [config.mixedSides] - Which side of a mixed team (or same-gender group) each
+ *   gender plays; defaults to DEFAULT_MIXED_SIDES
+ * @param {Team[]} [config.teams] - Fixed teams, required for 'teams' and doubles 'swiss'
+ * @param {boolean} [config.optimize] - Improve the whole schedule with optimizeSchedule
+ *   (only for rosters up to OPTIMIZER_MAX_PLAYERS; ignored for 'king', 'teams' and 'swiss')
+ * @param {(progress: ShuffleProgress) => void} [config.onProgress] - Called after each round
+ *   and periodically while optimizing (see shufflePlayersAsync)
+ * @returns {{ rounds: Round[], error: string | null, seed: number | string, violations: ConstraintViolation[] }}
+ */
+export function shufflePlayers({ players, gameType, pairingMode, numRounds, numCourts, courtAvailability, seed, constraints = [], teams = [], mixedFallback, mixedSides, optimize = false, onProgress }) {
+  const error = validateShuffleConfig(players, gameType, pairingMode, mixedSides);
+  if (error) {
+    return { rounds: [], error };
+  }
+
+  // Every schedule gets a seed so it can be rebuilt exactly later
+  const resolvedSeed = seed ?? generateSeed();
+  const rng = createSeededRandom(resolvedSeed);
+
+  // King of the Court and Swiss start with round 1 on the courts open for it
+  const firstCourts = getAvailableCourts(numCourts, courtAvailability, 1);
+
+  if (gameType === 'doubles' && pairingMode === 'king') {
+    if (firstCourts.length === 0) {
+      return { rounds: [], error: 'No courts are open for round 1' };
+    }
+    // Later rounds depend on scores - see generateNextKingOfCourtRound
+    const rounds = [moveToOpenCourts(generateKingOfCourtRound(players, [], firstCourts.length, rng), firstCourts)];
+    return { rounds, error: null, seed: resolvedSeed, violations: [] };
+  }
+
+  if (pairingMode === 'swiss') {
+    // Later rounds depend on scores - see generateNextSwissRound
+    const swissTeams = gameType === 'doubles' ? teams : undefined;
+    if (swissTeams && resolveTeams(swissTeams, players).length < 2) {
+      return { rounds: [], error: 'Need at least 2 complete teams for Swiss pairing' };
+    }
+    if (firstCourts.length === 0) {
+      return { rounds: [], error: 'No courts are open for round 1' };
+    }
+    const rounds = [moveToOpenCourts(generateSwissRound(players, [], firstCourts.length, rng, swissTeams), firstCourts)];
+    return { rounds, error: null, seed: resolvedSeed, violations: [] };
+  }
+
+  if (gameType === 'doubles' && pairingMode === 'teams') {
+    if (resolveTeams(teams, players).length < 2) {
+      return { rounds: [], error: 'Need at least 2 complete teams for a round robin' };
+    }
+    const rounds = generateRoundRobinRounds(teams, players, numCourts, rng, courtAvailability);
+    return { rounds, error: null, seed: resolvedSeed, violations: [] };
+  }
+
+  const config = { gameType, pairingMode, numCourts, courtAvailability, constraints, mixedFallback, mixedSides };
+  const state = createFairnessState(players);
+  let rounds = Array.from({ length: numRounds }, (_, r) => {
+    const round = generateRound(players, config, state, r, rng);
+    if (onProgress) onProgress({ stage: 'rounds', completed: r + 1, total: numRounds });
+    return round;
+  });
+  if (optimize && players.length <= OPTIMIZER_MAX_PLAYERS) {
+    rounds = optimizeSchedule(rounds, { ...config, players, onProgress }, rng);
+  }
+
+  return {
+    rounds,
+    error: null,
+    seed: resolvedSeed,
+    violations: findConstraintViolations(rounds, constraints, players, gameType),
+  };
+}
+
+/**
+ * @typedef {Object} ShuffleCandidate
+ * @property {number} seed - Rebuilds this schedule with shufflePlayers
+ * @property {Round[]} rounds
+ * @property {ConstraintViolation[]} violations
+ * @property {number} score - See scheduleFairnessScore
+ * @property {number} repeatPartners
+ * @property {number} repeatOpponents
+ * @property {number} courtSpread
+ */
+
+/**
+ * Best-of-N shuffle: run shufflePlayers several times and keep the fairest
+ * schedule (see scheduleFairnessScore). Each candidate gets its own seed,
+ * drawn from the session seed, so the one chosen can be rebuilt on its own.
+ * @param {Object} config - As for shufflePlayers, plus:
+ * @param {number} [config.candidates] - How many schedules to compare
+ * @returns {{ rounds: Round[], error: string | null, seed?: number, violations?: ConstraintViolation[], candidates: ShuffleCandidate[] }}
+ *   The fairest candidate, with every candidate fairest first
+ */
+export function shuffleBestOf({ candidates = 5, seed, onProgress, ...config }) {
+  const seedRng = createSeededRandom(seed ?? generateSeed());
+  const results = [];
+
+  for (let i = 0; i < candidates; i++) {
+    const result = shufflePlayers({ ...config, seed: Math.floor(seedRng() * 0x100000000) });
+    if (result.error) {
+      return { rounds: [], error: result.error, candidates: [] };
+    }
+    const analysis = analyzeSchedule(result.rounds, config.players);
+    results.push({
+      seed: result.seed,
+      rounds: result.rounds,
+      violations: result.violations,
+      score: scheduleFairnessScore(analysis),
+      repeatPartners: analysis.repeatPartners,
+      repeatOpponents: analysis.repeatOpponents,
+      courtSpread: analysis.courtSpread,
+    });
+    if (onProgress) onProgress({ stage: 'candidates', completed: i + 1, total: candidates });
   }
 
-  return { rounds, error: null };
+  results.sort((a, b) => a.score - b.score);
+  const [best] = results;
+  return { rounds: best.rounds, error: null, seed: best.seed, violations: best.violations, candidates: results };
 }
 
 /**
@@ -0,0 +1,53 @@
+/**
+ * Async shuffle for Dink Shuffle
+ * Runs shufflePlayers in a Web Worker so large sessions don't freeze the
+ * screen, reporting progress as it goes. Cancelling terminates the worker.
+ * Where workers aren't available it runs on the main thread instead.
+ */
+
+import { shufflePlayers, shuffleBestOf } from './shuffle';
+
+/**
+ * Run shufflePlayers off the main thread (shuffleBestOf when config.candidates > 1)
+ * @param {Object} config - Same as shufflePlayers (functions can't be sent to the worker)
+ * @param {Object} [options]
+ * @param {(progress: import('./shuffle').ShuffleProgress) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] - Abort to cancel the shuffle
+ * @returns {Promise<{ rounds: Array, error: string | null, seed?: number | string, violations?: Array, cancelled?: boolean }>}
+ *   Resolves with the shuffle result, or with cancelled: true when aborted
+ */
+export function shufflePlayersAsync(config, { onProgress, signal } = {}) {
+  if (signal?.aborted) {
+    return Promise.resolve({ rounds: [], error: null, cancelled: true });
+  }
+  if (typeof Worker === 'undefined') {
+    const shuffle = config.candidates > 1 ? shuffleBestOf : shufflePlayers;
+    return Promise.resolve(shuffle({ ...config, onProgress }));
+  }
+
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL('./shuffleWorker.js', import.meta.url), { type: 'module' });
+
+    const finish = (result) => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', handleAbort);
+      resolve(result);
+    };
+    const handleAbort = () => finish({ rounds: [], error: null, cancelled: true });
+
+    worker.onmessage = (event) => {
+      if (event.data.type === 'progress') {
+        if (onProgress) onProgress(event.data.progress);
+      } else {
+        finish(event.data.result);
+      }
+    };
+    worker.onerror = (event) => {
+      console.error('[Shuffle] Worker failed:', event.message);
+      finish({ rounds: [], error: 'Shuffle failed - please try again' });
+    };
+
+    if (signal) signal.addEventListener('abort', handleAbort);
+    worker.postMessage(config);
+  });
+}
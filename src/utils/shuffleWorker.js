@@ -0,0 +1,17 @@
+/**
+ * Web Worker entry point for the shuffle engine (see shufflePlayersAsync).
+ * Receives a shufflePlayers config (run best-of-N when it asks for more
+ * than one candidate), posts progress while it works and the result when
+ * it is done.
+ */
+
+import { shufflePlayers, shuffleBestOf } from './shuffle';
+
+self.onmessage = (event) => {
+  const shuffle = event.data.candidates > 1 ? shuffleBestOf : shufflePlayers;
+  const result = shuffle({
+    ...event.data,
+    onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+  });
+  self.postMessage({ type: 'result', result });
+};
@@ -0,0 +1,329 @@
+/**
+ * Standings for Dink Shuffle
+ * Per-player and per-team win/loss and points tallies from scored rounds,
+ * shared by the results view and playoff seeding
+ */
+
+import { getTeamName, getCourtFormat, getCourtHandicap } from './shuffle';
+
+/**
+ * Whether a court's score counts towards the standings: both sides scored
+ * and someone won. A tie is a score still being entered or a mistake, not
+ * a result.
+ * @param {import('./shuffle').Score} [score]
+ * @returns {boolean}
+ */
+function isDecidedScore(score) {
+  return score?.team1 != null && score?.team2 != null && score.team1 !== score.team2;
+}
+
+/**
+ * Points and games each side won on a decided court. A single game counts
+ * as one game; a best-of-three match adds up its games. With handicaps,
+ * each game's head start is taken off the points: the one recorded with
+ * the score, so later rating or handicap changes don't rewrite games
+ * already played (older scores without one fall back to getCourtHandicap).
+ * @param {import('./shuffle').Court} court
+ * @param {import('./shuffle').HandicapConfig | null} handicap
+ * @returns {{ team1Points: number, team2Points: number, team1Games: number, team2Games: number }}
+ */
+function tallyCourt(court, handicap) {
+  const headStart = court.score.headStart || getCourtHandicap(court, handicap);
+  const games = court.score.games?.length ? court.score.games : [court.score];
+
+  return games.reduce((tally, game) => ({
+    team1Points: tally.team1Points + Math.max(0, game.team1 - headStart.team1),
+    team2Points: tally.team2Points + Math.max(0, game.team2 - headStart.team2),
+    team1Games: tally.team1Games + (game.team1 > game.team2 ? 1 : 0),
+    team2Games: tally.team2Games + (game.team2 > game.team1 ? 1 : 0),
+  }), { team1Points: 0, team2Points: 0, team1Games: 0, team2Games: 0 });
+}
+
+/**
+ * Note who each player faced in a scored game (for Buchholz)
+ * @param {Map<string, string[]>} opponents - id → opponent ids (mutated)
+ */
+function recordOpponents(opponents, side1, side2) {
+  for (const a of side1) {
+    for (const b of side2) {
+      if (!a || !b) continue;
+      opponents.get(a.id)?.push(b.id);
+      opponents.get(b.id)?.push(a.id);
+    }
+  }
+}
+
+/**
+ * Set each entry's Buchholz score: the total wins of every opponent it
+ * faced (once per meeting). A tougher schedule means a higher score.
+ * @param {Object<string, Object>} stats - id → stats entry (mutated)
+ * @param {Map<string, string[]>} opponents - id → opponent ids
+ */
+function addBuchholz(stats, opponents) {
+  Object.values(stats).forEach((entry) => {
+    entry.buchholz = (opponents.get(entry.id) || [])
+      .reduce((sum, id) => sum + (stats[id]?.wins || 0), 0);
+  });
+}
+
+/**
+ * Calculate player statistics from rounds data. Each court is tallied in
+ * its own format (see getCourtFormat), so Singles + Doubles sessions mix
+ * both.
+ *
+ * Wins and losses count courts (matches); gamesWon and gamesLost count the
+ * games within them, so best-of-three courts show 2-1 and the like.
+ *
+ * With handicaps, scores are the final scoreboard (head start included):
+ * they decide who won, but only the points won in play count towards
+ * points for and against.
+ * @param {Array} rounds
+ * @param {Array} players
+ * @param {'singles' | 'doubles' | 'flexible'} gameType
+ * @param {import('./shuffle').HandicapConfig | null} [handicap]
+ */
+export function calculatePlayerStats(rounds, players, gameType, handicap = null) {
+  const stats = {};
+
+  // Initialize stats for all players
+  players.forEach((p) => {
+    stats[p.id] = {
+      id: p.id,
+      name: p.name,
+      gender: p.gender,
+      wins: 0,
+      losses: 0,
+      gamesWon: 0,
+      gamesLost: 0,
+      totalPoints: 0,
+      pointsAgainst: 0,
+      gamesPlayed: 0,
+    };
+  });
+  const opponents = new Map(players.map((p) => [p.id, []]));
+
+  // Process each round and court
+  rounds.forEach((round) => {
+    round.courts.forEach((court) => {
+      if (!isDecidedScore(court.score)) return;
+
+      const team1Won = court.score.team1 > court.score.team2;
+      const { team1Points: team1Score, team2Points: team2Score, team1Games, team2Games } =
+        tallyCourt(court, handicap);
+
+      if (getCourtFormat(court, gameType) === 'doubles') {
+        // Doubles: team1 = players[0,1], team2 = players[2,3]
+        const team1Players = court.team1 || [court.players[0], court.players[1]];
+        const team2Players = court.team2 || [court.players[2], court.players[3]];
+        recordOpponents(opponents, team1Players, team2Players);
+
+        team1Players.forEach((p) => {
+          if (p && stats[p.id]) {
+            stats[p.id].gamesPlayed++;
+            stats[p.id].totalPoints += team1Score;
+            stats[p.id].pointsAgainst += team2Score;
+            stats[p.id].gamesWon += team1Games;
+            stats[p.id].gamesLost += team2Games;
+            if (team1Won) stats[p.id].wins++;
+            else stats[p.id].losses++;
+          }
+        });
+
+        team2Players.forEach((p) => {
+          if (p && stats[p.id]) {
+            stats[p.id].gamesPlayed++;
+            stats[p.id].totalPoints += team2Score;
+            stats[p.id].pointsAgainst += team1Score;
+            stats[p.id].gamesWon += team2Games;
+            stats[p.id].gamesLost += team1Games;
+            if (!team1Won) stats[p.id].wins++;
+            else stats[p.id].losses++;
+          }
+        });
+      } else {
+        // Singles: players[0] vs players[1]
+        const p1 = court.players[0];
+        const p2 = court.players[1];
+        recordOpponents(opponents, [p1], [p2]);
+
+        if (p1 && stats[p1.id]) {
+          stats[p1.id].gamesPlayed++;
+          stats[p1.id].totalPoints += team1Score;
+          stats[p1.id].pointsAgainst += team2Score;
+          stats[p1.id].gamesWon += team1Games;
+          stats[p1.id].gamesLost += team2Games;
+          if (team1Won) stats[p1.id].wins++;
+          else stats[p1.id].losses++;
+        }
+
+        if (p2 && stats[p2.id]) {
+          stats[p2.id].gamesPlayed++;
+          stats[p2.id].totalPoints += team2Score;
+          stats[p2.id].pointsAgainst += team1Score;
+          stats[p2.id].gamesWon += team2Games;
+          stats[p2.id].gamesLost += team1Games;
+          if (!team1Won) stats[p2.id].wins++;
+          else stats[p2.id].losses++;
+        }
+      }
+    });
+  });
+
+  // Calculate average point differential for each player
+  Object.values(stats).forEach((player) => {
+    if (player.gamesPlayed > 0) {
+      player.avgPointDiff = (player.totalPoints - player.pointsAgainst) / player.gamesPlayed;
+    } else {
+      player.avgPointDiff = 0;
+    }
+  });
+
+  addBuchholz(stats, opponents);
+  return Object.values(stats);
+}
+
+/**
+ * Calculate fixed-team statistics from rounds data (round robin mode).
+ * Courts identify their teams with team1Id / team2Id.
+ */
+export function calculateTeamStats(rounds, teams, players) {
+  const stats = {};
+
+  teams.forEach((t) => {
+    stats[t.id] = {
+      id: t.id,
+      name: getTeamName(t, players),
+      wins: 0,
+      losses: 0,
+      gamesWon: 0,
+      gamesLost: 0,
+      totalPoints: 0,
+      pointsAgainst: 0,
+      gamesPlayed: 0,
+    };
+  });
+  const opponents = new Map(teams.map((t) => [t.id, []]));
+
+  const record = (team, won, pointsFor, pointsAgainst, gamesWon, gamesLost) => {
+    if (!team) return;
+    team.gamesPlayed++;
+    team.totalPoints += pointsFor;
+    team.pointsAgainst += pointsAgainst;
+    team.gamesWon += gamesWon;
+    team.gamesLost += gamesLost;
+    if (won) team.wins++;
+    else team.losses++;
+  };
+
+  rounds.forEach((round) => {
+    round.courts.forEach((court) => {
+      if (!isDecidedScore(court.score)) return;
+      opponents.get(court.team1Id)?.push(court.team2Id);
+      opponents.get(court.team2Id)?.push(court.team1Id);
+      const team1Won = court.score.team1 > court.score.team2;
+      const { team1Points, team2Points, team1Games, team2Games } = tallyCourt(court, null);
+      record(stats[court.team1Id], team1Won, team1Points, team2Points, team1Games, team2Games);
+      record(stats[court.team2Id], !team1Won, team2Points, team1Points, team2Games, team1Games);
+    });
+  });
+
+  Object.values(stats).forEach((team) => {
+    team.avgPointDiff = team.gamesPlayed > 0
+      ? (team.totalPoints - team.pointsAgainst) / team.gamesPlayed
+      : 0;
+  });
+
+  addBuchholz(stats, opponents);
+  return Object.values(stats);
+}
+
+/**
+ * Assign ranks with ties support
+ * Players with identical sorting values get the same rank
+ */
+export function assignRanks(sortedList, getCompareValue) {
+  const ranked = [];
+  let currentRank = 1;
+
+  sortedList.forEach((player, index) => {
+    if (index === 0) {
+      ranked.push({ ...player, rank: currentRank });
+    } else {
+      const prevValue = getCompareValue(sortedList[index - 1]);
+      const currValue = getCompareValue(player);
+      // If values are equal, keep same rank; otherwise, rank = position + 1
+      if (prevValue === currValue) {
+        ranked.push({ ...player, rank: currentRank });
+      } else {
+        currentRank = index + 1;
+        ranked.push({ ...player, rank: currentRank });
+      }
+    }
+  });
+
+  return ranked;
+}
+
+/**
+ * Share of games won within matches (the same as the win rate when every
+ * court is a single game)
+ */
+function gameWinRate(entry) {
+  const total = entry.gamesWon + entry.gamesLost;
+  return total > 0 ? entry.gamesWon / total : 0;
+}
+
+/**
+ * Rank entries by win rate, then share of games won (best-of-three
+ * matches), then average point differential, then total wins
+ * (entries without games are left out)
+ * @param {Array} stats - From calculatePlayerStats or calculateTeamStats
+ * @returns {Array} - Sorted entries with a rank property
+ */
+export function rankByWinRate(stats) {
+  const filtered = [...stats].filter((p) => p.gamesPlayed > 0);
+  const sorted = filtered.sort((a, b) => {
+    const aRate = a.wins + a.losses > 0 ? a.wins / (a.wins + a.losses) : 0;
+    const bRate = b.wins + b.losses > 0 ? b.wins / (b.wins + b.losses) : 0;
+    if (bRate !== aRate) return bRate - aRate;
+    if (gameWinRate(b) !== gameWinRate(a)) return gameWinRate(b) - gameWinRate(a);
+    // Tiebreaker: average point differential (higher is better)
+    if (b.avgPointDiff !== a.avgPointDiff) return b.avgPointDiff - a.avgPointDiff;
+    return b.wins - a.wins; // Final tiebreaker: more total wins
+  });
+  // Create composite key for tie detection: win rate + game win rate + avg point diff
+  return assignRanks(sorted, (p) => {
+    const rate = p.wins + p.losses > 0 ? p.wins / (p.wins + p.losses) : 0;
+    // Round to avoid floating point comparison issues
+    return `${rate.toFixed(4)}_${gameWinRate(p).toFixed(4)}_${p.avgPointDiff.toFixed(2)}`;
+  });
+}
+
+/**
+ * Rank entries the Swiss way: total wins, then Buchholz (strength of the
+ * opponents faced), then average point differential
+ * (entries without games are left out)
+ * @param {Array} stats - From calculatePlayerStats or calculateTeamStats
+ * @returns {Array} - Sorted entries with a rank property
+ */
+export function rankBySwiss(stats) {
+  const filtered = [...stats].filter((p) => p.gamesPlayed > 0);
+  const sorted = filtered.sort((a, b) => {
+    if (b.wins !== a.wins) return b.wins - a.wins;
+    if (b.buchholz !== a.buchholz) return b.buchholz - a.buchholz;
+    return b.avgPointDiff - a.avgPointDiff;
+  });
+  return assignRanks(sorted, (p) => `${p.wins}_${p.buchholz}_${p.avgPointDiff.toFixed(2)}`);
+}
+
+/**
+ * Rank entries by total points scored (entries without games are left out)
+ * @param {Array} stats - From calculatePlayerStats or calculateTeamStats
+ * @returns {Array} - Sorted entries with a rank property
+ */
+export function rankByTotalPoints(stats) {
+  const filtered = [...stats].filter((p) => p.gamesPlayed > 0);
+  const sorted = filtered.sort((a, b) => b.totalPoints - a.totalPoints);
+  // Assign ranks with ties for same total points
+  return assignRanks(sorted, (p) => p.totalPoints);
+}
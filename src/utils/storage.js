@@ -5,6 +5,7 @@
  */
 
 import { supabase } from './supabase';
+import { bracketMatchId, restoreBracket } from './bracket';
 
 const STORAGE_KEY = 'dink_shuffle_session';
 const ORGANIZER_HISTORY_KEY = 'dink_shuffle_organizer_history';
@@ -19,6 +20,8 @@ const EXPIRY_HOURS = 24;
  * @property {Array} players
  * @property {Array} rounds
  * @property {boolean} isShuffled
+ * @property {Object} [fairnessState] - Serialized fairness counts for round-by-round sessions
+ * @property {Object} [bracket] - Playoff bracket (see src/utils/bracket.js)
  * @property {Object} [playerInfo]
  * @property {number} savedAt
  * @property {number} expiresAt
@@ -263,6 +266,22 @@ async function getAuthUserId() {
   return session?.user?.id ?? null;
 }
 
+/**
+ * Map a session_players row to the local Player shape
+ * @param {Object} sp - session_players row
+ * @returns {Object} Player
+ */
+export function toLocalPlayer(sp) {
+  return {
+    id: sp.id,
+    name: sp.player_name,
+    gender: sp.gender,
+    rating: sp.rating != null ? Number(sp.rating) : null,
+    flex: sp.mixed_flex || false,
+    userId: sp.user_id || null,
+  };
+}
+
 /**
  * Save or update a session in Supabase (called alongside localStorage save)
  * @param {string} sessionCode
@@ -282,10 +301,25 @@ export async function saveSessionToCloud(sessionCode, sessionData) {
         organizer_id: userId,
         game_type: sessionData.config?.gameType || null,
         pairing_mode: sessionData.config?.pairingMode || null,
+        mixed_fallback: sessionData.config?.mixedFallback || 'sit-out',
+        mixed_sides: sessionData.config?.mixedSides || null,
+        handicap: sessionData.config?.handicap || null,
+        game_rules: sessionData.config?.gameRules || null,
+        match_format: sessionData.config?.matchFormat || null,
         num_rounds: sessionData.config?.numRounds || 3,
         num_courts: sessionData.config?.numCourts || 2,
+        court_availability: sessionData.config?.courtAvailability || {},
+        plan_mode: sessionData.config?.planMode || 'rounds',
+        time_plan: sessionData.config?.timePlan || null,
         court_names: sessionData.courtNames || {},
         is_shuffled: sessionData.isShuffled || false,
+        shuffle_seed: sessionData.config?.seed != null ? String(sessionData.config.seed) : null,
+        schedule_mode: sessionData.config?.scheduleMode || 'all',
+        optimize_schedule: sessionData.config?.optimize || false,
+        shuffle_candidates: sessionData.config?.candidates || 1,
+        fairness_state: sessionData.fairnessState || null,
+        constraints: sessionData.config?.constraints || [],
+        teams: sessionData.config?.teams || [],
       }, { onConflict: 'session_code' })
       .select('id')
       .single();
@@ -321,11 +355,17 @@ export async function saveShuffleResultsToCloud(sessionCode, players, rounds) {
     if (!session) return false;
     const sessionId = session.id;
 
-    // Upsert players
+    // Upsert players. Rows are keyed by slot, so every column (the linked
+    // account included) is rewritten: after a removal the slots shift, and a
+    // slot must not keep its previous occupant's account, or that account
+    // would be credited with the new occupant's rating changes.
     const playerRows = players.map((p, i) => ({
       session_id: sessionId,
       player_name: p.name,
       gender: p.gender,
+      rating: p.rating ?? null,
+      mixed_flex: p.flex || false,
+      user_id: p.userId ?? null,
       slot_number: i + 1,
     }));
 
@@ -336,6 +376,15 @@ export async function saveShuffleResultsToCloud(sessionCode, players, rounds) {
 
     if (playerError) throw playerError;
 
+    // Clear slots left over from a larger roster
+    const { error: stalePlayerError } = await supabase
+      .from('session_players')
+      .delete()
+      .eq('session_id', sessionId)
+      .gt('slot_number', players.length);
+
+    if (stalePlayerError) throw stalePlayerError;
+
     // Build local-id → db-id mapping
     const playerIdMap = new Map();
     savedPlayers.forEach((sp) => {
@@ -365,9 +414,15 @@ export async function saveShuffleResultsToCloud(sessionCode, players, rounds) {
         player_ids: c.players.map((p) => playerIdMap.get(p.id)).filter(Boolean),
         team1_ids: c.team1?.map((p) => playerIdMap.get(p.id)).filter(Boolean) || null,
         team2_ids: c.team2?.map((p) => playerIdMap.get(p.id)).filter(Boolean) || null,
+        team1_id: c.team1Id ?? null,
+        team2_id: c.team2Id ?? null,
+        format: c.format ?? null,
         status: c.status,
         score_team1: c.score?.team1 ?? null,
         score_team2: c.score?.team2 ?? null,
+        games: c.score?.games ?? null,
+        head_start_team1: c.score?.headStart?.team1 ?? 0,
+        head_start_team2: c.score?.headStart?.team2 ?? 0,
         score_updated_by: c.score?.lastUpdatedBy ?? null,
         score_updated_at: c.score?.lastUpdatedAt
           ? new Date(c.score.lastUpdatedAt).toISOString()
@@ -379,8 +434,26 @@ export async function saveShuffleResultsToCloud(sessionCode, players, rounds) {
         .upsert(courtRows, { onConflict: 'round_id,court_number' });
 
       if (courtError) throw courtError;
+
+      // Drop courts no longer in the round (closed, or moved by a repaired schedule)
+      let staleCourts = supabase.from('courts').delete().eq('round_id', savedRound.id);
+      if (courtRows.length > 0) {
+        staleCourts = staleCourts.not('court_number', 'in', `(${courtRows.map((c) => c.court_number).join(',')})`);
+      }
+      const { error: staleCourtError } = await staleCourts;
+
+      if (staleCourtError) throw staleCourtError;
     }
 
+    // Drop rounds past the end of the schedule (their courts go with them)
+    const { error: staleRoundError } = await supabase
+      .from('rounds')
+      .delete()
+      .eq('session_id', sessionId)
+      .gt('round_number', rounds.length);
+
+    if (staleRoundError) throw staleRoundError;
+
     console.log('[Storage] Shuffle results saved to cloud:', sessionCode);
     return true;
   } catch (error) {
@@ -416,15 +489,17 @@ export async function loadSessionFromCloud(sessionCode) {
       .eq('session_id', session.id)
       .order('round_number');
 
+    const { data: bracketRow } = await supabase
+      .from('brackets')
+      .select(`*, bracket_matches (*)`)
+      .eq('session_id', session.id)
+      .maybeSingle();
+
     // Build db-id → local player map
     const dbPlayers = (session.session_players || [])
       .sort((a, b) => a.slot_number - b.slot_number);
 
-    const players = dbPlayers.map((sp) => ({
-      id: sp.id,
-      name: sp.player_name,
-      gender: sp.gender,
-    }));
+    const players = dbPlayers.map(toLocalPlayer);
 
     const playerMap = new Map(dbPlayers.map((sp) => [sp.id, sp]));
 
@@ -434,18 +509,18 @@ export async function loadSessionFromCloud(sessionCode) {
       sitOuts: (r.sit_out_player_ids || [])
         .map((pid) => playerMap.get(pid))
         .filter(Boolean)
-        .map((sp) => ({ id: sp.id, name: sp.player_name, gender: sp.gender })),
+        .map(toLocalPlayer),
       courts: (r.courts || [])
         .sort((a, b) => a.court_number - b.court_number)
         .map((c) => {
           const courtPlayers = (c.player_ids || [])
             .map((pid) => playerMap.get(pid))
             .filter(Boolean)
-            .map((sp) => ({ id: sp.id, name: sp.player_name, gender: sp.gender }));
+            .map(toLocalPlayer);
 
           const mapIds = (ids) => ids
             ? ids.map((pid) => playerMap.get(pid)).filter(Boolean)
-              .map((sp) => ({ id: sp.id, name: sp.player_name, gender: sp.gender }))
+              .map(toLocalPlayer)
             : null;
 
           return {
@@ -454,10 +529,16 @@ export async function loadSessionFromCloud(sessionCode) {
             players: courtPlayers,
             team1: mapIds(c.team1_ids),
             team2: mapIds(c.team2_ids),
+            ...(c.team1_id ? { team1Id: c.team1_id, team2Id: c.team2_id } : {}),
+            ...(c.format ? { format: c.format } : {}),
             status: c.status,
             score: {
               team1: c.score_team1,
               team2: c.score_team2,
+              ...(c.games ? { games: c.games } : {}),
+              ...(c.score_team1 != null
+                ? { headStart: { team1: c.head_start_team1 ?? 0, team2: c.head_start_team2 ?? 0 } }
+                : {}),
               lastUpdatedBy: c.score_updated_by,
               lastUpdatedAt: c.score_updated_at ? new Date(c.score_updated_at).getTime() : null,
             },
@@ -472,13 +553,29 @@ export async function loadSessionFromCloud(sessionCode) {
       config: {
         gameType: session.game_type,
         pairingMode: session.pairing_mode,
+        mixedFallback: session.mixed_fallback || 'sit-out',
+        mixedSides: session.mixed_sides || undefined,
+        handicap: session.handicap || null,
+        gameRules: session.game_rules || undefined,
+        matchFormat: session.match_format || undefined,
         numRounds: session.num_rounds,
         numCourts: session.num_courts,
+        courtAvailability: session.court_availability || {},
+        planMode: session.plan_mode || 'rounds',
+        timePlan: session.time_plan || undefined,
+        seed: session.shuffle_seed,
+        scheduleMode: session.schedule_mode || 'all',
+        optimize: session.optimize_schedule || false,
+        candidates: session.shuffle_candidates || 1,
+        constraints: session.constraints || [],
+        teams: session.teams || [],
       },
       players,
       rounds,
       isShuffled: session.is_shuffled,
       courtNames: session.court_names || {},
+      fairnessState: session.fairness_state || null,
+      bracket: bracketRow ? toLocalBracket(bracketRow) : null,
     };
   } catch (error) {
     console.error('[Storage] Failed to load session from cloud:', error);
@@ -491,7 +588,7 @@ export async function loadSessionFromCloud(sessionCode) {
  * @param {string} sessionCode
  * @param {number} roundNumber
  * @param {number} courtNumber
- * @param {Object} updates - { status, score_team1, score_team2, score_updated_by }
+ * @param {Object} updates - { status, score_team1, score_team2, games, head_start_team1, head_start_team2, score_updated_by }
  */
 export async function updateCourtInCloud(sessionCode, roundNumber, courtNumber, updates) {
   if (!supabase) return;
@@ -516,7 +613,8 @@ export async function updateCourtInCloud(sessionCode, roundNumber, courtNumber,
       .from('courts')
       .update({
         ...updates,
-        score_updated_at: new Date().toISOString(),
+        // Only score changes move the score timestamp, not status changes
+        ...('score_team1' in updates ? { score_updated_at: new Date().toISOString() } : {}),
       })
       .eq('round_id', round.id)
       .eq('court_number', courtNumber);
@@ -525,6 +623,178 @@ export async function updateCourtInCloud(sessionCode, roundNumber, courtNumber,
   }
 }
 
+// ─── Playoff Brackets ───────────────────────────────────────────────
+
+/**
+ * Rebuild a local bracket object from a brackets row with its bracket_matches
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toLocalBracket(row) {
+  const savedMatches = (row.bracket_matches || []).map((m) => ({
+    id: bracketMatchId(m.side, m.bracket_round, m.position),
+    entrant1Id: m.entrant1_id,
+    entrant2Id: m.entrant2_id,
+    score: {
+      team1: m.score_team1,
+      team2: m.score_team2,
+      ...(m.games ? { games: m.games } : {}),
+      lastUpdatedBy: m.score_updated_by,
+      lastUpdatedAt: m.score_updated_at ? new Date(m.score_updated_at).getTime() : null,
+    },
+    status: m.status,
+  }));
+
+  return restoreBracket({
+    type: row.bracket_type,
+    entrants: row.entrants || [],
+    grandFinalReset: row.grand_final_reset,
+  }, savedMatches);
+}
+
+/**
+ * Save the session's playoff bracket to Supabase, or remove it when null
+ * @param {string} sessionCode
+ * @param {Object | null} bracket
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Drop any previous bracket first (a re-seeded bracket can be smaller)
+ * @returns {Promise<boolean>}
+ */
+export async function saveBracketToCloud(sessionCode, bracket, { replace = false } = {}) {
+  const userId = await getAuthUserId();
+  if (!userId || !supabase) return false;
+
+  try {
+    const { data: session } = await supabase
+      .from('sessions')
+      .select('id')
+      .eq('session_code', sessionCode)
+      .single();
+
+    if (!session) return false;
+
+    if (!bracket || replace) {
+      const { error } = await supabase.from('brackets').delete().eq('session_id', session.id);
+      if (error) throw error;
+      if (!bracket) return true;
+    }
+
+    const { data: savedBracket, error: bracketError } = await supabase
+      .from('brackets')
+      .upsert({
+        session_id: session.id,
+        bracket_type: bracket.type,
+        grand_final_reset: bracket.grandFinalReset,
+        entrants: bracket.entrants,
+        champion_id: bracket.championId,
+      }, { onConflict: 'session_id' })
+      .select('id')
+      .single();
+
+    if (bracketError) throw bracketError;
+
+    const matchRows = [...bracket.rounds.flat(), ...bracket.losersRounds.flat(), ...bracket.finals].map((m) => ({
+      bracket_id: savedBracket.id,
+      side: m.side,
+      bracket_round: m.round,
+      position: m.position,
+      entrant1_id: m.entrant1?.id ?? null,
+      entrant2_id: m.entrant2?.id ?? null,
+      winner_id: m.winnerId,
+      is_bye: m.isBye,
+      status: m.status,
+      score_team1: m.score?.team1 ?? null,
+      score_team2: m.score?.team2 ?? null,
+      games: m.score?.games ?? null,
+      score_updated_by: m.score?.lastUpdatedBy ?? null,
+      score_updated_at: m.score?.lastUpdatedAt
+        ? new Date(m.score.lastUpdatedAt).toISOString()
+        : null,
+    }));
+
+    const { error: matchError } = await supabase
+      .from('bracket_matches')
+      .upsert(matchRows, { onConflict: 'bracket_id,side,bracket_round,position' });
+
+    if (matchError) throw matchError;
+
+    console.log('[Storage] Bracket saved to cloud:', sessionCode);
+    return true;
+  } catch (error) {
+    console.error('[Storage] Failed to save bracket to cloud:', error);
+    return false;
+  }
+}
+
+// ─── Elo Ratings ────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} PlayerRating
+ * @property {number} rating - Elo rating, 1500 to start
+ * @property {number} gamesPlayed
+ * @property {number} wins
+ */
+
+/**
+ * Map a player_ratings row to a PlayerRating
+ * @param {Object} row
+ * @returns {PlayerRating}
+ */
+function toPlayerRating(row) {
+  return {
+    rating: Number(row.rating),
+    gamesPlayed: row.games_played,
+    wins: row.wins,
+  };
+}
+
+/**
+ * Load the Elo ratings of signed-up players. Ratings are updated in the
+ * database whenever a court is completed (see 022_elo_ratings.sql).
+ * @param {string[]} profileIds
+ * @returns {Promise<Map<string, PlayerRating>>} Map of profile id -> rating (unrated players are left out)
+ */
+export async function loadPlayerRatings(profileIds) {
+  if (!supabase || !profileIds || profileIds.length === 0) return new Map();
+
+  try {
+    const { data, error } = await supabase
+      .from('player_ratings')
+      .select('*')
+      .in('profile_id', [...new Set(profileIds)]);
+
+    if (error) throw error;
+
+    return new Map((data || []).map((row) => [row.profile_id, toPlayerRating(row)]));
+  } catch (error) {
+    console.error('[Storage] Failed to load player ratings:', error);
+    return new Map();
+  }
+}
+
+/**
+ * Load the current user's Elo rating
+ * @returns {Promise<PlayerRating|null>} null when not logged in or not yet rated
+ */
+export async function loadMyRating() {
+  const userId = await getAuthUserId();
+  if (!userId || !supabase) return null;
+
+  try {
+    const { data, error } = await supabase
+      .from('player_ratings')
+      .select('*')
+      .eq('profile_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? toPlayerRating(data) : null;
+  } catch (error) {
+    console.error('[Storage] Failed to load rating:', error);
+    return null;
+  }
+}
+
 // ─── Avatar Upload ──────────────────────────────────────────────────
 
 /**
@@ -627,9 +897,11 @@ export async function loadMatchHistory() {
         status: row.status,
         scoreTeam1: row.score_team1,
         scoreTeam2: row.score_team2,
+        games: row.games || null,
         playerIds: row.player_ids,
         team1Ids: row.team1_ids,
         team2Ids: row.team2_ids,
+        ratingChange: row.rating_change != null ? Number(row.rating_change) : null,
       });
     }
 
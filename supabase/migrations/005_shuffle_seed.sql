@@ -0,0 +1,8 @@
+-- Dink Shuffle: Reproducible Shuffles
+-- Run this AFTER 004_session_cleanup.sql in the Supabase SQL Editor
+
+-- ─── Shuffle Seed ──────────────────────────────────────────────────
+-- Seed that drove the shuffle engine's PRNG. Re-running the shuffle with
+-- the same players, config and seed rebuilds an identical round list.
+-- Stored as text so organizer-entered seeds ("league-night-3") survive.
+ALTER TABLE sessions ADD COLUMN shuffle_seed TEXT;
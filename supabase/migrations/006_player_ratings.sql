@@ -0,0 +1,13 @@
+-- Dink Shuffle: Skill-Balanced Doubles
+-- Run this AFTER 005_shuffle_seed.sql in the Supabase SQL Editor
+
+-- ─── Balanced Pairing Mode ─────────────────────────────────────────
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_pairing_mode_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_pairing_mode_check
+  CHECK (pairing_mode IN ('random', 'mixed', 'balanced'));
+
+-- ─── Player Skill Rating ───────────────────────────────────────────
+-- Organizer-entered rating (e.g. 2.5 – 5.0). NULL = unrated, which the
+-- shuffle engine treats as 3.0.
+ALTER TABLE session_players ADD COLUMN rating NUMERIC(3, 2)
+  CHECK (rating IS NULL OR rating BETWEEN 1 AND 8);
@@ -0,0 +1,9 @@
+-- Dink Shuffle: King of the Court Rotation
+-- Run this AFTER 006_player_ratings.sql in the Supabase SQL Editor
+
+-- ─── King of the Court Pairing Mode ────────────────────────────────
+-- Rounds are generated one at a time from the previous round's scores,
+-- so num_rounds is not meaningful for these sessions.
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_pairing_mode_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_pairing_mode_check
+  CHECK (pairing_mode IN ('random', 'mixed', 'balanced', 'king'));
@@ -0,0 +1,13 @@
+-- Dink Shuffle: Round-by-Round Scheduling
+-- Run this AFTER 007_king_of_court.sql in the Supabase SQL Editor
+
+-- ─── Schedule Mode ─────────────────────────────────────────────────
+-- 'all' generates every round up front; 'incremental' generates one round
+-- at a time so the roster can change between rounds.
+ALTER TABLE sessions ADD COLUMN schedule_mode TEXT
+  CHECK (schedule_mode IN ('all', 'incremental')) DEFAULT 'all';
+
+-- ─── Fairness State ────────────────────────────────────────────────
+-- Serialized sit-out / partner / opponent / court counts carried from
+-- round to round (see serializeFairnessState in src/utils/shuffle.js).
+ALTER TABLE sessions ADD COLUMN fairness_state JSONB;
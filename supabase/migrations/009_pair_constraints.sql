@@ -0,0 +1,7 @@
+-- Dink Shuffle: Pair Constraints
+-- Run this AFTER 008_round_by_round.sql in the Supabase SQL Editor
+
+-- ─── Pair Constraints ──────────────────────────────────────────────
+-- Array of { type, playerIds } objects where type is 'must-partner',
+-- 'never-partner' or 'never-oppose' (see PairConstraint in src/utils/shuffle.js).
+ALTER TABLE sessions ADD COLUMN constraints JSONB NOT NULL DEFAULT '[]'::jsonb;
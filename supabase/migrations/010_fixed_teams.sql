@@ -0,0 +1,17 @@
+-- Dink Shuffle: Fixed-Team Round Robin
+-- Run this AFTER 009_pair_constraints.sql in the Supabase SQL Editor
+
+-- ─── Fixed Teams Pairing Mode ──────────────────────────────────────
+-- Registered doubles teams play every other team once; num_rounds is
+-- derived from the team count for these sessions.
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_pairing_mode_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_pairing_mode_check
+  CHECK (pairing_mode IN ('random', 'mixed', 'balanced', 'king', 'teams'));
+
+-- Array of { id, name, playerIds } objects (see Team in src/utils/shuffle.js)
+ALTER TABLE sessions ADD COLUMN teams JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- ─── Court Team Ids ────────────────────────────────────────────────
+-- Which registered team is on each side, for per-team standings
+ALTER TABLE courts ADD COLUMN team1_id TEXT;
+ALTER TABLE courts ADD COLUMN team2_id TEXT;
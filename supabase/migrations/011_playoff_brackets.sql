@@ -0,0 +1,99 @@
+-- Dink Shuffle: Playoff Brackets
+-- Run this AFTER 010_fixed_teams.sql in the Supabase SQL Editor
+
+-- ─── Brackets ────────────────────────────────────────────────────────
+-- One playoff bracket per session, seeded from the pool-play standings.
+-- entrants holds the seeded { id, name, seed, players } objects
+-- (see Entrant in src/utils/bracket.js).
+CREATE TABLE brackets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID UNIQUE REFERENCES sessions(id) ON DELETE CASCADE,
+  bracket_type TEXT NOT NULL CHECK (bracket_type IN ('single')) DEFAULT 'single',
+  entrants JSONB NOT NULL DEFAULT '[]',
+  champion_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX idx_brackets_session ON brackets(session_id);
+
+-- ─── Bracket Matches ─────────────────────────────────────────────────
+-- Entrant ids refer to brackets.entrants
+CREATE TABLE bracket_matches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bracket_id UUID REFERENCES brackets(id) ON DELETE CASCADE,
+  bracket_round INT NOT NULL,
+  position INT NOT NULL,
+  entrant1_id TEXT,
+  entrant2_id TEXT,
+  winner_id TEXT,
+  is_bye BOOLEAN DEFAULT false,
+  status TEXT CHECK (status IN ('pending', 'playing', 'completed')) DEFAULT 'pending',
+  score_team1 INT,
+  score_team2 INT,
+  score_updated_by TEXT,
+  score_updated_at TIMESTAMPTZ,
+  UNIQUE(bracket_id, bracket_round, position)
+);
+
+CREATE INDEX idx_bracket_matches_bracket ON bracket_matches(bracket_id);
+
+-- ─── Row-Level Security ──────────────────────────────────────────────
+ALTER TABLE brackets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bracket_matches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Brackets are viewable"
+  ON brackets FOR SELECT USING (true);
+
+CREATE POLICY "Organizer manages brackets"
+  ON brackets FOR INSERT WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM sessions
+      WHERE sessions.id = brackets.session_id
+      AND sessions.organizer_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Organizer updates brackets"
+  ON brackets FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM sessions
+      WHERE sessions.id = brackets.session_id
+      AND sessions.organizer_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Organizer deletes brackets"
+  ON brackets FOR DELETE USING (
+    EXISTS (
+      SELECT 1 FROM sessions
+      WHERE sessions.id = brackets.session_id
+      AND sessions.organizer_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Bracket matches are viewable"
+  ON bracket_matches FOR SELECT USING (true);
+
+CREATE POLICY "Organizer manages bracket matches"
+  ON bracket_matches FOR INSERT WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM brackets
+      JOIN sessions ON sessions.id = brackets.session_id
+      WHERE brackets.id = bracket_matches.bracket_id
+      AND sessions.organizer_id = auth.uid()
+    )
+  );
+
+-- Any authenticated user can update scores on a bracket match (same as courts)
+CREATE POLICY "Authenticated users can update bracket match scores"
+  ON bracket_matches FOR UPDATE USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Organizer deletes bracket matches"
+  ON bracket_matches FOR DELETE USING (
+    EXISTS (
+      SELECT 1 FROM brackets
+      JOIN sessions ON sessions.id = brackets.session_id
+      WHERE brackets.id = bracket_matches.bracket_id
+      AND sessions.organizer_id = auth.uid()
+    )
+  );
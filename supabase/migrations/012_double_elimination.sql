@@ -0,0 +1,21 @@
+-- Dink Shuffle: Double-Elimination Brackets
+-- Run this AFTER 011_playoff_brackets.sql in the Supabase SQL Editor
+
+-- ─── Bracket Type ──────────────────────────────────────────────────
+ALTER TABLE brackets DROP CONSTRAINT IF EXISTS brackets_bracket_type_check;
+ALTER TABLE brackets ADD CONSTRAINT brackets_bracket_type_check
+  CHECK (bracket_type IN ('single', 'double'));
+
+-- Play a deciding second final when the losers-bracket entrant wins the first
+ALTER TABLE brackets ADD COLUMN grand_final_reset BOOLEAN DEFAULT true;
+
+-- ─── Bracket Sides ─────────────────────────────────────────────────
+-- Matches now belong to the winners bracket, the losers bracket or the
+-- finals (grand final = round 0, reset match = round 1).
+ALTER TABLE bracket_matches ADD COLUMN side TEXT NOT NULL
+  CHECK (side IN ('winners', 'losers', 'final')) DEFAULT 'winners';
+
+ALTER TABLE bracket_matches
+  DROP CONSTRAINT IF EXISTS bracket_matches_bracket_id_bracket_round_position_key;
+ALTER TABLE bracket_matches ADD CONSTRAINT bracket_matches_bracket_id_side_round_position_key
+  UNIQUE (bracket_id, side, bracket_round, position);
@@ -0,0 +1,10 @@
+-- Dink Shuffle: Swiss-System Pairing
+-- Run this AFTER 012_double_elimination.sql in the Supabase SQL Editor
+
+-- ─── Swiss Pairing Mode ────────────────────────────────────────────
+-- Rounds are generated one at a time from the scores so far. Singles
+-- sessions pair players; doubles sessions pair the registered teams
+-- (sessions.teams), so pairing_mode is no longer doubles-only.
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_pairing_mode_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_pairing_mode_check
+  CHECK (pairing_mode IN ('random', 'mixed', 'balanced', 'king', 'teams', 'swiss'));
@@ -0,0 +1,7 @@
+-- Dink Shuffle: Session Optimization
+-- Run this AFTER 013_swiss_pairing.sql in the Supabase SQL Editor
+
+-- ─── Optimize Schedule ─────────────────────────────────────────────
+-- When set, up-front schedules for small pools are improved as a whole
+-- after generation (see optimizeSchedule in src/utils/shuffle.js).
+ALTER TABLE sessions ADD COLUMN optimize_schedule BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,8 @@
+-- Dink Shuffle: Best-of-N Shuffles
+-- Run this AFTER 014_schedule_optimization.sql in the Supabase SQL Editor
+
+-- ─── Shuffle Candidates ────────────────────────────────────────────
+-- How many schedules a shuffle builds and compares before keeping the
+-- fairest one (see shuffleBestOf in src/utils/shuffle.js). 1 = plain shuffle.
+ALTER TABLE sessions ADD COLUMN shuffle_candidates INTEGER NOT NULL DEFAULT 1
+  CHECK (shuffle_candidates BETWEEN 1 AND 10);
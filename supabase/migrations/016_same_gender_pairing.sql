@@ -0,0 +1,9 @@
+-- Dink Shuffle: Same-Gender Doubles
+-- Run this AFTER 015_shuffle_candidates.sql in the Supabase SQL Editor
+
+-- ─── Same-Gender Pairing Mode ──────────────────────────────────────
+-- Men's and women's doubles courts, with courts shared out by the size
+-- of each group.
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_pairing_mode_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_pairing_mode_check
+  CHECK (pairing_mode IN ('random', 'mixed', 'same-gender', 'balanced', 'king', 'teams', 'swiss'));
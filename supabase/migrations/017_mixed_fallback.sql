@@ -0,0 +1,13 @@
+-- Dink Shuffle: Mixed Doubles Fallback and Flex Players
+-- Run this AFTER 016_same_gender_pairing.sql in the Supabase SQL Editor
+
+-- ─── Mixed Fallback ────────────────────────────────────────────────
+-- What happens to courts mixed teams can't fill when the genders are
+-- unbalanced: leave them empty ('sit-out') or play them as random or
+-- same-gender doubles.
+ALTER TABLE sessions ADD COLUMN mixed_fallback TEXT NOT NULL DEFAULT 'sit-out'
+  CHECK (mixed_fallback IN ('sit-out', 'random', 'same-gender'));
+
+-- ─── Flex Players ──────────────────────────────────────────────────
+-- Flex players can take either side of a mixed doubles team.
+ALTER TABLE session_players ADD COLUMN mixed_flex BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,19 @@
+-- Dink Shuffle: Inclusive Player Categories
+-- Run this AFTER 017_mixed_fallback.sql in the Supabase SQL Editor
+
+-- ─── Gender Options ────────────────────────────────────────────────
+-- Adds non-binary and "prefer not to say" (see GENDER_OPTIONS in
+-- src/utils/playerCategories.js).
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_gender_check;
+ALTER TABLE profiles ADD CONSTRAINT profiles_gender_check
+  CHECK (gender IN ('male', 'female', 'non-binary', 'unspecified'));
+
+ALTER TABLE session_players DROP CONSTRAINT IF EXISTS session_players_gender_check;
+ALTER TABLE session_players ADD CONSTRAINT session_players_gender_check
+  CHECK (gender IN ('male', 'female', 'non-binary', 'unspecified'));
+
+-- ─── Mixed Sides ───────────────────────────────────────────────────
+-- Organizer-defined mapping of gender → mixed doubles side ('a', 'b' or
+-- 'either'), also used for same-gender groups. NULL = the default: men on
+-- one side, women on the other, everyone else on either.
+ALTER TABLE sessions ADD COLUMN mixed_sides JSONB;
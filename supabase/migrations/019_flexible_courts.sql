@@ -0,0 +1,13 @@
+-- Dink Shuffle: Singles + Doubles Courts
+-- Run this AFTER 018_player_categories.sql in the Supabase SQL Editor
+
+-- ─── Singles + Doubles Game Type ───────────────────────────────────
+-- Each court plays doubles or singles, chosen every round to keep the
+-- most players on court.
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_game_type_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_game_type_check
+  CHECK (game_type IN ('singles', 'doubles', 'flexible'));
+
+-- ─── Per-Court Format ──────────────────────────────────────────────
+-- NULL for courts saved earlier, which follow the session's game type.
+ALTER TABLE courts ADD COLUMN format TEXT CHECK (format IN ('singles', 'doubles'));
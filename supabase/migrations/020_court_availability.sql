@@ -0,0 +1,9 @@
+-- Dink Shuffle: Court Availability
+-- Run this AFTER 019_flexible_courts.sql in the Supabase SQL Editor
+
+-- ─── Court Availability ────────────────────────────────────────────
+-- Rounds each court can be used in: { "<courtNumber>": { "fromRound": n,
+-- "toRound": n } }, both optional (see getAvailableCourts in
+-- src/utils/shuffle.js). Courts not listed are open every round; taking a
+-- court offline mid-session sets its toRound.
+ALTER TABLE sessions ADD COLUMN court_availability JSONB DEFAULT '{}';
@@ -0,0 +1,12 @@
+-- Dink Shuffle: Time Planning
+-- Run this AFTER 020_court_availability.sql in the Supabase SQL Editor
+
+-- ─── Time Planning ─────────────────────────────────────────────────
+-- 'rounds' sessions set num_rounds directly; 'time' sessions work it out
+-- from time_plan: { "startTime": "7pm", "endTime": "9pm",
+-- "gameMinutes": 15, "changeoverMinutes": 3 } (see planRoundCount in
+-- src/utils/sessionTiming.js). Round start times are estimated on the
+-- client from score timestamps, so nothing else is stored.
+ALTER TABLE sessions ADD COLUMN plan_mode TEXT DEFAULT 'rounds'
+  CHECK (plan_mode IN ('rounds', 'time'));
+ALTER TABLE sessions ADD COLUMN time_plan JSONB;
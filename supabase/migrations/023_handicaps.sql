@@ -0,0 +1,10 @@
+-- Dink Shuffle: Handicap Scoring
+-- Run this AFTER 022_elo_ratings.sql in the Supabase SQL Editor
+
+-- ─── Handicap Formula ──────────────────────────────────────────────
+-- Balanced doubles only: { "pointsPerLevel": 2, "maxPoints": 5 } gives
+-- the weaker team a head start of pointsPerLevel per 1.0 of team rating
+-- difference, capped at maxPoints (see getCourtHandicap in
+-- src/utils/shuffle.js). NULL = no handicaps. Court scores stay the final
+-- scoreboard, head start included.
+ALTER TABLE sessions ADD COLUMN handicap JSONB;
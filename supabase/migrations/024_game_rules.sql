@@ -0,0 +1,8 @@
+-- Dink Shuffle: Game Rules
+-- Run this AFTER 023_handicaps.sql in the Supabase SQL Editor
+
+-- ─── Game Rules ────────────────────────────────────────────────────
+-- { "pointsToWin": 11, "winBy": 2, "cap": null, "scoring": "side-out" }
+-- (see GameRules in src/utils/gameRules.js). NULL = the standard rules
+-- above. Score entry checks scores against these on the client.
+ALTER TABLE sessions ADD COLUMN game_rules JSONB;
@@ -0,0 +1,165 @@
+-- Dink Shuffle: Best-of-Three Matches
+-- Run this AFTER 024_game_rules.sql in the Supabase SQL Editor
+
+-- ─── Match Format ──────────────────────────────────────────────────
+-- { "rounds": 1, "playoffs": 3 }: games per court in pool play and in the
+-- playoff bracket (see MatchFormat in src/utils/gameRules.js).
+-- NULL = single games throughout.
+ALTER TABLE sessions ADD COLUMN match_format JSONB;
+
+-- ─── Game Scores ───────────────────────────────────────────────────
+-- [{ "team1": 11, "team2": 8 }, { "team1": 9, "team2": 11 }, ...] in the
+-- order played. When set, score_team1 / score_team2 hold the games each
+-- side won, so the match winner is read the same way as a single game.
+-- NULL = a single game.
+ALTER TABLE courts ADD COLUMN games JSONB;
+ALTER TABLE bracket_matches ADD COLUMN games JSONB;
+
+-- ─── Rating Update ─────────────────────────────────────────────────
+-- Same as 022_elo_ratings.sql, with the margin of a match taken from
+-- games won rather than points
+CREATE OR REPLACE FUNCTION update_ratings_for_court()
+RETURNS TRIGGER AS $$
+DECLARE
+  half INT;
+  team1_players UUID[];
+  team2_players UUID[];
+  team1_rating NUMERIC;
+  team2_rating NUMERIC;
+  team1_expected NUMERIC;
+  margin_factor NUMERIC;
+  previous RECORD;
+  player RECORD;
+  player_rating RECORD;
+  player_won BOOLEAN;
+  k NUMERIC;
+  delta NUMERIC;
+BEGIN
+  -- Back out whatever this court did before
+  FOR previous IN DELETE FROM rating_changes WHERE court_id = NEW.id RETURNING * LOOP
+    UPDATE player_ratings SET
+      rating = rating - previous.rating_change,
+      games_played = games_played - 1,
+      wins = wins - CASE WHEN previous.won THEN 1 ELSE 0 END,
+      updated_at = now()
+    WHERE profile_id = previous.profile_id;
+  END LOOP;
+
+  IF NEW.status <> 'completed' OR NEW.score_team1 IS NULL OR NEW.score_team2 IS NULL
+    OR NEW.score_team1 = NEW.score_team2 THEN
+    RETURN NEW;
+  END IF;
+
+  -- Singles courts don't store teams: the players face each other
+  half := COALESCE(array_length(NEW.player_ids, 1), 0) / 2;
+  team1_players := COALESCE(NEW.team1_ids, NEW.player_ids[1:half]);
+  team2_players := COALESCE(NEW.team2_ids, NEW.player_ids[half + 1:half * 2]);
+  IF COALESCE(array_length(team1_players, 1), 0) = 0
+    OR COALESCE(array_length(team2_players, 1), 0) = 0 THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT AVG(COALESCE(pr.rating, 1500)) INTO team1_rating
+  FROM unnest(team1_players) AS t(player_id)
+  LEFT JOIN session_players sp ON sp.id = t.player_id
+  LEFT JOIN player_ratings pr ON pr.profile_id = sp.user_id;
+
+  SELECT AVG(COALESCE(pr.rating, 1500)) INTO team2_rating
+  FROM unnest(team2_players) AS t(player_id)
+  LEFT JOIN session_players sp ON sp.id = t.player_id
+  LEFT JOIN player_ratings pr ON pr.profile_id = sp.user_id;
+
+  team1_expected := 1 / (1 + power(10, (team2_rating - team1_rating) / 400));
+
+  -- Wider wins move ratings further: a 5-point margin counts once, 11-0 about
+  -- 1.4 times. Best-of-three matches score games won instead: 2-0 counts
+  -- once, 2-1 about 0.6 times.
+  IF NEW.games IS NOT NULL THEN
+    margin_factor := ln(abs(NEW.score_team1 - NEW.score_team2) + 1) / ln(3);
+  ELSE
+    margin_factor := ln(abs(NEW.score_team1 - NEW.score_team2) + 1) / ln(6);
+  END IF;
+
+  FOR player IN
+    SELECT DISTINCT ON (sp.user_id) sp.user_id AS profile_id, sp.id = ANY(team1_players) AS on_team1
+    FROM session_players sp
+    WHERE sp.id = ANY(team1_players || team2_players)
+      AND sp.user_id IS NOT NULL
+  LOOP
+    INSERT INTO player_ratings (profile_id) VALUES (player.profile_id)
+    ON CONFLICT (profile_id) DO NOTHING;
+
+    SELECT * INTO player_rating FROM player_ratings
+    WHERE profile_id = player.profile_id
+    FOR UPDATE;
+
+    player_won := (NEW.score_team1 > NEW.score_team2) = player.on_team1;
+    k := CASE WHEN player_rating.games_played < 10 THEN 48 ELSE 24 END;
+    delta := round(
+      k * margin_factor * (
+        CASE WHEN player_won THEN 1 ELSE 0 END
+        - CASE WHEN player.on_team1 THEN team1_expected ELSE 1 - team1_expected END
+      ),
+      1
+    );
+
+    UPDATE player_ratings SET
+      rating = rating + delta,
+      games_played = games_played + 1,
+      wins = wins + CASE WHEN player_won THEN 1 ELSE 0 END,
+      updated_at = now()
+    WHERE profile_id = player.profile_id;
+
+    INSERT INTO rating_changes (court_id, profile_id, rating_before, rating_change, won)
+    VALUES (NEW.id, player.profile_id, player_rating.rating, delta, player_won);
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Entering the games of a match can change them without changing the
+-- games won (11-8, 11-9 corrected to 11-8, 11-2)
+DROP TRIGGER IF EXISTS on_court_result_changed ON courts;
+
+CREATE TRIGGER on_court_result_changed
+  AFTER UPDATE OF status, score_team1, score_team2, games, player_ids, team1_ids, team2_ids ON courts
+  FOR EACH ROW
+  WHEN (
+    OLD.status IS DISTINCT FROM NEW.status
+    OR OLD.score_team1 IS DISTINCT FROM NEW.score_team1
+    OR OLD.score_team2 IS DISTINCT FROM NEW.score_team2
+    OR OLD.games IS DISTINCT FROM NEW.games
+    OR OLD.player_ids IS DISTINCT FROM NEW.player_ids
+    OR OLD.team1_ids IS DISTINCT FROM NEW.team1_ids
+    OR OLD.team2_ids IS DISTINCT FROM NEW.team2_ids
+  )
+  EXECUTE FUNCTION update_ratings_for_court();
+
+-- ─── Match History View ────────────────────────────────────────────
+-- Adds the game scores of best-of-three matches
+CREATE OR REPLACE VIEW my_match_history AS
+SELECT
+  c.id AS court_id,
+  c.court_number,
+  c.status,
+  c.score_team1,
+  c.score_team2,
+  c.player_ids,
+  c.team1_ids,
+  c.team2_ids,
+  r.round_number,
+  s.session_name,
+  s.session_code,
+  s.game_type,
+  s.pairing_mode,
+  s.created_at AS session_date,
+  rc.rating_change,
+  c.games
+FROM courts c
+JOIN rounds r ON r.id = c.round_id
+JOIN sessions s ON s.id = r.session_id
+JOIN session_players sp ON sp.session_id = s.id
+LEFT JOIN rating_changes rc ON rc.court_id = c.id AND rc.profile_id = auth.uid()
+WHERE sp.user_id = auth.uid()
+  AND c.player_ids @> ARRAY[sp.id];
@@ -0,0 +1,136 @@
+-- Dink Shuffle: Handicap-Aware Ratings
+-- Run this AFTER 025_best_of_three.sql in the Supabase SQL Editor
+
+-- ─── Head Starts ───────────────────────────────────────────────────
+-- Points each side started with under the session's handicap (see
+-- getCourtHandicap in src/utils/shuffle.js), recorded when the score is
+-- entered. 0 = no head start. The score columns stay the final scoreboard,
+-- head start included.
+ALTER TABLE courts ADD COLUMN head_start_team1 INT NOT NULL DEFAULT 0;
+ALTER TABLE courts ADD COLUMN head_start_team2 INT NOT NULL DEFAULT 0;
+
+-- ─── Rating Update ─────────────────────────────────────────────────
+-- Same as 025_best_of_three.sql, with a single game's margin taken from
+-- the points won in play: a +5 side losing 11-9 lost 11-4
+CREATE OR REPLACE FUNCTION update_ratings_for_court()
+RETURNS TRIGGER AS $$
+DECLARE
+  half INT;
+  team1_players UUID[];
+  team2_players UUID[];
+  team1_rating NUMERIC;
+  team2_rating NUMERIC;
+  team1_expected NUMERIC;
+  margin_factor NUMERIC;
+  previous RECORD;
+  player RECORD;
+  player_rating RECORD;
+  player_won BOOLEAN;
+  k NUMERIC;
+  delta NUMERIC;
+BEGIN
+  -- Back out whatever this court did before
+  FOR previous IN DELETE FROM rating_changes WHERE court_id = NEW.id RETURNING * LOOP
+    UPDATE player_ratings SET
+      rating = rating - previous.rating_change,
+      games_played = games_played - 1,
+      wins = wins - CASE WHEN previous.won THEN 1 ELSE 0 END,
+      updated_at = now()
+    WHERE profile_id = previous.profile_id;
+  END LOOP;
+
+  IF NEW.status <> 'completed' OR NEW.score_team1 IS NULL OR NEW.score_team2 IS NULL
+    OR NEW.score_team1 = NEW.score_team2 THEN
+    RETURN NEW;
+  END IF;
+
+  -- Singles courts don't store teams: the players face each other
+  half := COALESCE(array_length(NEW.player_ids, 1), 0) / 2;
+  team1_players := COALESCE(NEW.team1_ids, NEW.player_ids[1:half]);
+  team2_players := COALESCE(NEW.team2_ids, NEW.player_ids[half + 1:half * 2]);
+  IF COALESCE(array_length(team1_players, 1), 0) = 0
+    OR COALESCE(array_length(team2_players, 1), 0) = 0 THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT AVG(COALESCE(pr.rating, 1500)) INTO team1_rating
+  FROM unnest(team1_players) AS t(player_id)
+  LEFT JOIN session_players sp ON sp.id = t.player_id
+  LEFT JOIN player_ratings pr ON pr.profile_id = sp.user_id;
+
+  SELECT AVG(COALESCE(pr.rating, 1500)) INTO team2_rating
+  FROM unnest(team2_players) AS t(player_id)
+  LEFT JOIN session_players sp ON sp.id = t.player_id
+  LEFT JOIN player_ratings pr ON pr.profile_id = sp.user_id;
+
+  team1_expected := 1 / (1 + power(10, (team2_rating - team1_rating) / 400));
+
+  -- Wider wins move ratings further: a 5-point margin counts once, 11-0 about
+  -- 1.4 times. Best-of-three matches score games won instead: 2-0 counts
+  -- once, 2-1 about 0.6 times.
+  IF NEW.games IS NOT NULL THEN
+    margin_factor := ln(abs(NEW.score_team1 - NEW.score_team2) + 1) / ln(3);
+  ELSE
+    -- Handicapped scores include the head start: count the points won in play
+    margin_factor := ln(abs(
+      GREATEST(0, NEW.score_team1 - NEW.head_start_team1)
+      - GREATEST(0, NEW.score_team2 - NEW.head_start_team2)
+    ) + 1) / ln(6);
+  END IF;
+
+  FOR player IN
+    SELECT DISTINCT ON (sp.user_id) sp.user_id AS profile_id, sp.id = ANY(team1_players) AS on_team1
+    FROM session_players sp
+    WHERE sp.id = ANY(team1_players || team2_players)
+      AND sp.user_id IS NOT NULL
+  LOOP
+    INSERT INTO player_ratings (profile_id) VALUES (player.profile_id)
+    ON CONFLICT (profile_id) DO NOTHING;
+
+    SELECT * INTO player_rating FROM player_ratings
+    WHERE profile_id = player.profile_id
+    FOR UPDATE;
+
+    player_won := (NEW.score_team1 > NEW.score_team2) = player.on_team1;
+    k := CASE WHEN player_rating.games_played < 10 THEN 48 ELSE 24 END;
+    delta := round(
+      k * margin_factor * (
+        CASE WHEN player_won THEN 1 ELSE 0 END
+        - CASE WHEN player.on_team1 THEN team1_expected ELSE 1 - team1_expected END
+      ),
+      1
+    );
+
+    UPDATE player_ratings SET
+      rating = rating + delta,
+      games_played = games_played + 1,
+      wins = wins + CASE WHEN player_won THEN 1 ELSE 0 END,
+      updated_at = now()
+    WHERE profile_id = player.profile_id;
+
+    INSERT INTO rating_changes (court_id, profile_id, rating_before, rating_change, won)
+    VALUES (NEW.id, player.profile_id, player_rating.rating, delta, player_won);
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- A corrected head start changes the margin without changing the score
+DROP TRIGGER IF EXISTS on_court_result_changed ON courts;
+
+CREATE TRIGGER on_court_result_changed
+  AFTER UPDATE OF status, score_team1, score_team2, games, head_start_team1, head_start_team2, player_ids, team1_ids, team2_ids ON courts
+  FOR EACH ROW
+  WHEN (
+    OLD.status IS DISTINCT FROM NEW.status
+    OR OLD.score_team1 IS DISTINCT FROM NEW.score_team1
+    OR OLD.score_team2 IS DISTINCT FROM NEW.score_team2
+    OR OLD.games IS DISTINCT FROM NEW.games
+    OR OLD.head_start_team1 IS DISTINCT FROM NEW.head_start_team1
+    OR OLD.head_start_team2 IS DISTINCT FROM NEW.head_start_team2
+    OR OLD.player_ids IS DISTINCT FROM NEW.player_ids
+    OR OLD.team1_ids IS DISTINCT FROM NEW.team1_ids
+    OR OLD.team2_ids IS DISTINCT FROM NEW.team2_ids
+  )
+  EXECUTE FUNCTION update_ratings_for_court();